@@ -1,5 +1,6 @@
 export default {
   testEnvironment: "jsdom",
+  testPathIgnorePatterns: ["/node_modules/", "/node-spec/"],
   moduleNameMapper: {
     "single-spa": "<rootDir>/src/single-spa.js",
   },
@@ -0,0 +1,156 @@
+const http = require("http");
+const singleSpa = require("single-spa");
+
+describe(`createBatchingTransport`, () => {
+  let server, url, requests;
+
+  beforeAll((done) => {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => {
+        body += chunk;
+      });
+      req.on("end", () => {
+        requests.push({
+          method: req.method,
+          headers: req.headers,
+          body: JSON.parse(body),
+        });
+        res.end();
+      });
+    });
+    server.listen(0, "127.0.0.1", () => {
+      url = `http://127.0.0.1:${server.address().port}/telemetry`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  // The jest environment doesn't have fetch, so the records are posted with http.request
+  function fetch(url, init) {
+    return new Promise((resolve, reject) => {
+      const req = http.request(
+        url,
+        { method: init.method, headers: init.headers },
+        (res) => {
+          res.resume();
+          res.on("end", () => resolve(res));
+        }
+      );
+      req.on("error", reject);
+      req.end(init.body);
+    });
+  }
+
+  it(`throws for invalid options`, () => {
+    expect(() => {
+      singleSpa.createBatchingTransport({});
+    }).toThrowError(/must be called with a url/);
+
+    expect(() => {
+      singleSpa.createBatchingTransport({ url, batchSize: 0 });
+    }).toThrowError(/batchSize and flushIntervalMillis must be positive/);
+  });
+
+  it(`posts a batch once there are batchSize records`, async () => {
+    const transport = singleSpa.createBatchingTransport({
+      url,
+      batchSize: 2,
+      headers: { authorization: "Bearer token" },
+      fetch,
+    });
+
+    transport.onLifecycleSample({
+      timestamp: 1,
+      lifecycle: "mount",
+      appOrParcelName: "navbar",
+      appOrParcelType: "application",
+      durationMillis: 12,
+      succeeded: true,
+    });
+    expect(requests.length).toBe(0);
+
+    const error = Error("Mount failed");
+    error.appOrParcelName = "navbar";
+    transport.onError({ timestamp: 2, error, handled: false });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(requests.length).toBe(1);
+    expect(requests[0].method).toBe("POST");
+    expect(requests[0].headers["content-type"]).toBe("application/json");
+    expect(requests[0].headers.authorization).toBe("Bearer token");
+
+    const records = requests[0].body.records;
+    expect(records.length).toBe(2);
+    expect(records[0]).toEqual({
+      type: "lifecycle-sample",
+      timestamp: 1,
+      lifecycle: "mount",
+      appOrParcelName: "navbar",
+      appOrParcelType: "application",
+      durationMillis: 12,
+      succeeded: true,
+    });
+    expect(records[1].type).toBe("error");
+    expect(records[1].error.message).toBe("Mount failed");
+    expect(records[1].error.appOrParcelName).toBe("navbar");
+    expect(records[1].error.stack).toEqual(expect.any(String));
+  });
+
+  it(`posts what was reported after flushIntervalMillis`, async () => {
+    const transport = singleSpa.createBatchingTransport({
+      url,
+      flushIntervalMillis: 20,
+      fetch,
+    });
+
+    transport.onWarning({ timestamp: 1, kind: "navigation-canceled" });
+    transport.onWarning({ timestamp: 2, kind: "redirect-loop", code: 54 });
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    expect(requests.length).toBe(1);
+    expect(requests[0].body.records.map((record) => record.kind)).toEqual([
+      "navigation-canceled",
+      "redirect-loop",
+    ]);
+  });
+
+  it(`drops records that can't be turned into JSON`, async () => {
+    const transport = singleSpa.createBatchingTransport({ url, fetch });
+    const circular = { timestamp: 1, kind: "navigation-canceled" };
+    circular.self = circular;
+
+    transport.onWarning(circular);
+    transport.onWarning({ timestamp: 2, kind: "redirect-loop", code: 54 });
+    await transport.flush();
+
+    transport.onWarning({ timestamp: 3, kind: "navigation-canceled" });
+    await transport.flush();
+
+    expect(requests.length).toBe(2);
+    expect(requests[0].body.records.map((record) => record.timestamp)).toEqual([
+      2,
+    ]);
+    expect(requests[1].body.records.map((record) => record.timestamp)).toEqual([
+      3,
+    ]);
+  });
+
+  it(`drops batches that fail to send`, async () => {
+    const transport = singleSpa.createBatchingTransport({
+      url: "http://127.0.0.1:1/telemetry",
+      fetch,
+    });
+
+    transport.onWarning({ timestamp: 1, kind: "navigation-canceled" });
+    await expect(transport.flush()).resolves.toBe(undefined);
+    await expect(transport.flush()).resolves.toBe(undefined);
+  });
+});
@@ -0,0 +1,53 @@
+const singleSpa = require("single-spa");
+const { performance } = require("perf_hooks");
+
+describe(`memory location adapter in NodeJS`, () => {
+  let lifecycles = [];
+
+  function createApp(name) {
+    return {
+      async bootstrap() {},
+      async mount() {
+        lifecycles.push(`${name} mount`);
+      },
+      async unmount() {
+        lifecycles.push(`${name} unmount`);
+      },
+    };
+  }
+
+  beforeAll(() => {
+    // NodeJS has a global performance, but jest's node environment doesn't pass it through
+    global.performance = performance;
+
+    singleSpa.registerApplication({
+      name: "users",
+      app: createApp("users"),
+      activeWhen: "/users",
+    });
+    singleSpa.registerApplication({
+      name: "settings",
+      app: createApp("settings"),
+      activeWhen: "/settings",
+    });
+  });
+
+  it(`mounts and unmounts applications without window`, async () => {
+    const memoryLocation = singleSpa.createMemoryLocation("/users");
+    singleSpa.start({ locationAdapter: memoryLocation });
+    await singleSpa.triggerAppChange();
+
+    expect(singleSpa.getMountedApps()).toEqual(["users"]);
+
+    singleSpa.navigateToUrl("/settings");
+    await singleSpa.triggerAppChange();
+
+    expect(singleSpa.getMountedApps()).toEqual(["settings"]);
+    expect(memoryLocation.getLocation().pathname).toBe("/settings");
+    expect(lifecycles).toEqual([
+      "users mount",
+      "users unmount",
+      "settings mount",
+    ]);
+  });
+});
@@ -0,0 +1,197 @@
+const singleSpa = require("single-spa");
+
+describe(`renderToString`, () => {
+  let renderProps = [];
+
+  beforeAll(() => {
+    // start() doesn't reroute in NodeJS, it only sets the routing options
+    singleSpa.start();
+
+    singleSpa.registerApplication({
+      name: "navbar",
+      app: async () => ({
+        async bootstrap() {},
+        async mount() {},
+        async unmount() {},
+        async renderServerSide(props) {
+          renderProps.push(props);
+          return {
+            html: `<nav>${props.url}</nav>`,
+            assets: ["/navbar.css"],
+            state: { user: props.headers["x-user"] },
+          };
+        },
+      }),
+      activeWhen: () => true,
+      customProps: (name, location) => ({ pathname: location.pathname }),
+    });
+
+    singleSpa.registerApplication({
+      name: "users",
+      app: async () => ({
+        async bootstrap() {},
+        async mount() {},
+        async unmount() {},
+        async renderServerSide({ routeParams }) {
+          return `<p>user ${routeParams.id}</p>`;
+        },
+      }),
+      activeWhen: "/users/:id",
+    });
+
+    singleSpa.registerApplication({
+      name: "client-only",
+      app: async () => ({
+        async bootstrap() {},
+        async mount() {},
+        async unmount() {},
+      }),
+      activeWhen: "/users",
+    });
+
+    singleSpa.registerApplication({
+      name: "settings",
+      app: async () => ({
+        async bootstrap() {},
+        async mount() {},
+        async unmount() {},
+        async renderServerSide() {
+          return "<p>settings</p>";
+        },
+      }),
+      activeWhen: "/settings",
+    });
+  });
+
+  beforeEach(() => {
+    renderProps = [];
+  });
+
+  it(`renders the applications that are active for the url`, async () => {
+    const { html, assets, state } = await singleSpa.renderToString(
+      "/users/42?tab=posts",
+      { headers: { "x-user": "someone" } }
+    );
+
+    expect(html).toMatch(
+      /^<div id="single-spa-application:navbar"><nav>\/users\/42\?tab=posts<\/nav><\/div><div id="single-spa-application:users"><p>user 42<\/p><\/div><div id="single-spa-application:client-only"><\/div><script type="application\/json" id="single-spa-server-state">/
+    );
+    expect(html).not.toMatch("settings");
+    expect(assets).toEqual({
+      navbar: ["/navbar.css"],
+      users: [],
+      "client-only": [],
+    });
+    expect(state).toEqual({ navbar: { user: "someone" } });
+  });
+
+  it(`passes the usual props plus the url and headers to renderServerSide`, async () => {
+    await singleSpa.renderToString("/settings", {
+      headers: { "x-user": "someone" },
+    });
+
+    expect(renderProps.length).toBe(1);
+    expect(renderProps[0].name).toBe("navbar");
+    expect(renderProps[0].pathname).toBe("/settings");
+    expect(renderProps[0].url).toBe("/settings");
+    expect(renderProps[0].headers).toEqual({ "x-user": "someone" });
+    expect(renderProps[0].singleSpa).toBeDefined();
+  });
+
+  it(`serializes the state of the rendered applications for hydration`, async () => {
+    const { html } = await singleSpa.renderToString("/users/</script>", {
+      headers: { "x-user": "</script><script>alert(1)</script>" },
+    });
+
+    const serializedState = html.slice(
+      html.indexOf(`id="single-spa-server-state">`) +
+        `id="single-spa-server-state">`.length,
+      html.lastIndexOf("</script>")
+    );
+
+    expect(serializedState).not.toMatch("<");
+    expect(JSON.parse(serializedState)).toEqual({
+      rendered: ["navbar", "users"],
+      state: { navbar: { user: "</script><script>alert(1)</script>" } },
+    });
+  });
+
+  it(`leaves the container empty when renderServerSide throws`, async () => {
+    singleSpa.registerApplication({
+      name: "broken",
+      app: async () => ({
+        async bootstrap() {},
+        async mount() {},
+        async unmount() {},
+        async renderServerSide() {
+          throw Error("the server is on fire");
+        },
+      }),
+      activeWhen: "/broken",
+    });
+    const consoleError = jest
+      .spyOn(console, "error")
+      .mockImplementation(() => {});
+
+    const { html } = await singleSpa.renderToString("/broken");
+
+    expect(html).toMatch(`<div id="single-spa-application:broken"></div>`);
+    expect(html).toMatch(`"rendered":["navbar"]`);
+    expect(consoleError).toHaveBeenCalled();
+    consoleError.mockRestore();
+  });
+
+  it(`leaves the container empty when the application fails to load`, async () => {
+    singleSpa.registerApplication({
+      name: "unreachable",
+      app: () => Promise.reject(Error("Could not load unreachable")),
+      activeWhen: "/unreachable",
+      loadRetryPolicy: { maxAttempts: 2, baseMillis: 10 },
+    });
+    const consoleError = jest
+      .spyOn(console, "error")
+      .mockImplementation(() => {});
+
+    const first = await singleSpa.renderToString("/unreachable");
+    const second = await singleSpa.renderToString("/unreachable");
+    // Errors that no one handles used to be thrown from a timer, which ends the process
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    [first, second].forEach(({ html }) => {
+      expect(html).toMatch(
+        `<div id="single-spa-application:unreachable"></div>`
+      );
+      expect(html).toMatch(`"rendered":["navbar"]`);
+    });
+    expect(singleSpa.getAppStatus("unreachable")).toBe(singleSpa.LOAD_FAILED);
+    expect(consoleError).toHaveBeenCalled();
+    consoleError.mockRestore();
+  });
+
+  it(`renders the other applications when an activeWhen throws`, async () => {
+    singleSpa.registerApplication({
+      name: "throwing-active-when",
+      app: async () => ({
+        async bootstrap() {},
+        async mount() {},
+        async unmount() {},
+      }),
+      activeWhen: () => {
+        throw Error("activeWhen is on fire");
+      },
+    });
+    const consoleError = jest
+      .spyOn(console, "error")
+      .mockImplementation(() => {});
+
+    const { html } = await singleSpa.renderToString("/settings");
+
+    expect(html).toMatch(`"rendered":["navbar","settings"]`);
+    expect(html).not.toMatch("throwing-active-when");
+    expect(consoleError).toHaveBeenCalledWith(
+      expect.stringMatching(/throwing-active-when/),
+      expect.any(Error)
+    );
+    consoleError.mockRestore();
+  });
+});
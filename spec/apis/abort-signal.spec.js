@@ -0,0 +1,280 @@
+import * as singleSpa from "single-spa";
+
+describe(`the signal prop`, () => {
+  let errorHandler;
+
+  beforeAll(() => {
+    singleSpa.start();
+  });
+
+  beforeEach(async () => {
+    singleSpa.navigateToUrl("/");
+    await singleSpa.triggerAppChange();
+    errorHandler = jest.fn();
+    singleSpa.addErrorHandler(errorHandler);
+  });
+
+  afterEach(() => {
+    singleSpa.removeErrorHandler(errorHandler);
+  });
+
+  function wait(millis) {
+    return new Promise((resolve) => setTimeout(resolve, millis));
+  }
+
+  // Mounts until its signal is aborted, like an app that waits on a fetch would
+  function createApp(signals, timeouts) {
+    return {
+      async bootstrap() {},
+      mount(props) {
+        signals.push(props.signal);
+
+        return new Promise((resolve, reject) => {
+          props.signal.addEventListener("abort", () =>
+            reject(Error("Mount aborted"))
+          );
+        });
+      },
+      async unmount() {},
+      timeouts,
+    };
+  }
+
+  it(`is given to lifecycle functions, and isn't aborted once they finish`, async () => {
+    let mountProps;
+
+    singleSpa.registerApplication({
+      name: "signal-app",
+      app: {
+        async bootstrap() {},
+        async mount(props) {
+          mountProps = props;
+        },
+        async unmount() {},
+      },
+      activeWhen: "/signal-app",
+    });
+
+    singleSpa.navigateToUrl("/signal-app");
+    await singleSpa.triggerAppChange();
+
+    expect(mountProps.signal).toBeInstanceOf(AbortSignal);
+    expect(mountProps.signal.aborted).toBe(false);
+
+    singleSpa.navigateToUrl("/");
+    await singleSpa.triggerAppChange();
+
+    expect(mountProps.signal.aborted).toBe(false);
+
+    await singleSpa.unregisterApplication("signal-app");
+  });
+
+  it(`is aborted when a navigation means the application isn't wanted anymore`, async () => {
+    const signals = [];
+
+    singleSpa.registerApplication({
+      name: "superseded",
+      app: createApp(signals),
+      activeWhen: "/superseded",
+    });
+
+    singleSpa.navigateToUrl("/superseded");
+    const appChange = singleSpa.triggerAppChange();
+    await wait(10);
+
+    expect(signals.length).toBe(1);
+    expect(signals[0].aborted).toBe(false);
+
+    // Like the back button
+    singleSpa.navigateToUrl("/");
+    expect(signals[0].aborted).toBe(true);
+
+    await appChange;
+    await singleSpa.triggerAppChange();
+
+    // Rejecting because of the abort doesn't break the app
+    expect(errorHandler).not.toHaveBeenCalled();
+    expect(singleSpa.getAppStatus("superseded")).toBe(singleSpa.NOT_MOUNTED);
+
+    await singleSpa.unregisterApplication("superseded");
+  });
+
+  it(`puts the application back in NOT_BOOTSTRAPPED when its bootstrap is aborted`, async () => {
+    const signals = [];
+
+    singleSpa.registerApplication({
+      name: "aborted-bootstrap",
+      app: {
+        bootstrap(props) {
+          signals.push(props.signal);
+
+          // The first bootstrap waits until it's aborted, the next one finishes
+          return signals.length > 1
+            ? Promise.resolve()
+            : new Promise((resolve, reject) => {
+                props.signal.addEventListener("abort", () =>
+                  reject(Error("Bootstrap aborted"))
+                );
+              });
+        },
+        async mount() {},
+        async unmount() {},
+      },
+      activeWhen: "/aborted-bootstrap",
+    });
+
+    singleSpa.navigateToUrl("/aborted-bootstrap");
+    const appChange = singleSpa.triggerAppChange();
+    await wait(10);
+
+    singleSpa.navigateToUrl("/");
+    expect(signals[0].aborted).toBe(true);
+
+    await appChange;
+    await singleSpa.triggerAppChange();
+
+    expect(errorHandler).not.toHaveBeenCalled();
+    expect(singleSpa.getAppStatus("aborted-bootstrap")).toBe(
+      singleSpa.NOT_BOOTSTRAPPED
+    );
+
+    singleSpa.navigateToUrl("/aborted-bootstrap");
+    await singleSpa.triggerAppChange();
+
+    expect(signals.length).toBe(2);
+    expect(singleSpa.getAppStatus("aborted-bootstrap")).toBe(singleSpa.MOUNTED);
+
+    await singleSpa.unregisterApplication("aborted-bootstrap");
+  });
+
+  it(`isn't aborted by navigations while preloadApplication bootstraps`, async () => {
+    let bootstrapProps, finishBootstrap;
+
+    singleSpa.registerApplication({
+      name: "preloaded",
+      app: {
+        bootstrap(props) {
+          bootstrapProps = props;
+
+          return new Promise((resolve, reject) => {
+            finishBootstrap = resolve;
+            props.signal.addEventListener("abort", () =>
+              reject(Error("Bootstrap aborted"))
+            );
+          });
+        },
+        async mount() {},
+        async unmount() {},
+      },
+      activeWhen: "/preloaded",
+    });
+
+    const preloadPromise = singleSpa.preloadApplication("preloaded", {
+      bootstrap: true,
+    });
+    await wait(10);
+
+    singleSpa.navigateToUrl("/somewhere-else");
+    await singleSpa.triggerAppChange();
+    expect(bootstrapProps.signal.aborted).toBe(false);
+
+    finishBootstrap();
+    await preloadPromise;
+
+    expect(errorHandler).not.toHaveBeenCalled();
+    expect(singleSpa.getAppStatus("preloaded")).toBe(singleSpa.NOT_MOUNTED);
+
+    await singleSpa.unregisterApplication("preloaded");
+  });
+
+  it(`is aborted by navigations when preloadApplication joins a bootstrap that a reroute started`, async () => {
+    let bootstrapProps;
+
+    singleSpa.registerApplication({
+      name: "rerouted-then-preloaded",
+      app: {
+        bootstrap(props) {
+          bootstrapProps = props;
+
+          return new Promise((resolve, reject) => {
+            props.signal.addEventListener("abort", () =>
+              reject(Error("Bootstrap aborted"))
+            );
+          });
+        },
+        async mount() {},
+        async unmount() {},
+      },
+      activeWhen: "/rerouted-then-preloaded",
+    });
+
+    singleSpa.navigateToUrl("/rerouted-then-preloaded");
+    const appChange = singleSpa.triggerAppChange();
+    await wait(10);
+
+    const preloadPromise = singleSpa.preloadApplication(
+      "rerouted-then-preloaded",
+      { bootstrap: true }
+    );
+    await wait(0);
+
+    singleSpa.navigateToUrl("/");
+    expect(bootstrapProps.signal.aborted).toBe(true);
+
+    await appChange;
+    await preloadPromise;
+    await singleSpa.triggerAppChange();
+
+    expect(errorHandler).not.toHaveBeenCalled();
+    expect(singleSpa.getAppStatus("rerouted-then-preloaded")).toBe(
+      singleSpa.NOT_BOOTSTRAPPED
+    );
+
+    await singleSpa.unregisterApplication("rerouted-then-preloaded");
+  });
+
+  it(`is aborted when the lifecycle times out with dieOnTimeout`, async () => {
+    const signals = [];
+
+    singleSpa.registerApplication({
+      name: "times-out",
+      app: createApp(signals, { mount: { millis: 10, dieOnTimeout: true } }),
+      activeWhen: "/times-out",
+    });
+
+    singleSpa.navigateToUrl("/times-out");
+    await singleSpa.triggerAppChange();
+
+    expect(signals[0].aborted).toBe(true);
+    expect(errorHandler).toHaveBeenCalledTimes(1);
+    expect(errorHandler.mock.calls[0][0].code).toBe(31);
+    expect(singleSpa.getAppStatus("times-out")).toBe(
+      singleSpa.SKIP_BECAUSE_BROKEN
+    );
+
+    await singleSpa.unregisterApplication("times-out");
+  });
+
+  it(`is aborted when the application is unregistered`, async () => {
+    const signals = [];
+
+    singleSpa.registerApplication({
+      name: "unregistered",
+      app: createApp(signals),
+      activeWhen: "/unregistered",
+    });
+
+    singleSpa.navigateToUrl("/unregistered");
+    const appChange = singleSpa.triggerAppChange();
+    await wait(10);
+
+    const unregisterPromise = singleSpa.unregisterApplication("unregistered");
+    expect(signals[0].aborted).toBe(true);
+
+    await unregisterPromise;
+    await appChange;
+
+    expect(errorHandler).not.toHaveBeenCalled();
+    expect(singleSpa.getAppNames()).toEqual([]);
+  });
+});
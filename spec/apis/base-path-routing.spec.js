@@ -0,0 +1,87 @@
+import * as singleSpa from "single-spa";
+
+describe(`basePath start option`, () => {
+  let routingEvents = [],
+    props;
+
+  const app = {
+    async mount(mountProps) {
+      props = mountProps;
+    },
+    async unmount() {},
+    async update(updateProps) {
+      props = updateProps;
+    },
+  };
+
+  beforeAll(() => {
+    singleSpa.registerApplication({
+      name: "base-path-users",
+      app,
+      activeWhen: "/users/:id",
+    });
+    singleSpa.start({ basePath: "/portal/" });
+    window.addEventListener("single-spa:routing-event", handleRoutingEvent);
+  });
+
+  afterAll(() => {
+    window.removeEventListener("single-spa:routing-event", handleRoutingEvent);
+  });
+
+  beforeEach(() => {
+    routingEvents = [];
+  });
+
+  function handleRoutingEvent(evt) {
+    routingEvents.push(evt);
+  }
+
+  it(`prefixes urls given to navigateToUrl with the base path`, async () => {
+    singleSpa.navigateToUrl("/users/1?tab=info");
+    await singleSpa.triggerAppChange();
+
+    expect(location.pathname).toBe("/portal/users/1");
+    expect(location.search).toBe("?tab=info");
+  });
+
+  it(`matches activeWhen paths relative to the base path`, async () => {
+    singleSpa.navigateToUrl("/users/2");
+    await singleSpa.triggerAppChange();
+
+    expect(singleSpa.getMountedApps()).toEqual(["base-path-users"]);
+    expect(props.routeParams).toEqual({ id: "2" });
+  });
+
+  it(`gives routing events urls relative to the base path`, async () => {
+    singleSpa.navigateToUrl("/users/1#details");
+    await singleSpa.triggerAppChange();
+
+    expect(routingEvents.length).toBeGreaterThan(0);
+    expect(routingEvents[0].detail.oldUrl).toBe("/users/2");
+    expect(routingEvents[0].detail.newUrl).toBe("/users/1#details");
+  });
+
+  it(`doesn't activate applications outside of the base path`, async () => {
+    singleSpa.navigateToUrl("http://localhost/users/1");
+    await singleSpa.triggerAppChange();
+    expect(singleSpa.getMountedApps()).toEqual([]);
+    expect(routingEvents[routingEvents.length - 1].detail.newUrl).toBe(
+      "http://localhost/users/1"
+    );
+
+    singleSpa.navigateToUrl("http://localhost/portalx/users/1");
+    await singleSpa.triggerAppChange();
+    expect(singleSpa.getMountedApps()).toEqual([]);
+  });
+
+  it(`leaves full urls and hashes given to navigateToUrl alone`, async () => {
+    singleSpa.navigateToUrl("http://localhost/portal/users/3");
+    await singleSpa.triggerAppChange();
+    expect(location.pathname).toBe("/portal/users/3");
+
+    singleSpa.navigateToUrl("#/hash");
+    await singleSpa.triggerAppChange();
+    expect(location.pathname).toBe("/portal/users/3");
+    expect(location.hash).toBe("#/hash");
+  });
+});
@@ -0,0 +1,250 @@
+import * as singleSpa from "single-spa";
+
+describe(`createSingleSpa`, () => {
+  const portal = singleSpa.createSingleSpa({
+    name: "portal",
+    urlPrefix: "/portal",
+  });
+  let mountProps = [];
+
+  beforeAll(() => {
+    singleSpa.start();
+  });
+
+  beforeEach(async () => {
+    singleSpa.navigateToUrl("/");
+    await singleSpa.triggerAppChange();
+    mountProps = [];
+  });
+
+  function wait(millis) {
+    return new Promise((resolve) => setTimeout(resolve, millis));
+  }
+
+  function createApp(mount) {
+    return {
+      async bootstrap() {},
+      async mount(props) {
+        mountProps.push(props);
+        if (mount) {
+          await mount();
+        }
+      },
+      async unmount() {},
+    };
+  }
+
+  it(`throws for invalid options`, () => {
+    expect(() => {
+      singleSpa.createSingleSpa({ urlPrefix: "portal" });
+    }).toThrowError(/createSingleSpa\(\) was called with invalid options/);
+    expect(() => {
+      singleSpa.createSingleSpa({ domElement: "#portal" });
+    }).toThrowError(/createSingleSpa\(\) was called with invalid options/);
+  });
+
+  it(`has its own registry of applications`, async () => {
+    singleSpa.registerApplication({
+      name: "navbar",
+      app: createApp(),
+      activeWhen: "/",
+    });
+    portal.registerApplication({
+      name: "navbar",
+      app: createApp(),
+      activeWhen: "/",
+    });
+
+    expect(singleSpa.getAppNames()).toEqual(["navbar"]);
+    expect(portal.getAppNames()).toEqual(["navbar"]);
+
+    // The portal hasn't been started yet, so its applications aren't mounted
+    await singleSpa.triggerAppChange();
+    expect(singleSpa.getAppStatus("navbar")).toBe(singleSpa.MOUNTED);
+    expect(portal.getAppStatus("navbar")).not.toBe(singleSpa.MOUNTED);
+
+    portal.start();
+    singleSpa.navigateToUrl("/portal/home");
+    await portal.triggerAppChange();
+
+    expect(portal.getMountedApps()).toEqual(["navbar"]);
+    expect(singleSpa.getMountedApps()).toEqual(["navbar"]);
+
+    await portal.unregisterApplication("navbar");
+    expect(portal.getAppNames()).toEqual([]);
+    expect(singleSpa.getAppStatus("navbar")).toBe(singleSpa.MOUNTED);
+    await singleSpa.unregisterApplication("navbar");
+  });
+
+  it(`only activates its applications within its urlPrefix`, async () => {
+    portal.registerApplication({
+      name: "portal-home",
+      app: createApp(),
+      activeWhen: "/",
+    });
+
+    await singleSpa.triggerAppChange();
+    expect(portal.checkActivityFunctions()).toEqual([]);
+    expect(portal.getAppStatus("portal-home")).not.toBe(singleSpa.MOUNTED);
+
+    singleSpa.navigateToUrl("/portals");
+    await singleSpa.triggerAppChange();
+    expect(portal.getAppStatus("portal-home")).not.toBe(singleSpa.MOUNTED);
+
+    singleSpa.navigateToUrl("/portal/home");
+    await singleSpa.triggerAppChange();
+    expect(portal.getAppStatus("portal-home")).toBe(singleSpa.MOUNTED);
+    expect(portal.checkActivityFunctions()).toEqual(["portal-home"]);
+  });
+
+  it(`passes itself to its applications as the singleSpa prop`, async () => {
+    singleSpa.navigateToUrl("/portal/home");
+    await singleSpa.triggerAppChange();
+
+    const props = mountProps.find((props) => props.name === "portal-home");
+    expect(props.singleSpa).toBe(portal);
+  });
+
+  it(`has its own error handlers`, async () => {
+    const portalErrors = [],
+      defaultErrors = [];
+    const portalHandler = (err) => portalErrors.push(err);
+    const defaultHandler = (err) => defaultErrors.push(err);
+    portal.addErrorHandler(portalHandler);
+    singleSpa.addErrorHandler(defaultHandler);
+
+    portal.registerApplication({
+      name: "portal-broken",
+      app: createApp(() => Promise.reject(Error("the portal is broken"))),
+      activeWhen: "/portal/broken",
+    });
+    singleSpa.navigateToUrl("/portal/broken");
+    await singleSpa.triggerAppChange();
+
+    expect(portal.getAppStatus("portal-broken")).toBe(
+      singleSpa.SKIP_BECAUSE_BROKEN
+    );
+    expect(portalErrors.length).toBe(1);
+    expect(portalErrors[0].appOrParcelName).toBe("portal-broken");
+    expect(defaultErrors).toEqual([]);
+
+    expect(singleSpa.removeErrorHandler(portalHandler)).toBe(false);
+    expect(portal.removeErrorHandler(portalHandler)).toBe(true);
+    singleSpa.removeErrorHandler(defaultHandler);
+  });
+
+  it(`has its own timeouts`, async () => {
+    const portalErrors = [];
+    const portalHandler = (err) => portalErrors.push(err);
+    portal.addErrorHandler(portalHandler);
+    portal.setMountMaxTime(20, true);
+
+    portal.registerApplication({
+      name: "portal-slow",
+      app: createApp(() => new Promise(() => {})),
+      activeWhen: "/portal/slow",
+    });
+    singleSpa.navigateToUrl("/portal/slow");
+    await singleSpa.triggerAppChange();
+
+    expect(portal.getAppStatus("portal-slow")).toBe(
+      singleSpa.SKIP_BECAUSE_BROKEN
+    );
+    expect(portalErrors[0].message).toMatch(/did not resolve or reject/);
+    portal.removeErrorHandler(portalHandler);
+  });
+
+  it(`doesn't let an application's timeouts change the timeouts of the others`, async () => {
+    const portalErrors = [];
+    const portalHandler = (err) => portalErrors.push(err);
+    portal.addErrorHandler(portalHandler);
+    portal.setMountMaxTime(20, true);
+
+    const patientApp = createApp(() => wait(40));
+    patientApp.timeouts = { mount: { millis: 200, dieOnTimeout: true } };
+    portal.registerApplication({
+      name: "portal-patient",
+      app: patientApp,
+      activeWhen: "/portal/patient",
+    });
+    portal.registerApplication({
+      name: "portal-impatient",
+      app: createApp(() => wait(40)),
+      activeWhen: "/portal/impatient",
+    });
+
+    singleSpa.navigateToUrl("/portal/patient");
+    await singleSpa.triggerAppChange();
+    singleSpa.navigateToUrl("/portal/impatient");
+    await singleSpa.triggerAppChange();
+
+    expect(portal.getAppStatus("portal-patient")).toBe(singleSpa.NOT_MOUNTED);
+    expect(portal.getAppStatus("portal-impatient")).toBe(
+      singleSpa.SKIP_BECAUSE_BROKEN
+    );
+    expect(portalErrors.length).toBe(1);
+    expect(portalErrors[0].appOrParcelName).toBe("portal-impatient");
+    portal.removeErrorHandler(portalHandler);
+  });
+
+  it(`looks for its applications' containers inside of its domElement`, async () => {
+    const outside = document.createElement("div");
+    outside.id = "single-spa-application:scoped-keep-alive";
+    document.body.appendChild(outside);
+
+    const domElement = document.createElement("div");
+    const inside = document.createElement("div");
+    inside.id = "single-spa-application:scoped-keep-alive";
+    domElement.appendChild(inside);
+    document.body.appendChild(domElement);
+
+    const scoped = singleSpa.createSingleSpa({ domElement });
+    scoped.start();
+    scoped.registerApplication({
+      name: "scoped-keep-alive",
+      app: createApp(),
+      activeWhen: "/scoped",
+      keepAlive: true,
+    });
+
+    singleSpa.navigateToUrl("/scoped");
+    await singleSpa.triggerAppChange();
+    singleSpa.navigateToUrl("/");
+    await singleSpa.triggerAppChange();
+
+    expect(scoped.getAppStatus("scoped-keep-alive")).toBe(singleSpa.FROZEN);
+    expect(inside.style.display).toBe("none");
+    expect(outside.style.display).toBe("");
+  });
+
+  it(`warns about options passed to start() after single-spa was started`, () => {
+    const consoleWarn = jest
+      .spyOn(console, "warn")
+      .mockImplementation(() => {});
+    const restarted = singleSpa.createSingleSpa({ name: "restarted" });
+
+    restarted.start({ urlRerouteOnly: false });
+
+    expect(consoleWarn).toHaveBeenCalledWith(expect.stringMatching(/#91/), {
+      urlRerouteOnly: false,
+    });
+    consoleWarn.mockRestore();
+  });
+
+  it(`doesn't schedule preloads again when an instance is started twice`, async () => {
+    const preload = jest.fn();
+    const twice = singleSpa.createSingleSpa({ name: "started-twice" });
+    twice.registerApplication({
+      name: "preloaded-once",
+      app: createApp(),
+      activeWhen: "/preloaded-once",
+      preload,
+    });
+
+    twice.start();
+    twice.start();
+    await singleSpa.triggerAppChange();
+
+    expect(preload).toHaveBeenCalledTimes(1);
+  });
+});
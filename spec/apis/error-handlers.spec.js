@@ -31,18 +31,25 @@ describe("error handlers api", () => {
 
     return singleSpa.triggerAppChange().then(() => {
       expect(errs.length).toBe(1);
+      expect(errs[0]).toBeInstanceOf(singleSpa.SingleSpaError);
+      expect(errs[0]).toBeInstanceOf(Error);
       expect(errs[0].appOrParcelName).toBe("load-error");
-      expect(errs[0].message).toMatch(
-        `'load-error' died in status LOADING_SOURCE_CODE: "Could not load this one"`
-      );
+      expect(errs[0].appOrParcelType).toBe("application");
+      expect(errs[0].message).toBe("Could not load this one");
+      expect(errs[0].cause).toBe("Could not load this one");
+      expect(errs[0].lifecycle).toBe("load");
+      expect(errs[0].previousStatus).toBe("LOADING_SOURCE_CODE");
+      expect(errs[0].newStatus).toBe("LOAD_ERROR");
+      expect(errs[0].code).toBe(null);
       expect(singleSpa.getAppStatus("load-error")).toBe(singleSpa.LOAD_ERROR);
     });
   });
 
   it(`reports an error during bootstrap`, () => {
+    const bootstrapError = new Error(`couldn't bootstrap`);
     const app = {
       bootstrap() {
-        return Promise.reject(new Error(`couldn't bootstrap`));
+        return Promise.reject(bootstrapError);
       },
       mount() {
         return Promise.resolve();
@@ -63,9 +70,13 @@ describe("error handlers api", () => {
     return singleSpa.triggerAppChange().then(() => {
       expect(errs.length).toBe(1);
       expect(errs[0].appOrParcelName).toBe("bootstrap-error");
-      expect(errs[0].message).toMatch(
-        `'bootstrap-error' died in status BOOTSTRAPPING: couldn't bootstrap`
-      );
+      expect(errs[0].message).toBe(`couldn't bootstrap`);
+      expect(errs[0].lifecycle).toBe("bootstrap");
+      expect(errs[0].previousStatus).toBe("BOOTSTRAPPING");
+      // The error that the app threw is left as it is
+      expect(errs[0].cause).toBe(bootstrapError);
+      expect(errs[0].stack).toBe(bootstrapError.stack);
+      expect(bootstrapError.message).toBe(`couldn't bootstrap`);
       expect(singleSpa.getAppStatus("bootstrap-error")).toBe(
         singleSpa.SKIP_BECAUSE_BROKEN
       );
@@ -96,11 +107,8 @@ describe("error handlers api", () => {
     return singleSpa.triggerAppChange().then(() => {
       expect(errs.length).toBe(1);
       expect(errs[0].appOrParcelName).toBe("mount-error");
-      expect(
-        errs[0].message.indexOf(
-          `'mount-error' died in status NOT_MOUNTED: "couldn't mount"`
-        )
-      ).toBeGreaterThan(-1);
+      expect(errs[0].message).toBe(`couldn't mount`);
+      expect(errs[0].lifecycle).toBe("mount");
     });
   });
 
@@ -134,11 +142,9 @@ describe("error handlers api", () => {
       .then(() => {
         expect(errs.length).toBe(1);
         expect(errs[0].appOrParcelName).toBe("unmount-error");
-        expect(
-          errs[0].message.indexOf(
-            `'unmount-error' died in status UNMOUNTING: couldn't unmount`
-          )
-        ).toBeGreaterThan(-1);
+        expect(errs[0].message).toBe(`couldn't unmount`);
+        expect(errs[0].lifecycle).toBe("unmount");
+        expect(errs[0].previousStatus).toBe("UNMOUNTING");
       });
   });
 
@@ -164,14 +170,31 @@ describe("error handlers api", () => {
     return singleSpa.triggerAppChange().then(() => {
       expect(errs.length).toBe(1);
       expect(errs[0].appOrParcelName).toBe("activity-error");
-      expect(
-        errs[0].message.indexOf(
-          `'activity-error' died in status NOT_LOADED: bad activity function`
-        )
-      ).toBeGreaterThan(-1);
+      expect(errs[0].message).toBe(`bad activity function`);
+      expect(errs[0].lifecycle).toBe("activeWhen");
+      expect(errs[0].previousStatus).toBe("NOT_LOADED");
     });
   });
 
+  it(`reports single-spa's own errors with their code`, async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    singleSpa.registerApplication(
+      "invalid-lifecycles",
+      () => Promise.resolve({ bootstrap() {}, mount() {} }),
+      (location) => location.hash === "#invalid-lifecycles"
+    );
+
+    location.hash = "#invalid-lifecycles";
+    await singleSpa.triggerAppChange();
+    console.error.mockRestore();
+
+    expect(errs.length).toBe(1);
+    expect(errs[0].code).toBe(37);
+    expect(errs[0].message).toMatch(/single-spa minified message #37/);
+    expect(errs[0].lifecycle).toBe("load");
+    expect(errs[0].newStatus).toBe("SKIP_BECAUSE_BROKEN");
+  });
+
   it(`only throws one error when the application or parcel fails to mount`, async () => {
     const app = {
       async bootstrap() {},
@@ -194,4 +217,147 @@ describe("error handlers api", () => {
     expect(errs[0].message).toMatch("the mount failed");
     expect(errs[0].message).not.toMatch("the unmount");
   });
+
+  describe(`scoped error handlers`, () => {
+    function createParcelConfig(failures) {
+      return {
+        async bootstrap() {},
+        async mount() {
+          if (failures.mount) throw Error("the parcel's mount failed");
+        },
+        async unmount() {},
+        async update() {
+          if (failures.update) throw Error("the parcel's update failed");
+        },
+      };
+    }
+
+    it(`throws for invalid scopes and onError options`, () => {
+      expect(() => {
+        singleSpa.addErrorHandler(handleError, { name: "app" });
+      }).toThrowError(/must be \{ app: name \} or a parcel/);
+
+      expect(() => {
+        singleSpa.registerApplication({
+          name: "invalid-on-error",
+          app: createParcelConfig({}),
+          activeWhen: "/",
+          onError: "log",
+        });
+      }).toThrowError(/config.onError on registerApplication must be/);
+
+      expect(() => {
+        singleSpa.mountRootParcel(
+          createParcelConfig({}),
+          { domElement: document.createElement("div") },
+          { onError: "log" }
+        );
+      }).toThrowError(/onError option of mountParcel must be a function/);
+    });
+
+    it(`calls the onError of the application and handlers scoped to it before the global ones`, async () => {
+      const calls = [];
+      const scopedHandler = (err) => calls.push("scoped");
+
+      singleSpa.registerApplication({
+        name: "scoped-mount-error",
+        app: createParcelConfig({ mount: true }),
+        activeWhen: (location) => location.hash === "#scoped-mount-error",
+        onError(err) {
+          calls.push("onError");
+          expect(err.appOrParcelName).toBe("scoped-mount-error");
+        },
+      });
+      singleSpa.addErrorHandler(scopedHandler, { app: "scoped-mount-error" });
+      singleSpa.addErrorHandler(scopedHandler, { app: "some-other-app" });
+
+      location.hash = "#scoped-mount-error";
+      await singleSpa.triggerAppChange();
+
+      expect(calls).toEqual(["onError", "scoped"]);
+      expect(errs.length).toBe(1);
+      expect(singleSpa.removeErrorHandler(scopedHandler)).toBe(true);
+    });
+
+    it(`doesn't call the global handlers for errors that were marked as handled`, async () => {
+      const scopedHandler = jest.fn((err, context) => context.markHandled());
+
+      singleSpa.registerApplication({
+        name: "handled-mount-error",
+        app: createParcelConfig({ mount: true }),
+        activeWhen: (location) => location.hash === "#handled-mount-error",
+      });
+      singleSpa.addErrorHandler(scopedHandler, { app: "handled-mount-error" });
+
+      location.hash = "#handled-mount-error";
+      await singleSpa.triggerAppChange();
+
+      expect(scopedHandler).toHaveBeenCalledTimes(1);
+      expect(errs.length).toBe(0);
+      expect(singleSpa.getAppStatus("handled-mount-error")).toBe(
+        singleSpa.SKIP_BECAUSE_BROKEN
+      );
+      singleSpa.removeErrorHandler(scopedHandler);
+    });
+
+    it(`bubbles parcel errors up to the application that mounted them`, async () => {
+      const calls = [];
+      let parcel;
+
+      singleSpa.registerApplication({
+        name: "parcel-owner",
+        app: {
+          async bootstrap() {},
+          async mount(props) {
+            parcel = props.mountParcel(
+              createParcelConfig({ update: true }),
+              { domElement: document.createElement("div") },
+              { onError: () => calls.push("parcel onError") }
+            );
+            await parcel.mountPromise;
+          },
+          async unmount() {},
+        },
+        activeWhen: (location) => location.hash === "#parcel-owner",
+        onError: (err, context) => {
+          calls.push("app onError");
+          expect(err.appOrParcelName).toMatch(/^parcel-/);
+          context.markHandled();
+        },
+      });
+
+      location.hash = "#parcel-owner";
+      await singleSpa.triggerAppChange();
+
+      const parcelHandler = () => calls.push("parcel handler");
+      singleSpa.addErrorHandler(parcelHandler, parcel);
+
+      // Handled errors aren't thrown to the caller either
+      await parcel.update({});
+
+      expect(calls).toEqual([
+        "parcel onError",
+        "parcel handler",
+        "app onError",
+      ]);
+      expect(parcel.getStatus()).toBe(singleSpa.SKIP_BECAUSE_BROKEN);
+      expect(errs.length).toBe(0);
+      singleSpa.removeErrorHandler(parcelHandler);
+    });
+
+    it(`still throws parcel errors that no one handled to the caller`, async () => {
+      const onError = jest.fn();
+      const parcel = singleSpa.mountRootParcel(
+        createParcelConfig({ mount: true }),
+        { domElement: document.createElement("div") },
+        { onError }
+      );
+
+      await expect(parcel.mountPromise).rejects.toThrow(
+        "the parcel's mount failed"
+      );
+      expect(onError).toHaveBeenCalledTimes(1);
+      expect(errs.length).toBe(0);
+    });
+  });
 });
@@ -0,0 +1,146 @@
+import * as singleSpa from "single-spa";
+
+describe(`eventBus`, () => {
+  const { eventBus } = singleSpa;
+
+  beforeAll(() => {
+    singleSpa.start();
+  });
+
+  beforeEach(async () => {
+    singleSpa.navigateToUrl("/");
+    await singleSpa.triggerAppChange();
+  });
+
+  it(`throws for invalid topics`, () => {
+    expect(() => {
+      eventBus.publish("", {});
+    }).toThrowError(/topics must be non-empty strings/);
+    expect(() => {
+      eventBus.subscribe(null, () => {});
+    }).toThrowError(/topics must be non-empty strings/);
+  });
+
+  it(`calls the subscribers of a topic with what is published to it`, () => {
+    const listener = jest.fn();
+    const otherListener = jest.fn();
+    const unsubscribe = eventBus.subscribe("greeting", listener);
+    eventBus.subscribe("other-topic", otherListener);
+
+    eventBus.publish("greeting", { text: "hi" });
+    expect(listener).toHaveBeenCalledWith(
+      { text: "hi" },
+      { topic: "greeting", sender: null }
+    );
+    expect(otherListener).not.toHaveBeenCalled();
+
+    unsubscribe();
+    eventBus.publish("greeting", { text: "bye" });
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it(`replays the last message to late subscribers that ask for it`, () => {
+    eventBus.publish("theme", "light");
+    eventBus.publish("theme", "dark");
+
+    const lateListener = jest.fn();
+    const replayListener = jest.fn();
+    eventBus.subscribe("theme", lateListener);
+    eventBus.subscribe("theme", replayListener, { replay: true });
+
+    expect(lateListener).not.toHaveBeenCalled();
+    expect(replayListener).toHaveBeenCalledTimes(1);
+    expect(replayListener).toHaveBeenCalledWith("dark", {
+      topic: "theme",
+      sender: null,
+    });
+  });
+
+  it(`keeps notifying subscribers when one of them throws`, () => {
+    const listener = jest.fn();
+    jest.spyOn(console, "error").mockImplementationOnce(() => {});
+
+    eventBus.subscribe("throwing-subscriber", () => {
+      throw Error("subscriber error");
+    });
+    eventBus.subscribe("throwing-subscriber", listener);
+    eventBus.publish("throwing-subscriber", 1);
+
+    expect(listener).toHaveBeenCalled();
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  it(`resolves requests with what the responder returns`, async () => {
+    const stopResponding = eventBus.respond("add", ({ a, b }) => a + b);
+
+    expect(() => {
+      eventBus.respond("add", () => 0);
+    }).toThrowError(/already has a responder/);
+
+    await expect(eventBus.request("add", { a: 1, b: 2 })).resolves.toBe(3);
+
+    eventBus.respond("async-add", ({ a, b }) => Promise.resolve(a + b));
+    await expect(eventBus.request("async-add", { a: 2, b: 2 })).resolves.toBe(
+      4
+    );
+
+    stopResponding();
+    await expect(eventBus.request("add", { a: 1, b: 2 })).rejects.toThrowError(
+      /There is no responder/
+    );
+  });
+
+  it(`rejects requests that the responder throws for or doesn't respond to in time`, async () => {
+    eventBus.respond("throwing-responder", () => {
+      throw Error("responder error");
+    });
+    await expect(eventBus.request("throwing-responder")).rejects.toThrowError(
+      "responder error"
+    );
+
+    eventBus.respond("slow-responder", () => new Promise(() => {}));
+    await expect(
+      eventBus.request("slow-responder", null, { timeoutMillis: 20 })
+    ).rejects.toThrowError(/did not respond within 20 milliseconds/);
+  });
+
+  it(`gives applications the event bus in their props, and tears down their listeners on unmount`, async () => {
+    const messages = [];
+
+    singleSpa.registerApplication({
+      name: "bus-app",
+      app: {
+        async bootstrap() {},
+        async mount(props) {
+          props.eventBus.subscribe("bus-app-topic", (payload, meta) =>
+            messages.push([payload, meta.sender])
+          );
+          props.eventBus.respond("bus-app-request", () => "response");
+          props.eventBus.publish("bus-app-topic", "mounted");
+        },
+        async unmount() {},
+      },
+      activeWhen: "/bus-app",
+    });
+
+    singleSpa.navigateToUrl("/bus-app");
+    await singleSpa.triggerAppChange();
+
+    eventBus.publish("bus-app-topic", "from root config");
+    expect(messages).toEqual([
+      ["mounted", "bus-app"],
+      ["from root config", null],
+    ]);
+    await expect(eventBus.request("bus-app-request")).resolves.toBe("response");
+
+    singleSpa.navigateToUrl("/");
+    await singleSpa.triggerAppChange();
+    expect(singleSpa.getAppStatus("bus-app")).toBe(singleSpa.NOT_MOUNTED);
+
+    eventBus.publish("bus-app-topic", "after unmount");
+    expect(messages.length).toBe(2);
+    await expect(eventBus.request("bus-app-request")).rejects.toThrowError(
+      /There is no responder/
+    );
+  });
+});
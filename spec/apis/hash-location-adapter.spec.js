@@ -0,0 +1,44 @@
+import * as singleSpa from "single-spa";
+
+describe(`createHashLocation`, () => {
+  beforeAll(() => {
+    singleSpa.registerApplication({
+      name: "hash-location-users",
+      app: {
+        async bootstrap() {},
+        async mount() {},
+        async unmount() {},
+      },
+      activeWhen: "/users",
+    });
+
+    location.hash = "#/";
+    singleSpa.start({ locationAdapter: singleSpa.createHashLocation() });
+  });
+
+  it(`routes on the hash fragment as if it were the url`, async () => {
+    await singleSpa.triggerAppChange();
+    expect(singleSpa.getMountedApps()).toEqual([]);
+
+    singleSpa.navigateToUrl("/users?id=1");
+    await singleSpa.triggerAppChange();
+
+    expect(location.hash).toBe("#/users?id=1");
+    expect(singleSpa.getMountedApps()).toEqual(["hash-location-users"]);
+    expect(singleSpa.checkActivityFunctions()).toEqual(["hash-location-users"]);
+  });
+
+  it(`puts the hash back when a navigation is canceled`, async () => {
+    window.addEventListener("single-spa:before-routing-event", cancel);
+    singleSpa.navigateToUrl("/settings");
+    await singleSpa.triggerAppChange();
+    window.removeEventListener("single-spa:before-routing-event", cancel);
+
+    expect(location.hash).toBe("#/users?id=1");
+    expect(singleSpa.getMountedApps()).toEqual(["hash-location-users"]);
+
+    function cancel(evt) {
+      evt.detail.cancelNavigation();
+    }
+  });
+});
@@ -0,0 +1,69 @@
+import * as singleSpa from "single-spa";
+
+describe(`hash routingMode start option`, () => {
+  let routingEvents = [];
+
+  beforeAll(() => {
+    history.replaceState(null, "", "/some/server/path");
+    singleSpa.registerApplication({
+      name: "hash-mode-settings",
+      app: {
+        async mount() {},
+        async unmount() {},
+      },
+      activeWhen: "/settings",
+    });
+    window.addEventListener("single-spa:routing-event", handleRoutingEvent);
+  });
+
+  afterAll(() => {
+    window.removeEventListener("single-spa:routing-event", handleRoutingEvent);
+  });
+
+  beforeEach(() => {
+    routingEvents = [];
+  });
+
+  function handleRoutingEvent(evt) {
+    routingEvents.push(evt);
+  }
+
+  it(`throws for invalid routing options`, () => {
+    expect(() => {
+      singleSpa.start({ routingMode: "memory" });
+    }).toThrowError(/invalid routingMode/);
+
+    expect(() => {
+      singleSpa.start({ basePath: 1 });
+    }).toThrowError(/invalid basePath/);
+  });
+
+  it(`matches activeWhen paths against the hash and navigates within it`, async () => {
+    singleSpa.start({ routingMode: "hash" });
+    await singleSpa.triggerAppChange();
+    expect(singleSpa.getMountedApps()).toEqual([]);
+
+    singleSpa.navigateToUrl("/settings/profile");
+    await singleSpa.triggerAppChange();
+
+    expect(location.pathname).toBe("/some/server/path");
+    expect(location.hash).toBe("#/settings/profile");
+    expect(singleSpa.getMountedApps()).toEqual(["hash-mode-settings"]);
+  });
+
+  it(`ignores query strings within the hash`, async () => {
+    location.hash = "#/settings?tab=2";
+    await singleSpa.triggerAppChange();
+
+    expect(singleSpa.getMountedApps()).toEqual(["hash-mode-settings"]);
+  });
+
+  it(`gives routing events urls relative to the hash`, async () => {
+    singleSpa.navigateToUrl("/home");
+    await singleSpa.triggerAppChange();
+
+    expect(singleSpa.getMountedApps()).toEqual([]);
+    expect(routingEvents[0].detail.oldUrl).toBe("/settings?tab=2");
+    expect(routingEvents[0].detail.newUrl).toBe("/home");
+  });
+});
@@ -0,0 +1,56 @@
+import * as singleSpa from "single-spa";
+
+describe(`start({ hydrate: true })`, () => {
+  let mountProps = [];
+
+  beforeAll(() => {
+    document.body.innerHTML = `<div id="single-spa-application:hydrated"><p>from the server</p></div><div id="single-spa-application:client-rendered"></div><script type="application/json" id="single-spa-server-state">{"rendered":["hydrated"],"state":{"hydrated":{"count":3}}}</script>`;
+
+    ["hydrated", "client-rendered"].forEach((name) => {
+      singleSpa.registerApplication({
+        name,
+        app: {
+          async bootstrap() {},
+          async mount(props) {
+            mountProps.push(props);
+          },
+          async unmount() {},
+        },
+        activeWhen: (location) => location.hash === "#/",
+      });
+    });
+
+    location.hash = "#/";
+    singleSpa.start({ hydrate: true });
+  });
+
+  it(`mounts server rendered applications in hydration mode with their server state`, async () => {
+    await singleSpa.triggerAppChange();
+
+    const hydratedProps = mountProps.find((props) => props.name === "hydrated");
+    expect(hydratedProps.hydrate).toBe(true);
+    expect(hydratedProps.serverState).toEqual({ count: 3 });
+
+    const clientRenderedProps = mountProps.find(
+      (props) => props.name === "client-rendered"
+    );
+    expect(clientRenderedProps.hydrate).toBeUndefined();
+  });
+
+  it(`renders from scratch after the initial reroute`, async () => {
+    mountProps = [];
+    location.hash = "#/other";
+    await singleSpa.triggerAppChange();
+    location.hash = "#/";
+    await singleSpa.triggerAppChange();
+
+    expect(mountProps.map((props) => props.name)).toEqual([
+      "hydrated",
+      "client-rendered",
+    ]);
+    mountProps.forEach((props) => {
+      expect(props.hydrate).toBeUndefined();
+      expect(props.serverState).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,230 @@
+import * as singleSpa from "single-spa";
+
+describe(`keepAlive registration option`, () => {
+  let lifecycles = [];
+
+  beforeAll(() => {
+    singleSpa.start({ keepAliveMax: 1 });
+  });
+
+  beforeEach(async () => {
+    location.hash = "#/";
+    await singleSpa.triggerAppChange();
+    lifecycles = [];
+  });
+
+  afterEach(async () => {
+    // keepAliveMax counts every frozen app, so don't let them pile up across tests
+    await Promise.all(
+      singleSpa.getAppNames().map(singleSpa.unregisterApplication)
+    );
+  });
+
+  function createApp(name, extraLifecycles) {
+    return Object.assign(
+      {
+        async mount() {
+          lifecycles.push(`${name} mount`);
+          const container = document.createElement("div");
+          container.id = `single-spa-application:${name}`;
+          document.body.appendChild(container);
+        },
+        async unmount() {
+          lifecycles.push(`${name} unmount`);
+          document.body.removeChild(
+            document.getElementById(`single-spa-application:${name}`)
+          );
+        },
+      },
+      extraLifecycles
+    );
+  }
+
+  it(`throws for an invalid keepAlive option`, () => {
+    expect(() => {
+      singleSpa.registerApplication({
+        name: "invalid-keep-alive",
+        app: createApp("invalid-keep-alive"),
+        activeWhen: "#/invalid-keep-alive",
+        keepAlive: { ttlMillis: 0 },
+      });
+    }).toThrowError(/config.keepAlive on registerApplication must be/);
+
+    // How many applications stay frozen is one setting for all of them
+    expect(() => {
+      singleSpa.registerApplication({
+        name: "invalid-keep-alive",
+        app: createApp("invalid-keep-alive"),
+        activeWhen: "#/invalid-keep-alive",
+        keepAlive: { max: 2 },
+      });
+    }).toThrowError(/start\(\{ keepAliveMax \}\)/);
+  });
+
+  it(`calls deactivate and activate instead of unmount and mount`, async () => {
+    const routingEvents = [];
+    singleSpa.registerApplication({
+      name: "keep-alive-lifecycles",
+      app: createApp("keep-alive-lifecycles", {
+        async deactivate() {
+          lifecycles.push("keep-alive-lifecycles deactivate");
+        },
+        async activate() {
+          lifecycles.push("keep-alive-lifecycles activate");
+        },
+      }),
+      activeWhen: "#/keep-alive-lifecycles",
+      keepAlive: true,
+    });
+
+    location.hash = "#/keep-alive-lifecycles";
+    await singleSpa.triggerAppChange();
+
+    window.addEventListener("single-spa:routing-event", handleRoutingEvent);
+    location.hash = "#/";
+    await singleSpa.triggerAppChange();
+    window.removeEventListener("single-spa:routing-event", handleRoutingEvent);
+
+    expect(singleSpa.getAppStatus("keep-alive-lifecycles")).toBe(
+      singleSpa.FROZEN
+    );
+    expect(singleSpa.getMountedApps()).toEqual([]);
+    expect(routingEvents[0].detail.appsByNewStatus[singleSpa.FROZEN]).toEqual([
+      "keep-alive-lifecycles",
+    ]);
+
+    location.hash = "#/keep-alive-lifecycles";
+    await singleSpa.triggerAppChange();
+
+    expect(singleSpa.getAppStatus("keep-alive-lifecycles")).toBe(
+      singleSpa.MOUNTED
+    );
+    expect(lifecycles).toEqual([
+      "keep-alive-lifecycles mount",
+      "keep-alive-lifecycles deactivate",
+      "keep-alive-lifecycles activate",
+    ]);
+
+    function handleRoutingEvent(evt) {
+      routingEvents.push(evt);
+    }
+  });
+
+  it(`hides and shows the container of apps without deactivate and activate lifecycles`, async () => {
+    singleSpa.registerApplication({
+      name: "keep-alive-hidden",
+      app: createApp("keep-alive-hidden"),
+      activeWhen: "#/keep-alive-hidden",
+      keepAlive: true,
+    });
+
+    location.hash = "#/keep-alive-hidden";
+    await singleSpa.triggerAppChange();
+    const container = document.getElementById(
+      "single-spa-application:keep-alive-hidden"
+    );
+
+    location.hash = "#/";
+    await singleSpa.triggerAppChange();
+    expect(singleSpa.getAppStatus("keep-alive-hidden")).toBe(singleSpa.FROZEN);
+    expect(container.style.display).toBe("none");
+
+    location.hash = "#/keep-alive-hidden";
+    await singleSpa.triggerAppChange();
+    expect(singleSpa.getAppStatus("keep-alive-hidden")).toBe(singleSpa.MOUNTED);
+    expect(container.style.display).toBe("");
+    expect(lifecycles).toEqual(["keep-alive-hidden mount"]);
+  });
+
+  it(`unmounts apps without a known container or deactivate lifecycle`, async () => {
+    singleSpa.registerApplication({
+      name: "keep-alive-no-container",
+      app: {
+        async mount() {},
+        async unmount() {
+          lifecycles.push("keep-alive-no-container unmount");
+        },
+      },
+      activeWhen: "#/keep-alive-no-container",
+      keepAlive: true,
+    });
+
+    location.hash = "#/keep-alive-no-container";
+    await singleSpa.triggerAppChange();
+    location.hash = "#/";
+    await singleSpa.triggerAppChange();
+
+    expect(singleSpa.getAppStatus("keep-alive-no-container")).toBe(
+      singleSpa.NOT_MOUNTED
+    );
+    expect(lifecycles).toEqual(["keep-alive-no-container unmount"]);
+  });
+
+  it(`unmounts the least recently frozen apps once there are more than keepAliveMax`, async () => {
+    ["keep-alive-lru-1", "keep-alive-lru-2"].forEach((name) => {
+      singleSpa.registerApplication({
+        name,
+        app: createApp(name),
+        activeWhen: `#/${name}`,
+        keepAlive: true,
+      });
+    });
+
+    location.hash = "#/keep-alive-lru-1";
+    await singleSpa.triggerAppChange();
+    location.hash = "#/keep-alive-lru-2";
+    await singleSpa.triggerAppChange();
+    expect(singleSpa.getAppStatus("keep-alive-lru-1")).toBe(singleSpa.FROZEN);
+
+    location.hash = "#/";
+    await singleSpa.triggerAppChange();
+
+    expect(singleSpa.getAppStatus("keep-alive-lru-1")).toBe(
+      singleSpa.NOT_MOUNTED
+    );
+    expect(singleSpa.getAppStatus("keep-alive-lru-2")).toBe(singleSpa.FROZEN);
+    expect(
+      document.getElementById("single-spa-application:keep-alive-lru-1")
+    ).toBe(null);
+  });
+
+  it(`unmounts apps that have been frozen for longer than ttlMillis`, async () => {
+    singleSpa.registerApplication({
+      name: "keep-alive-ttl",
+      app: createApp("keep-alive-ttl"),
+      activeWhen: "#/keep-alive-ttl",
+      keepAlive: { ttlMillis: 20 },
+    });
+
+    location.hash = "#/keep-alive-ttl";
+    await singleSpa.triggerAppChange();
+    location.hash = "#/";
+    await singleSpa.triggerAppChange();
+    expect(singleSpa.getAppStatus("keep-alive-ttl")).toBe(singleSpa.FROZEN);
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    await singleSpa.triggerAppChange();
+
+    expect(singleSpa.getAppStatus("keep-alive-ttl")).toBe(
+      singleSpa.NOT_MOUNTED
+    );
+    expect(lifecycles).toContain("keep-alive-ttl unmount");
+  });
+
+  it(`unmounts frozen apps when they are unregistered`, async () => {
+    singleSpa.registerApplication({
+      name: "keep-alive-unregister",
+      app: createApp("keep-alive-unregister"),
+      activeWhen: "#/keep-alive-unregister",
+      keepAlive: true,
+    });
+
+    location.hash = "#/keep-alive-unregister";
+    await singleSpa.triggerAppChange();
+    location.hash = "#/";
+    await singleSpa.triggerAppChange();
+
+    await singleSpa.unregisterApplication("keep-alive-unregister");
+    expect(lifecycles).toContain("keep-alive-unregister unmount");
+  });
+});
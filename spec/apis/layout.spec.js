@@ -0,0 +1,277 @@
+import * as singleSpa from "single-spa";
+
+describe(`registerLayout`, () => {
+  let root, sidebar, apps, mountProps;
+
+  beforeAll(() => {
+    root = document.createElement("div");
+    root.id = "layout-root";
+    sidebar = document.createElement("aside");
+    sidebar.id = "layout-sidebar";
+    document.body.appendChild(root);
+    document.body.appendChild(sidebar);
+
+    singleSpa.start();
+  });
+
+  beforeEach(async () => {
+    singleSpa.navigateToUrl("/");
+    await singleSpa.triggerAppChange();
+    apps = {};
+    mountProps = {};
+  });
+
+  function createApp(name) {
+    return {
+      async bootstrap() {},
+      async mount(props) {
+        mountProps[name] = props;
+        props.domElement.textContent = name;
+      },
+      async unmount(props) {
+        props.domElement.textContent = "";
+      },
+    };
+  }
+
+  function loadApp(name) {
+    return apps[name] || Promise.resolve(createApp(name));
+  }
+
+  function containerIds(element) {
+    return Array.prototype.map.call(element.children, (child) => child.id);
+  }
+
+  it(`throws for invalid layouts`, () => {
+    expect(() => {
+      singleSpa.registerLayout({ routes: [] });
+    }).toThrowError(/must be called with a loadApp function/);
+
+    expect(() => {
+      singleSpa.registerLayout({ routes: {} }, { loadApp });
+    }).toThrowError(/a layout must be an object with a routes array/);
+
+    expect(() => {
+      singleSpa.registerLayout(
+        { routes: [{ type: "parcel", name: "parcel" }] },
+        { loadApp }
+      );
+    }).toThrowError(/'parcel' is not a type of route/);
+
+    expect(() => {
+      singleSpa.registerLayout(
+        { routes: [{ type: "route", routes: [] }] },
+        { loadApp }
+      );
+    }).toThrowError(/routes must have a path or be a default route/);
+
+    expect(() => {
+      singleSpa.registerLayout(
+        {
+          routes: [
+            { type: "application", name: "twice" },
+            {
+              type: "route",
+              path: "/twice",
+              routes: [{ type: "application", name: "twice" }],
+            },
+          ],
+        },
+        { loadApp }
+      );
+    }).toThrowError(/application 'twice' is in the layout more than once/);
+
+    expect(singleSpa.getAppNames()).toEqual([]);
+  });
+
+  it(`registers the applications in the layout, and creates and removes their containers`, async () => {
+    const names = singleSpa.registerLayout(
+      {
+        containerEl: "#layout-root",
+        routes: [
+          { type: "application", name: "navbar" },
+          {
+            type: "route",
+            path: "/settings",
+            routes: [
+              {
+                type: "application",
+                name: "settings",
+                props: { theme: "dark" },
+              },
+            ],
+          },
+          {
+            type: "route",
+            path: "/users",
+            routes: [{ type: "application", name: "users" }],
+          },
+          {
+            type: "route",
+            default: true,
+            routes: [{ type: "application", name: "not-found" }],
+          },
+          { type: "application", name: "footer" },
+        ],
+      },
+      { loadApp }
+    );
+
+    expect(names).toEqual([
+      "navbar",
+      "settings",
+      "users",
+      "not-found",
+      "footer",
+    ]);
+
+    singleSpa.navigateToUrl("/settings");
+    await singleSpa.triggerAppChange();
+
+    expect(singleSpa.getMountedApps()).toEqual([
+      "navbar",
+      "settings",
+      "footer",
+    ]);
+    expect(containerIds(root)).toEqual([
+      "single-spa-application:navbar",
+      "single-spa-application:settings",
+      "single-spa-application:footer",
+    ]);
+    expect(root.textContent).toBe("navbarsettingsfooter");
+    expect(mountProps.settings.domElement).toBe(root.children[1]);
+    expect(mountProps.settings.theme).toBe("dark");
+
+    singleSpa.navigateToUrl("/not/a/route");
+    await singleSpa.triggerAppChange();
+
+    expect(singleSpa.getMountedApps()).toEqual([
+      "navbar",
+      "not-found",
+      "footer",
+    ]);
+    expect(containerIds(root)).toEqual([
+      "single-spa-application:navbar",
+      "single-spa-application:not-found",
+      "single-spa-application:footer",
+    ]);
+
+    // Containers are put back in the same order as the layout
+    singleSpa.navigateToUrl("/users");
+    await singleSpa.triggerAppChange();
+
+    expect(containerIds(root)).toEqual([
+      "single-spa-application:navbar",
+      "single-spa-application:users",
+      "single-spa-application:footer",
+    ]);
+
+    await Promise.all(
+      names.map((name) => singleSpa.unregisterApplication(name))
+    );
+    expect(root.children.length).toBe(0);
+  });
+
+  it(`can be an html template, with routes that have their own containerEl`, async () => {
+    const template = document.createElement("template");
+    template.setAttribute("containerEl", "#layout-root");
+    template.innerHTML = `
+      <application name="template-navbar"></application>
+      <route path="/admin" containerEl="#layout-sidebar">
+        <application name="template-admin"></application>
+      </route>
+    `;
+
+    singleSpa.registerLayout(template, { loadApp });
+
+    singleSpa.navigateToUrl("/admin");
+    await singleSpa.triggerAppChange();
+
+    expect(containerIds(root)).toEqual([
+      "single-spa-application:template-navbar",
+    ]);
+    expect(containerIds(sidebar)).toEqual([
+      "single-spa-application:template-admin",
+    ]);
+
+    await singleSpa.unregisterApplication("template-navbar");
+    await singleSpa.unregisterApplication("template-admin");
+  });
+
+  it(`shows the loading html while applications load, and the error html when they break`, async () => {
+    let finishLoading;
+    apps["slow"] = new Promise((resolve) => {
+      finishLoading = () => resolve(createApp("slow"));
+    });
+    apps["broken"] = Promise.reject(Error("Failed to fetch"));
+    const errorHandler = jest.fn();
+    singleSpa.addErrorHandler(errorHandler);
+
+    const template = document.createElement("template");
+    template.setAttribute("containerEl", "#layout-root");
+    template.innerHTML = `
+      <route path="/placeholders">
+        <loading><p>Loading...</p></loading>
+        <error><p>Unavailable</p></error>
+        <application name="slow"></application>
+        <application name="broken"></application>
+      </route>
+    `;
+    singleSpa.registerLayout(template, { loadApp });
+
+    singleSpa.navigateToUrl("/placeholders");
+    const appChange = singleSpa.triggerAppChange();
+    await new Promise((resolve) => setTimeout(resolve));
+
+    expect(root.innerHTML).toContain(
+      `<div id="single-spa-application:slow"><p>Loading...</p></div>`
+    );
+
+    finishLoading();
+    await appChange;
+
+    expect(singleSpa.getAppStatus("slow")).toBe(singleSpa.MOUNTED);
+    expect(singleSpa.getAppStatus("broken")).toBe(singleSpa.LOAD_ERROR);
+    expect(containerIds(root)).toEqual([
+      "single-spa-application:slow",
+      "single-spa-application:broken",
+    ]);
+    expect(root.children[0].textContent).toBe("slow");
+    expect(root.children[1].innerHTML).toBe("<p>Unavailable</p>");
+
+    singleSpa.navigateToUrl("/");
+    await singleSpa.triggerAppChange();
+    expect(root.children.length).toBe(0);
+
+    singleSpa.removeErrorHandler(errorHandler);
+  });
+
+  it(`removes the loading html when the navigation is canceled`, async () => {
+    const template = document.createElement("template");
+    template.setAttribute("containerEl", "#layout-root");
+    template.innerHTML = `
+      <route path="/canceled">
+        <loading><p>Loading...</p></loading>
+        <application name="canceled"></application>
+      </route>
+    `;
+    singleSpa.registerLayout(template, { loadApp });
+    window.addEventListener("single-spa:before-routing-event", cancel);
+
+    singleSpa.navigateToUrl("/canceled");
+    await singleSpa.triggerAppChange();
+    window.removeEventListener("single-spa:before-routing-event", cancel);
+
+    expect(location.pathname).toBe("/");
+    expect(singleSpa.getAppStatus("canceled")).toBe(singleSpa.NOT_LOADED);
+    expect(root.children.length).toBe(0);
+
+    await singleSpa.unregisterApplication("canceled");
+
+    function cancel(evt) {
+      if (evt.detail.newUrl.indexOf("/canceled") >= 0) {
+        evt.detail.cancelNavigation();
+      }
+    }
+  });
+});
@@ -0,0 +1,254 @@
+import * as singleSpa from "single-spa";
+
+describe(`load retry policy`, () => {
+  let errors;
+
+  beforeAll(() => {
+    singleSpa.addErrorHandler(handleError);
+    singleSpa.start();
+  });
+
+  afterAll(() => {
+    singleSpa.removeErrorHandler(handleError);
+  });
+
+  beforeEach(() => {
+    errors = [];
+  });
+
+  afterEach(() => {
+    singleSpa.setLoadRetryPolicy(null);
+    location.hash = "#/";
+  });
+
+  function handleError(err) {
+    errors.push(err);
+  }
+
+  it(`throws for an invalid policy`, () => {
+    expect(() => {
+      singleSpa.setLoadRetryPolicy({ backoff: "random" });
+    }).toThrowError(/'backoff' is invalid/);
+
+    expect(() => {
+      singleSpa.setLoadRetryPolicy({ maxAttempts: 0 });
+    }).toThrowError(/'maxAttempts' is invalid/);
+
+    expect(() => {
+      singleSpa.setLoadRetryPolicy({ jitter: 2 });
+    }).toThrowError(/'jitter' is invalid/);
+
+    expect(() => {
+      singleSpa.registerApplication({
+        name: "invalid-retry-policy",
+        app: async () => ({}),
+        activeWhen: () => false,
+        loadRetryPolicy: { baseMillis: -1 },
+      });
+    }).toThrowError(/'baseMillis' is invalid/);
+  });
+
+  it(`retries loading on its own and gives up after maxAttempts`, async () => {
+    let numLoads = 0;
+    const onGiveUp = jest.fn();
+    const failedEvents = [];
+    window.addEventListener("single-spa:app-load-failed", handleLoadFailed);
+
+    singleSpa.setLoadRetryPolicy({
+      maxAttempts: 3,
+      backoff: "exponential",
+      baseMillis: 5,
+      onGiveUp,
+    });
+
+    singleSpa.registerApplication({
+      name: "retry-gives-up",
+      app: async () => {
+        numLoads++;
+        throw Error("CDN is down");
+      },
+      activeWhen: "#/retry-gives-up",
+    });
+
+    location.hash = "#/retry-gives-up";
+    await singleSpa.triggerAppChange();
+    expect(numLoads).toBe(1);
+    expect(singleSpa.getAppStatus("retry-gives-up")).toBe(singleSpa.LOAD_ERROR);
+
+    await waitForStatus("retry-gives-up", singleSpa.LOAD_FAILED);
+    expect(numLoads).toBe(3);
+    expect(errors.length).toBe(3);
+
+    expect(failedEvents.length).toBe(1);
+    expect(failedEvents[0].detail.appName).toBe("retry-gives-up");
+    expect(failedEvents[0].detail.attempts).toBe(3);
+    expect(failedEvents[0].detail.error).toBe(errors[2]);
+    expect(onGiveUp).toHaveBeenCalledWith(failedEvents[0].detail);
+
+    // LOAD_FAILED is terminal, so rerouting doesn't try again
+    await wait(50);
+    await singleSpa.triggerAppChange();
+    expect(numLoads).toBe(3);
+
+    window.removeEventListener("single-spa:app-load-failed", handleLoadFailed);
+
+    function handleLoadFailed(evt) {
+      failedEvents.push(evt);
+    }
+  });
+
+  it(`resets the attempts once the app loads successfully`, async () => {
+    let numLoads = 0;
+
+    singleSpa.registerApplication({
+      name: "retry-succeeds",
+      app: async () => {
+        numLoads++;
+        if (numLoads < 3) {
+          throw Error("Flaky CDN");
+        }
+
+        return {
+          async mount() {},
+          async unmount() {},
+        };
+      },
+      activeWhen: "#/retry-succeeds",
+      loadRetryPolicy: {
+        maxAttempts: 5,
+        backoff: "linear",
+        baseMillis: 5,
+      },
+    });
+
+    location.hash = "#/retry-succeeds";
+    await singleSpa.triggerAppChange();
+
+    await waitForStatus("retry-succeeds", singleSpa.MOUNTED);
+    expect(numLoads).toBe(3);
+    expect(errors.length).toBe(2);
+  });
+
+  it(`waits for the backoff before retrying during other reroutes`, async () => {
+    let numLoads = 0;
+
+    singleSpa.registerApplication({
+      name: "retry-backoff",
+      app: async () => {
+        numLoads++;
+        throw Error("CDN is down");
+      },
+      activeWhen: "#/retry-backoff",
+      loadRetryPolicy: {
+        maxAttempts: 2,
+        baseMillis: 10000,
+      },
+    });
+
+    location.hash = "#/retry-backoff";
+    await singleSpa.triggerAppChange();
+    expect(numLoads).toBe(1);
+
+    await wait(250);
+    await singleSpa.triggerAppChange();
+    expect(numLoads).toBe(1);
+    expect(singleSpa.getAppStatus("retry-backoff")).toBe(singleSpa.LOAD_ERROR);
+  });
+
+  it(`gives each application its own policy`, async () => {
+    const giveUpA = jest.fn();
+    singleSpa.setLoadRetryPolicy({ baseMillis: 5 });
+
+    singleSpa.registerApplication({
+      name: "retry-policy-a",
+      app: async () => {
+        throw Error("CDN is down");
+      },
+      activeWhen: "#/retry-policies",
+      loadRetryPolicy: { maxAttempts: 1, onGiveUp: giveUpA },
+    });
+    singleSpa.registerApplication({
+      name: "retry-policy-b",
+      app: async () => {
+        throw Error("CDN is down");
+      },
+      activeWhen: "#/retry-policies",
+      loadRetryPolicy: { backoff: "linear" },
+    });
+
+    location.hash = "#/retry-policies";
+    await singleSpa.triggerAppChange();
+
+    expect(singleSpa.getAppStatus("retry-policy-a")).toBe(
+      singleSpa.LOAD_FAILED
+    );
+    expect(singleSpa.getAppStatus("retry-policy-b")).toBe(singleSpa.LOAD_ERROR);
+    expect(giveUpA).toHaveBeenCalledTimes(1);
+    expect(giveUpA.mock.calls[0][0].appName).toBe("retry-policy-a");
+
+    await singleSpa.unregisterApplication("retry-policy-a");
+    await singleSpa.unregisterApplication("retry-policy-b");
+  });
+
+  it(`keeps going when onGiveUp throws`, async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    singleSpa.registerApplication({
+      name: "retry-give-up-throws",
+      app: async () => {
+        throw Error("CDN is down");
+      },
+      activeWhen: "#/retry-give-up-throws",
+      loadRetryPolicy: {
+        maxAttempts: 1,
+        onGiveUp() {
+          throw Error("onGiveUp failed");
+        },
+      },
+    });
+
+    location.hash = "#/retry-give-up-throws";
+    await singleSpa.triggerAppChange();
+
+    expect(singleSpa.getAppStatus("retry-give-up-throws")).toBe(
+      singleSpa.LOAD_FAILED
+    );
+    expect(console.error).toHaveBeenCalledWith(
+      expect.stringMatching(/onGiveUp function of the load retry policy/),
+      expect.any(Error)
+    );
+    console.error.mockRestore();
+
+    await singleSpa.unregisterApplication("retry-give-up-throws");
+  });
+
+  it(`lets you unload an application that single-spa gave up on`, async () => {
+    singleSpa.registerApplication({
+      name: "retry-unload",
+      app: async () => {
+        throw Error("CDN is down");
+      },
+      activeWhen: "#/retry-unload",
+      loadRetryPolicy: { maxAttempts: 1 },
+    });
+
+    location.hash = "#/retry-unload";
+    await singleSpa.triggerAppChange();
+    expect(singleSpa.getAppStatus("retry-unload")).toBe(singleSpa.LOAD_FAILED);
+
+    await singleSpa.unloadApplication("retry-unload");
+    expect(singleSpa.getAppStatus("retry-unload")).toBe(singleSpa.NOT_LOADED);
+  });
+});
+
+function wait(millis) {
+  return new Promise((resolve) => setTimeout(resolve, millis));
+}
+
+async function waitForStatus(appName, status) {
+  for (let i = 0; i < 100 && singleSpa.getAppStatus(appName) !== status; i++) {
+    await wait(5);
+  }
+
+  expect(singleSpa.getAppStatus(appName)).toBe(status);
+}
@@ -0,0 +1,261 @@
+import * as singleSpa from "single-spa";
+
+describe(`registerApplicationsFromManifest`, () => {
+  let modules, importedSpecifiers, mountProps;
+
+  beforeAll(() => {
+    singleSpa.start();
+  });
+
+  beforeEach(async () => {
+    singleSpa.navigateToUrl("/");
+    await singleSpa.triggerAppChange();
+    modules = {};
+    importedSpecifiers = [];
+    mountProps = {};
+  });
+
+  function importModule(specifier) {
+    importedSpecifiers.push(specifier);
+    return Promise.resolve(modules[specifier]);
+  }
+
+  function createApp(name, mountMillis) {
+    return {
+      async bootstrap() {},
+      mount(props) {
+        mountProps[name] = props;
+        return new Promise((resolve) => setTimeout(resolve, mountMillis || 0));
+      },
+      async unmount() {},
+    };
+  }
+
+  it(`throws for invalid manifests`, () => {
+    expect(() => {
+      singleSpa.registerApplicationsFromManifest([]);
+    }).toThrowError(/manifest object that has an applications array/);
+
+    expect(() => {
+      singleSpa.registerApplicationsFromManifest({
+        applications: [{ name: "app", activeWhen: "/", app: "app.js" }],
+      });
+    }).toThrowError(/Invalid keys: app/);
+
+    // Entries are checked with the same rules as registerApplication
+    expect(() => {
+      singleSpa.registerApplicationsFromManifest({
+        applications: [{ name: "app", activeWhen: 1 }],
+      });
+    }).toThrowError(/config.activeWhen on registerApplication/);
+
+    expect(() => {
+      singleSpa.registerApplicationsFromManifest({
+        applications: [
+          { name: "app", activeWhen: "/" },
+          { name: "app", activeWhen: "/other" },
+        ],
+      });
+    }).toThrowError(/There is already an app registered with name app/);
+
+    expect(singleSpa.getAppNames()).toEqual([]);
+  });
+
+  it(`registers the applications in the manifest`, async () => {
+    modules["@org/navbar"] = createApp("navbar");
+    modules["https://cdn.example.com/settings.js"] = createApp("settings");
+
+    const changes = await singleSpa.registerApplicationsFromManifest(
+      {
+        applications: [
+          { name: "@org/navbar", activeWhen: "/" },
+          {
+            name: "@org/settings",
+            module: "https://cdn.example.com/settings.js",
+            activeWhen: "/settings",
+            customProps: { theme: "dark" },
+          },
+        ],
+      },
+      { importModule }
+    );
+
+    expect(changes).toEqual({
+      registered: ["@org/navbar", "@org/settings"],
+      unregistered: [],
+      reloaded: [],
+    });
+    expect(singleSpa.getAppNames()).toEqual(["@org/navbar", "@org/settings"]);
+
+    singleSpa.navigateToUrl("/settings");
+    await singleSpa.triggerAppChange();
+
+    expect(importedSpecifiers).toEqual([
+      "@org/navbar",
+      "https://cdn.example.com/settings.js",
+    ]);
+    expect(singleSpa.getMountedApps()).toEqual([
+      "@org/navbar",
+      "@org/settings",
+    ]);
+    expect(mountProps.settings.theme).toBe("dark");
+  });
+
+  it(`registers, unregisters and reloads applications when the manifest changes`, async () => {
+    modules["@org/navbar"] = createApp("navbar");
+    modules["@org/settings"] = createApp("settings");
+    modules["@org/users"] = createApp("users");
+
+    const changes = await singleSpa.registerApplicationsFromManifest(
+      {
+        applications: [
+          { name: "@org/navbar", activeWhen: "/" },
+          {
+            name: "@org/users",
+            activeWhen: "/users",
+          },
+          {
+            name: "@org/settings",
+            activeWhen: "/settings",
+            customProps: { theme: "light" },
+          },
+        ],
+      },
+      { importModule }
+    );
+
+    expect(changes).toEqual({
+      registered: ["@org/users"],
+      unregistered: [],
+      reloaded: ["@org/settings"],
+    });
+
+    singleSpa.navigateToUrl("/settings");
+    await singleSpa.triggerAppChange();
+    expect(mountProps.settings.theme).toBe("light");
+
+    const moreChanges = await singleSpa.registerApplicationsFromManifest(
+      {
+        applications: [{ name: "@org/navbar", activeWhen: "/" }],
+      },
+      { importModule }
+    );
+
+    expect(moreChanges).toEqual({
+      registered: [],
+      unregistered: ["@org/users", "@org/settings"],
+      reloaded: [],
+    });
+    expect(singleSpa.getAppNames()).toEqual(["@org/navbar"]);
+    expect(singleSpa.getMountedApps()).toEqual(["@org/navbar"]);
+  });
+
+  it(`leaves applications that were registered with registerApplication alone`, async () => {
+    singleSpa.registerApplication({
+      name: "hand-written",
+      app: createApp("hand-written"),
+      activeWhen: "/",
+    });
+
+    expect(() => {
+      singleSpa.registerApplicationsFromManifest(
+        { applications: [{ name: "hand-written", activeWhen: "/" }] },
+        { importModule }
+      );
+    }).toThrowError(/There is already an app registered with name/);
+
+    await singleSpa.registerApplicationsFromManifest(
+      { applications: [] },
+      { importModule }
+    );
+    expect(singleSpa.getAppNames()).toEqual(["hand-written"]);
+
+    await singleSpa.unregisterApplication("hand-written");
+  });
+
+  it(`gives applications the manifest's timeouts, without changing anyone else's`, async () => {
+    const errorHandler = jest.fn();
+    singleSpa.addErrorHandler(errorHandler);
+    modules["@org/slow"] = createApp("slow", 50);
+
+    await singleSpa.registerApplicationsFromManifest(
+      {
+        applications: [
+          {
+            name: "@org/slow",
+            activeWhen: "/slow",
+            timeouts: { mount: { millis: 10, dieOnTimeout: true } },
+          },
+        ],
+      },
+      { importModule }
+    );
+    singleSpa.registerApplication({
+      name: "also-slow",
+      app: createApp("also-slow", 50),
+      activeWhen: "/slow",
+    });
+
+    singleSpa.navigateToUrl("/slow");
+    await singleSpa.triggerAppChange();
+
+    expect(singleSpa.getAppStatus("@org/slow")).toBe(
+      singleSpa.SKIP_BECAUSE_BROKEN
+    );
+    expect(singleSpa.getAppStatus("also-slow")).toBe(singleSpa.MOUNTED);
+    expect(errorHandler).toHaveBeenCalledTimes(1);
+    singleSpa.removeErrorHandler(errorHandler);
+  });
+
+  it(`doesn't reload applications whose entry only changed the order of its keys`, async () => {
+    await singleSpa.registerApplicationsFromManifest(
+      {
+        applications: [
+          {
+            name: "@org/slow",
+            activeWhen: "/slow",
+            timeouts: { mount: { millis: 10, dieOnTimeout: true } },
+          },
+        ],
+      },
+      { importModule }
+    );
+
+    const changes = await singleSpa.registerApplicationsFromManifest(
+      {
+        applications: [
+          {
+            timeouts: { mount: { dieOnTimeout: true, millis: 10 } },
+            activeWhen: "/slow",
+            name: "@org/slow",
+          },
+        ],
+      },
+      { importModule }
+    );
+
+    expect(changes).toEqual({ registered: [], unregistered: [], reloaded: [] });
+  });
+
+  it(`doesn't change anything when a path in the manifest is invalid`, async () => {
+    await singleSpa.registerApplicationsFromManifest(
+      { applications: [{ name: "@org/slow", activeWhen: "/slow" }] },
+      { importModule }
+    );
+    const appNames = singleSpa.getAppNames();
+
+    expect(() => {
+      singleSpa.registerApplicationsFromManifest(
+        {
+          applications: [
+            { name: "@org/navbar", activeWhen: "/", exclude: "/admin}" },
+          ],
+        },
+        { importModule }
+      );
+    }).toThrowError(/Invalid activeWhen path '\/admin}'/);
+
+    expect(singleSpa.getAppNames()).toEqual(appNames);
+    expect(singleSpa.getAppNames()).toContain("@org/slow");
+  });
+});
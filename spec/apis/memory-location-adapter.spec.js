@@ -0,0 +1,123 @@
+import * as singleSpa from "single-spa";
+
+describe(`createMemoryLocation`, () => {
+  const memoryLocation = singleSpa.createMemoryLocation("/home");
+  const windowUrl = window.location.href;
+  let customPropsLocations = [];
+
+  beforeAll(() => {
+    singleSpa.registerApplication({
+      name: "memory-home",
+      app: createApp(),
+      activeWhen: "/home",
+    });
+    singleSpa.registerApplication({
+      name: "memory-users",
+      app: createApp(),
+      activeWhen: "/users/:id",
+      customProps: (name, location) => {
+        customPropsLocations.push(location);
+        return {};
+      },
+    });
+  });
+
+  function createApp() {
+    return {
+      async bootstrap() {},
+      async mount() {},
+      async unmount() {},
+    };
+  }
+
+  it(`throws when start() is called with an invalid locationAdapter`, async () => {
+    expect(() => {
+      singleSpa.start({ locationAdapter: { getLocation() {} } });
+    }).toThrowError(/invalid locationAdapter/);
+
+    singleSpa.start({ locationAdapter: memoryLocation });
+    await singleSpa.triggerAppChange();
+
+    expect(singleSpa.getMountedApps()).toEqual(["memory-home"]);
+  });
+
+  it(`navigates without changing window.location`, async () => {
+    singleSpa.navigateToUrl("/users/1?tab=posts");
+    await singleSpa.triggerAppChange();
+
+    expect(singleSpa.getMountedApps()).toEqual(["memory-users"]);
+    expect(window.location.href).toBe(windowUrl);
+    expect(memoryLocation.getLocation().pathname).toBe("/users/1");
+    expect(memoryLocation.getLocation().search).toBe("?tab=posts");
+    expect(singleSpa.checkActivityFunctions()).toEqual(["memory-users"]);
+    expect(customPropsLocations.pop().pathname).toBe("/users/1");
+  });
+
+  it(`goes back and forward through the history entries`, async () => {
+    memoryLocation.back();
+    await singleSpa.triggerAppChange();
+    expect(singleSpa.getMountedApps()).toEqual(["memory-home"]);
+
+    memoryLocation.forward();
+    await singleSpa.triggerAppChange();
+    expect(singleSpa.getMountedApps()).toEqual(["memory-users"]);
+
+    // There's nothing after the last entry
+    memoryLocation.forward();
+    await singleSpa.triggerAppChange();
+    expect(memoryLocation.getLocation().pathname).toBe("/users/1");
+  });
+
+  it(`puts the url back when a navigation is canceled`, async () => {
+    window.addEventListener("single-spa:before-routing-event", cancel);
+    singleSpa.navigateToUrl("/home");
+    await singleSpa.triggerAppChange();
+    window.removeEventListener("single-spa:before-routing-event", cancel);
+
+    expect(singleSpa.getMountedApps()).toEqual(["memory-users"]);
+    expect(memoryLocation.getLocation().pathname).toBe("/users/1");
+
+    function cancel(evt) {
+      evt.detail.cancelNavigation();
+    }
+  });
+
+  it(`resolves relative urls against the current entry`, () => {
+    const detachedLocation = singleSpa.createMemoryLocation("/a/b");
+    detachedLocation.navigate("c?d=e#f");
+
+    expect(detachedLocation.getLocation().pathname).toBe("/a/c");
+    expect(detachedLocation.getLocation().search).toBe("?d=e");
+    expect(detachedLocation.getLocation().hash).toBe("#f");
+
+    detachedLocation.replace("/g");
+    detachedLocation.back();
+    expect(detachedLocation.getLocation().pathname).toBe("/a/b");
+  });
+
+  it(`doesn't need the URL constructor, which IE11 doesn't have`, () => {
+    const URL = window.URL;
+    window.URL = undefined;
+
+    try {
+      const detachedLocation = singleSpa.createMemoryLocation(
+        "https://example.com:443/a/b"
+      );
+      detachedLocation.navigate("../c?d=e#f");
+
+      expect(detachedLocation.getLocation()).toEqual({
+        href: "https://example.com/c?d=e#f",
+        origin: "https://example.com",
+        protocol: "https:",
+        host: "example.com",
+        hostname: "example.com",
+        port: "",
+        pathname: "/c",
+        search: "?d=e",
+        hash: "#f",
+      });
+    } finally {
+      window.URL = URL;
+    }
+  });
+});
@@ -0,0 +1,31 @@
+import * as singleSpa from "single-spa";
+
+describe(`navigationStrategy: "navigation-api" without browser support`, () => {
+  it(`throws for an unknown navigationStrategy`, () => {
+    expect(() => {
+      singleSpa.patchHistoryApi({ navigationStrategy: "hashbang" });
+    }).toThrowError(/navigationStrategy must be one of/);
+  });
+
+  it(`falls back to patching the history api`, async () => {
+    const originalPushState = window.history.pushState;
+    expect(window.navigation).toBeUndefined();
+
+    singleSpa.registerApplication({
+      name: "navigation-api-fallback",
+      app: {
+        async mount() {},
+        async unmount() {},
+      },
+      activeWhen: "/navigation-api-fallback",
+    });
+    singleSpa.start({ navigationStrategy: "navigation-api" });
+
+    expect(window.history.pushState).not.toBe(originalPushState);
+
+    singleSpa.navigateToUrl("/navigation-api-fallback");
+    await singleSpa.triggerAppChange();
+
+    expect(singleSpa.getMountedApps()).toEqual(["navigation-api-fallback"]);
+  });
+});
@@ -0,0 +1,120 @@
+import * as singleSpa from "single-spa";
+
+describe(`navigationStrategy: "navigation-api"`, () => {
+  const navigateListeners = [];
+  const originalAddEventListener = window.addEventListener;
+  let lastNavigation, numReroutes;
+
+  beforeAll(() => {
+    // jsdom doesn't implement the Navigation API, so we emulate how browsers fire
+    // the navigate event for pushState and replaceState
+    window.navigation = {
+      addEventListener(eventName, listener) {
+        navigateListeners.push(listener);
+      },
+    };
+    const nativePushState = history.pushState;
+    const nativeReplaceState = history.replaceState;
+    history.pushState = function (state, title, url) {
+      return navigate("push", url, () =>
+        nativePushState.apply(this, arguments)
+      );
+    };
+    history.replaceState = function (state, title, url) {
+      return navigate("replace", url, () =>
+        nativeReplaceState.apply(this, arguments)
+      );
+    };
+
+    singleSpa.registerApplication({
+      name: "navigation-api-app",
+      app: {
+        async mount() {},
+        async unmount() {},
+      },
+      activeWhen: "/navigation-api-app",
+    });
+    window.addEventListener("single-spa:before-routing-event", countReroutes);
+
+    singleSpa.start({ navigationStrategy: "navigation-api" });
+  });
+
+  afterAll(() => {
+    delete window.navigation;
+    window.removeEventListener(
+      "single-spa:before-routing-event",
+      countReroutes
+    );
+  });
+
+  beforeEach(() => {
+    numReroutes = 0;
+  });
+
+  function countReroutes() {
+    numReroutes++;
+  }
+
+  function navigate(navigationType, url, commit) {
+    const handlers = [];
+    const evt = {
+      type: "navigate",
+      navigationType,
+      canIntercept: true,
+      destination: {
+        url: new URL(url, window.location.href).href,
+        sameDocument: true,
+      },
+      intercept(opts) {
+        handlers.push(opts.handler);
+      },
+    };
+    navigateListeners.forEach((listener) => listener(evt));
+
+    // Browsers commit the url before calling the intercept handlers
+    const result = commit();
+    lastNavigation = Promise.all(handlers.map((handler) => handler()));
+    return result;
+  }
+
+  it(`doesn't monkeypatch the history api or event listeners`, () => {
+    expect(window.addEventListener).toBe(originalAddEventListener);
+    expect(navigateListeners.length).toBe(1);
+  });
+
+  it(`reroutes when the navigate event is intercepted`, async () => {
+    singleSpa.navigateToUrl("/navigation-api-app");
+    await lastNavigation;
+
+    expect(singleSpa.getMountedApps()).toEqual(["navigation-api-app"]);
+
+    history.pushState(history.state, "", "/other");
+    await lastNavigation;
+
+    expect(singleSpa.getMountedApps()).toEqual([]);
+  });
+
+  it(`doesn't reroute when replaceState doesn't change the url`, async () => {
+    history.replaceState({ some: "state" }, "", window.location.href);
+    await lastNavigation;
+
+    expect(numReroutes).toBe(0);
+  });
+
+  it(`reverts canceled navigations without rerouting again`, async () => {
+    window.addEventListener("single-spa:before-routing-event", cancel);
+
+    singleSpa.navigateToUrl("/navigation-api-app");
+    await lastNavigation;
+
+    window.removeEventListener("single-spa:before-routing-event", cancel);
+
+    expect(window.location.pathname).toBe("/other");
+    expect(singleSpa.getMountedApps()).toEqual([]);
+    expect(numReroutes).toBe(1);
+
+    function cancel(evt) {
+      evt.detail.cancelNavigation();
+    }
+  });
+});
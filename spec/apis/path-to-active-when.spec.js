@@ -1,4 +1,8 @@
-import { pathToActiveWhen } from "single-spa";
+import {
+  pathToActiveWhen,
+  registerApplication,
+  checkActivityFunctions,
+} from "single-spa";
 
 describe(`pathToActiveWhen`, () => {
   describe("Validate URL on given activeWhen pathname/hashPathname/both", () => {
@@ -175,6 +179,174 @@ describe(`pathToActiveWhen`, () => {
       true
     );
   });
+
+  describe("optional params", () => {
+    expectPathToMatch("/users/:id?", {
+      "http://app.com/users": true,
+      "http://app.com/users/": true,
+      "http://app.com/users/1": true,
+      "http://app.com/users/1/settings": true,
+      "http://app.com/usersExtra": false,
+    });
+
+    expectPathToMatch(
+      "/users/:id?/settings",
+      {
+        "http://app.com/users/settings": true,
+        "http://app.com/users/1/settings": true,
+        "http://app.com/users/1/2/settings": false,
+      },
+      true
+    );
+
+    expectPathToMatch(
+      "/docs{/:version}?/intro",
+      {
+        "http://app.com/docs/intro": true,
+        "http://app.com/docs/v2/intro": true,
+        "http://app.com/docs/v2/v3/intro": false,
+      },
+      true
+    );
+  });
+
+  describe("param constraints", () => {
+    expectPathToMatch(
+      "/users/:id(\\d+)",
+      {
+        "http://app.com/users/123": true,
+        "http://app.com/users/123/": true,
+        "http://app.com/users/abc": false,
+        "http://app.com/users/123abc": false,
+      },
+      true
+    );
+
+    expectPathToMatch("/:locale(en|fr)/home", {
+      "http://app.com/en/home": true,
+      "http://app.com/FR/home": true,
+      "http://app.com/de/home": false,
+    });
+
+    expectPathToMatch("/files/(\\d+)", {
+      "http://app.com/files/1": true,
+      "http://app.com/files/one": false,
+    });
+  });
+
+  describe("wildcards and repeated params", () => {
+    expectPathToMatch(
+      "/files/*",
+      {
+        "http://app.com/files/": true,
+        "http://app.com/files/a/b/c.txt": true,
+        "http://app.com/file": false,
+      },
+      true
+    );
+
+    expectPathToMatch(
+      "/*/settings",
+      {
+        "http://app.com/users/1/settings": true,
+        "http://app.com/settings": false,
+      },
+      true
+    );
+
+    expectPathToMatch(
+      "/tree/:path+",
+      {
+        "http://app.com/tree/a": true,
+        "http://app.com/tree/a/b/c": true,
+        "http://app.com/tree": false,
+        "http://app.com/tree/": false,
+      },
+      true
+    );
+
+    expectPathToMatch(
+      "/tree/:path*",
+      {
+        "http://app.com/tree": true,
+        "http://app.com/tree/a/b/c": true,
+        "http://app.com/treehouse": false,
+      },
+      true
+    );
+  });
+
+  describe("escaped characters", () => {
+    expectPathToMatch(
+      "/a\\(b\\)/\\:c",
+      {
+        "http://app.com/a(b)/:c": true,
+        "http://app.com/a(b)/c": false,
+      },
+      true
+    );
+  });
+
+  describe("invalid paths", () => {
+    it.each([
+      ["/users/:", /missing param name/],
+      ["/users/:id(\\d+", /unbalanced parentheses/],
+      ["/users/:id((\\d+))", /capturing groups are not allowed/],
+      ["/users/:id()", /empty param pattern/],
+      ["/users/:id([)", /invalid param pattern/],
+      ["/users{/:id", /missing closing }/],
+      ["/users}", /unexpected }/],
+      ["/users{/:id}+", /only the \? modifier is supported/],
+    ])(`throws for %s`, (path, errMessage) => {
+      expect(() => pathToActiveWhen(path)).toThrowError(errMessage);
+    });
+  });
+
+  describe("exclude registration option", () => {
+    beforeAll(() => {
+      registerApplication({
+        name: "exclude-settings",
+        app: {
+          async mount() {},
+          async unmount() {},
+        },
+        activeWhen: "/users",
+        exclude: ["/users/:id/settings", (location) => location.hash === "#x"],
+      });
+    });
+
+    it(`is active when activeWhen matches and exclude doesn't`, () => {
+      expect(checkActivityFunctions(new URL("http://app.com/users/1"))).toEqual(
+        ["exclude-settings"]
+      );
+    });
+
+    it(`is not active when a path in exclude matches`, () => {
+      expect(
+        checkActivityFunctions(new URL("http://app.com/users/1/settings"))
+      ).toEqual([]);
+    });
+
+    it(`is not active when an activity function in exclude matches`, () => {
+      expect(
+        checkActivityFunctions(new URL("http://app.com/users/1#x"))
+      ).toEqual([]);
+    });
+
+    it(`throws for an invalid exclude option`, () => {
+      expect(() =>
+        registerApplication({
+          name: "invalid-exclude",
+          app: {
+            async mount() {},
+            async unmount() {},
+          },
+          activeWhen: "/",
+          exclude: 1,
+        })
+      ).toThrowError(/config.exclude on registerApplication must be/);
+    });
+  });
 });
 
 function expectPathToMatch(dynamicPath, asserts, exactMatch) {
@@ -0,0 +1,206 @@
+import * as singleSpa from "single-spa";
+
+describe(`preloading applications`, () => {
+  let loadOrder;
+
+  beforeAll(() => {
+    singleSpa.start();
+  });
+
+  beforeEach(() => {
+    loadOrder = [];
+    location.hash = "#/";
+  });
+
+  function createApp(name) {
+    const app = {
+      bootstrapped: false,
+      async bootstrap() {
+        app.bootstrapped = true;
+      },
+      async mount() {},
+      async unmount() {},
+    };
+
+    return {
+      app,
+      loadApp() {
+        loadOrder.push(name);
+        return Promise.resolve(app);
+      },
+    };
+  }
+
+  describe(`preloadApplication`, () => {
+    it(`throws if the application isn't registered`, () => {
+      expect(() => {
+        singleSpa.preloadApplication("not-registered");
+      }).toThrowError(/no such application has been registered/);
+    });
+
+    it(`loads an inactive application without bootstrapping it`, async () => {
+      const { app, loadApp } = createApp("preload-1");
+      singleSpa.registerApplication("preload-1", loadApp, () => false);
+      expect(singleSpa.getAppStatus("preload-1")).toBe(singleSpa.NOT_LOADED);
+
+      await singleSpa.preloadApplication("preload-1");
+
+      expect(loadOrder).toEqual(["preload-1"]);
+      expect(singleSpa.getAppStatus("preload-1")).toBe(
+        singleSpa.NOT_BOOTSTRAPPED
+      );
+      expect(app.bootstrapped).toBe(false);
+    });
+
+    it(`bootstraps the application when asked to`, async () => {
+      const { app, loadApp } = createApp("preload-2");
+      singleSpa.registerApplication("preload-2", loadApp, () => false);
+
+      await singleSpa.preloadApplication("preload-2", { bootstrap: true });
+
+      expect(singleSpa.getAppStatus("preload-2")).toBe(singleSpa.NOT_MOUNTED);
+      expect(app.bootstrapped).toBe(true);
+    });
+
+    it(`mounts an application that becomes active while it is being preloaded`, async () => {
+      let finishBootstrap;
+      const app = {
+        bootstrap: () =>
+          new Promise((resolve) => {
+            finishBootstrap = resolve;
+          }),
+        async mount() {},
+        async unmount() {},
+      };
+      singleSpa.registerApplication(
+        "preload-3",
+        app,
+        (location) => location.hash === "#/preload-3"
+      );
+
+      const preloadPromise = singleSpa.preloadApplication("preload-3", {
+        bootstrap: true,
+      });
+      await tick();
+      expect(singleSpa.getAppStatus("preload-3")).toBe(singleSpa.BOOTSTRAPPING);
+
+      location.hash = "#/preload-3";
+      const reroutePromise = singleSpa.triggerAppChange();
+      await tick();
+      finishBootstrap();
+
+      await preloadPromise;
+      await reroutePromise;
+      expect(singleSpa.getAppStatus("preload-3")).toBe(singleSpa.MOUNTED);
+    });
+  });
+
+  describe(`preload registration option`, () => {
+    it(`throws for an unknown preload strategy`, () => {
+      expect(() => {
+        singleSpa.registerApplication({
+          name: "invalid-preload",
+          app: createApp("invalid-preload").loadApp,
+          activeWhen: () => false,
+          preload: "sometime",
+        });
+      }).toThrowError(/config.preload must be a function or one of/);
+    });
+
+    it(`preloads eager applications before idle ones`, async () => {
+      singleSpa.registerApplication({
+        name: "preload-idle",
+        app: createApp("preload-idle").loadApp,
+        activeWhen: () => false,
+        preload: "idle",
+      });
+      singleSpa.registerApplication({
+        name: "preload-eager",
+        app: createApp("preload-eager").loadApp,
+        activeWhen: () => false,
+        preload: "eager",
+      });
+
+      await waitForStatus("preload-idle", singleSpa.NOT_MOUNTED);
+
+      expect(loadOrder).toEqual(["preload-eager", "preload-idle"]);
+      expect(singleSpa.getAppStatus("preload-eager")).toBe(
+        singleSpa.NOT_MOUNTED
+      );
+    });
+
+    it(`lets a function decide when to preload`, async () => {
+      let triggerPreload;
+      singleSpa.registerApplication({
+        name: "preload-fn",
+        app: createApp("preload-fn").loadApp,
+        activeWhen: () => false,
+        preload(preload) {
+          triggerPreload = preload;
+        },
+      });
+
+      await tick();
+      expect(loadOrder).toEqual([]);
+
+      triggerPreload();
+      await waitForStatus("preload-fn", singleSpa.NOT_MOUNTED);
+      expect(loadOrder).toEqual(["preload-fn"]);
+    });
+
+    it(`preloads an application when a link to it is hovered`, async () => {
+      singleSpa.registerApplication({
+        name: "preload-hover",
+        app: createApp("preload-hover").loadApp,
+        activeWhen: "/hovered-page",
+        preload: "hover",
+      });
+
+      const otherLink = document.createElement("a");
+      otherLink.href = "/other-page";
+      const link = document.createElement("a");
+      link.href = "/hovered-page";
+      const linkText = document.createElement("span");
+      link.appendChild(linkText);
+      document.body.appendChild(otherLink);
+      document.body.appendChild(link);
+
+      otherLink.dispatchEvent(new MouseEvent("mouseover", { bubbles: true }));
+      await tick();
+      expect(loadOrder).toEqual([]);
+
+      linkText.dispatchEvent(new MouseEvent("mouseover", { bubbles: true }));
+      await waitForStatus("preload-hover", singleSpa.NOT_MOUNTED);
+      expect(loadOrder).toEqual(["preload-hover"]);
+
+      document.body.removeChild(otherLink);
+      document.body.removeChild(link);
+    });
+
+    it(`cancels the preload when the application is unregistered`, async () => {
+      singleSpa.registerApplication({
+        name: "preload-canceled",
+        app: createApp("preload-canceled").loadApp,
+        activeWhen: () => false,
+        preload: "idle",
+      });
+
+      await singleSpa.unregisterApplication("preload-canceled");
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      expect(loadOrder).toEqual([]);
+    });
+  });
+});
+
+function tick() {
+  return new Promise((resolve) => setTimeout(resolve));
+}
+
+async function waitForStatus(appName, status) {
+  for (let i = 0; i < 50 && singleSpa.getAppStatus(appName) !== status; i++) {
+    await tick();
+  }
+
+  expect(singleSpa.getAppStatus(appName)).toBe(status);
+}
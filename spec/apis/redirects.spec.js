@@ -0,0 +1,125 @@
+import * as singleSpa from "single-spa";
+
+describe(`redirects`, () => {
+  let loggedIn = false,
+    routingEvents = [];
+
+  beforeAll(() => {
+    singleSpa.registerApplication({
+      name: "redirect-users",
+      app: {
+        async mount() {},
+        async unmount() {},
+      },
+      activeWhen: "/users/:id",
+    });
+    singleSpa.registerApplication({
+      name: "redirect-login",
+      app: {
+        async mount() {},
+        async unmount() {},
+      },
+      activeWhen: "/login",
+    });
+    window.addEventListener("single-spa:routing-event", handleRoutingEvent);
+  });
+
+  afterAll(() => {
+    window.removeEventListener("single-spa:routing-event", handleRoutingEvent);
+  });
+
+  beforeEach(() => {
+    routingEvents = [];
+  });
+
+  function handleRoutingEvent(evt) {
+    routingEvents.push(evt);
+  }
+
+  it(`throws for invalid redirects`, () => {
+    expect(() => {
+      singleSpa.start({ redirects: { "/old": 1 } });
+    }).toThrowError(/invalid redirect for '\/old'/);
+
+    expect(() => {
+      singleSpa.start({ redirects: ["/old"] });
+    }).toThrowError(/invalid redirect for 'redirects'/);
+  });
+
+  it(`redirects urls declared in start() and fills in their route params`, async () => {
+    singleSpa.start({
+      redirects: {
+        "/legacy/users/:id": "/users/:id",
+        "/admin": () => (loggedIn ? null : "/login"),
+        "/loop-a": "/loop-b",
+        "/loop-b": "/loop-a",
+      },
+    });
+
+    await singleSpa.triggerAppChange();
+    routingEvents = [];
+
+    singleSpa.navigateToUrl("/legacy/users/a%20b");
+    await singleSpa.triggerAppChange();
+
+    expect(location.pathname).toBe("/users/a%20b");
+    expect(singleSpa.getMountedApps()).toEqual(["redirect-users"]);
+    // No events are fired for the url that was redirected
+    expect(
+      routingEvents
+        .map((evt) => evt.detail.newUrl)
+        .indexOf("http://localhost/legacy/users/a%20b")
+    ).toBe(-1);
+    expect(routingEvents[0].detail.oldUrl).toBe("http://localhost/");
+    expect(routingEvents[0].detail.newUrl).toBe("http://localhost/users/a%20b");
+  });
+
+  it(`lets functions decide whether to redirect`, async () => {
+    singleSpa.navigateToUrl("/admin");
+    await singleSpa.triggerAppChange();
+    expect(location.pathname).toBe("/login");
+    expect(singleSpa.getMountedApps()).toEqual(["redirect-login"]);
+
+    loggedIn = true;
+    singleSpa.navigateToUrl("/admin");
+    await singleSpa.triggerAppChange();
+    expect(location.pathname).toBe("/admin");
+    expect(singleSpa.getMountedApps()).toEqual([]);
+  });
+
+  it(`lets before-routing-event listeners redirect`, async () => {
+    window.addEventListener("single-spa:before-routing-event", redirectToUser);
+
+    singleSpa.navigateToUrl("/somewhere");
+    await singleSpa.triggerAppChange();
+
+    window.removeEventListener(
+      "single-spa:before-routing-event",
+      redirectToUser
+    );
+
+    expect(location.pathname).toBe("/users/2");
+    expect(singleSpa.getMountedApps()).toEqual(["redirect-users"]);
+
+    function redirectToUser(evt) {
+      if (location.pathname === "/somewhere") {
+        evt.detail.redirect("/users/2");
+      }
+    }
+  });
+
+  it(`cancels the navigation when redirects loop`, async () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    singleSpa.navigateToUrl("/loop-a");
+    await singleSpa.triggerAppChange();
+
+    expect(location.pathname).toBe("/users/2");
+    expect(singleSpa.getMountedApps()).toEqual(["redirect-users"]);
+    expect(console.warn).toHaveBeenCalledWith(
+      expect.stringMatching(/redirected more than 10 times/)
+    );
+
+    console.warn.mockRestore();
+  });
+});
@@ -0,0 +1,201 @@
+import * as singleSpa from "single-spa";
+
+describe(`setReporter`, () => {
+  let errorHandler, errors, warnings, samples;
+
+  beforeAll(() => {
+    singleSpa.start();
+  });
+
+  beforeEach(async () => {
+    singleSpa.navigateToUrl("/");
+    await singleSpa.triggerAppChange();
+
+    errors = [];
+    warnings = [];
+    samples = [];
+    errorHandler = jest.fn();
+    singleSpa.addErrorHandler(errorHandler);
+    singleSpa.setReporter({
+      onError: (record) => errors.push(record),
+      onWarning: (record) => warnings.push(record),
+      onLifecycleSample: (record) => samples.push(record),
+    });
+  });
+
+  afterEach(() => {
+    singleSpa.setReporter(null);
+    singleSpa.removeErrorHandler(errorHandler);
+  });
+
+  function wait(millis) {
+    return new Promise((resolve) => setTimeout(resolve, millis));
+  }
+
+  it(`throws for invalid reporters`, () => {
+    expect(() => {
+      singleSpa.setReporter("console");
+    }).toThrowError(/setReporter must be called with null or an object/);
+
+    expect(() => {
+      singleSpa.setReporter({ onError: true });
+    }).toThrowError(/setReporter must be called with null or an object/);
+  });
+
+  it(`reports how long each lifecycle took`, async () => {
+    singleSpa.registerApplication({
+      name: "sampled",
+      app: async () => ({
+        async bootstrap() {},
+        async mount() {},
+        async unmount() {},
+      }),
+      activeWhen: "/sampled",
+    });
+
+    singleSpa.navigateToUrl("/sampled");
+    await singleSpa.triggerAppChange();
+    singleSpa.navigateToUrl("/");
+    await singleSpa.triggerAppChange();
+
+    expect(samples.map((sample) => sample.lifecycle)).toEqual([
+      "load",
+      "bootstrap",
+      "mount",
+      "unmount",
+    ]);
+    expect(samples[2]).toEqual({
+      timestamp: expect.any(Number),
+      lifecycle: "mount",
+      appOrParcelName: "sampled",
+      appOrParcelType: "application",
+      durationMillis: expect.any(Number),
+      succeeded: true,
+    });
+
+    await singleSpa.unregisterApplication("sampled");
+  });
+
+  it(`reports errors, and whether they were handled`, async () => {
+    singleSpa.registerApplication({
+      name: "reported-error",
+      app: {
+        async bootstrap() {},
+        async mount() {
+          throw Error("Mount failed");
+        },
+        async unmount() {},
+      },
+      activeWhen: "/reported-error",
+      onError(err, context) {
+        context.markHandled();
+      },
+    });
+
+    singleSpa.navigateToUrl("/reported-error");
+    await singleSpa.triggerAppChange();
+
+    expect(errorHandler).not.toHaveBeenCalled();
+    expect(errors.length).toBe(1);
+    expect(errors[0].error.message).toBe("Mount failed");
+    expect(errors[0].handled).toBe(true);
+    expect(errors[0].lifecycle).toBe("mount");
+    expect(errors[0].appOrParcelName).toBe("reported-error");
+    expect(
+      samples.filter((sample) => sample.lifecycle === "mount")[0].succeeded
+    ).toBe(false);
+
+    await singleSpa.unregisterApplication("reported-error");
+  });
+
+  it(`reports lifecycles that are slow to finish`, async () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    singleSpa.registerApplication({
+      name: "slow-mount",
+      app: {
+        async bootstrap() {},
+        mount: () => wait(50),
+        async unmount() {},
+        timeouts: {
+          mount: { millis: 30, dieOnTimeout: false, warningMillis: 20 },
+        },
+      },
+      activeWhen: "/slow-mount",
+    });
+
+    singleSpa.navigateToUrl("/slow-mount");
+    await singleSpa.triggerAppChange();
+
+    console.warn.mockRestore();
+    console.error.mockRestore();
+
+    expect(warnings.map((warning) => warning.kind)).toEqual([
+      "lifecycle-slow",
+      "lifecycle-timeout",
+    ]);
+    expect(warnings[1]).toEqual({
+      timestamp: expect.any(Number),
+      kind: "lifecycle-timeout",
+      code: 31,
+      message: expect.stringMatching(/did not resolve or reject for 30 ms/),
+      lifecycle: "mount",
+      appOrParcelName: "slow-mount",
+      appOrParcelType: "application",
+      millis: 30,
+    });
+
+    await singleSpa.unregisterApplication("slow-mount");
+  });
+
+  it(`reports canceled navigations`, async () => {
+    const cancel = (evt) => {
+      if (evt.detail.newUrl.endsWith("/canceled")) {
+        evt.detail.cancelNavigation();
+      }
+    };
+    window.addEventListener("single-spa:before-routing-event", cancel);
+
+    singleSpa.navigateToUrl("/canceled");
+    await singleSpa.triggerAppChange();
+
+    window.removeEventListener("single-spa:before-routing-event", cancel);
+
+    expect(warnings.length).toBe(1);
+    expect(warnings[0].kind).toBe("navigation-canceled");
+    expect(warnings[0].newUrl).toMatch(/\/canceled$/);
+    expect(warnings[0].blockedBy).toBe(null);
+  });
+
+  it(`keeps going when the reporter throws`, async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    singleSpa.setReporter({
+      onLifecycleSample() {
+        throw Error("Reporter failed");
+      },
+    });
+
+    singleSpa.registerApplication({
+      name: "broken-reporter",
+      app: async () => ({
+        async bootstrap() {},
+        async mount() {},
+        async unmount() {},
+      }),
+      activeWhen: "/broken-reporter",
+    });
+
+    singleSpa.navigateToUrl("/broken-reporter");
+    await singleSpa.triggerAppChange();
+
+    expect(singleSpa.getAppStatus("broken-reporter")).toBe(singleSpa.MOUNTED);
+    expect(console.error).toHaveBeenCalledWith(
+      expect.stringMatching(/onLifecycleSample function of the single-spa/),
+      expect.any(Error)
+    );
+    console.error.mockRestore();
+
+    await singleSpa.unregisterApplication("broken-reporter");
+  });
+});
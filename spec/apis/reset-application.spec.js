@@ -0,0 +1,314 @@
+import * as singleSpa from "single-spa";
+
+describe(`resetApplication`, () => {
+  let errorHandler, calls;
+
+  beforeAll(() => {
+    singleSpa.start();
+  });
+
+  beforeEach(async () => {
+    singleSpa.navigateToUrl("/");
+    await singleSpa.triggerAppChange();
+    calls = [];
+    errorHandler = jest.fn();
+    singleSpa.addErrorHandler(errorHandler);
+  });
+
+  afterEach(() => {
+    singleSpa.setRecoveryPolicy(null);
+    singleSpa.removeErrorHandler(errorHandler);
+  });
+
+  // Fails the lifecycles named in failures, once for each time they're listed
+  function createApp(failures) {
+    const app = {};
+
+    ["bootstrap", "mount", "unmount", "unload"].forEach((lifecycle) => {
+      app[lifecycle] = async () => {
+        calls.push(lifecycle);
+
+        const index = failures.indexOf(lifecycle);
+        if (index >= 0) {
+          failures.splice(index, 1);
+          throw Error(`${lifecycle} failed`);
+        }
+      };
+    });
+
+    return app;
+  }
+
+  function wait(millis) {
+    return new Promise((resolve) => setTimeout(resolve, millis));
+  }
+
+  it(`throws for applications that aren't registered`, () => {
+    expect(() => {
+      singleSpa.resetApplication("not-registered");
+    }).toThrowError(/no such application has been registered/);
+  });
+
+  it(`throws for invalid recovery policies`, () => {
+    expect(() => {
+      singleSpa.setRecoveryPolicy({ maxAttempts: 0 });
+    }).toThrowError(/'maxAttempts' is invalid/);
+
+    expect(() => {
+      singleSpa.registerApplication({
+        name: "invalid-recovery-policy",
+        app: createApp([]),
+        activeWhen: "/",
+        recoveryPolicy: { backoff: "random" },
+      });
+    }).toThrowError(/'backoff' is invalid/);
+  });
+
+  it(`mounts an application that failed to mount again`, async () => {
+    singleSpa.registerApplication({
+      name: "mount-fails",
+      app: createApp(["mount"]),
+      activeWhen: "/mount-fails",
+    });
+
+    singleSpa.navigateToUrl("/mount-fails");
+    await singleSpa.triggerAppChange();
+
+    expect(singleSpa.getAppStatus("mount-fails")).toBe(
+      singleSpa.SKIP_BECAUSE_BROKEN
+    );
+
+    await singleSpa.resetApplication("mount-fails");
+
+    expect(singleSpa.getAppStatus("mount-fails")).toBe(singleSpa.MOUNTED);
+    expect(calls).toEqual(["bootstrap", "mount", "unmount", "mount"]);
+
+    await singleSpa.unregisterApplication("mount-fails");
+  });
+
+  it(`bootstraps an application that failed to bootstrap again`, async () => {
+    singleSpa.registerApplication({
+      name: "bootstrap-fails",
+      app: createApp(["bootstrap"]),
+      activeWhen: "/bootstrap-fails",
+    });
+
+    singleSpa.navigateToUrl("/bootstrap-fails");
+    await singleSpa.triggerAppChange();
+
+    expect(singleSpa.getAppStatus("bootstrap-fails")).toBe(
+      singleSpa.SKIP_BECAUSE_BROKEN
+    );
+
+    await singleSpa.resetApplication("bootstrap-fails");
+
+    expect(singleSpa.getAppStatus("bootstrap-fails")).toBe(singleSpa.MOUNTED);
+    expect(calls).toEqual(["bootstrap", "bootstrap", "mount"]);
+
+    await singleSpa.unregisterApplication("bootstrap-fails");
+  });
+
+  it(`loads an application that broke while loading again`, async () => {
+    const consoleError = jest
+      .spyOn(console, "error")
+      .mockImplementation(() => {});
+    let loadCount = 0;
+    singleSpa.registerApplication({
+      name: "invalid-lifecycles",
+      // The first load resolves without any lifecycles
+      app: () => Promise.resolve(++loadCount === 1 ? {} : createApp([])),
+      activeWhen: "/invalid-lifecycles",
+    });
+
+    singleSpa.navigateToUrl("/invalid-lifecycles");
+    await singleSpa.triggerAppChange();
+
+    expect(singleSpa.getAppStatus("invalid-lifecycles")).toBe(
+      singleSpa.SKIP_BECAUSE_BROKEN
+    );
+
+    await singleSpa.resetApplication("invalid-lifecycles");
+
+    expect(loadCount).toBe(2);
+    expect(singleSpa.getAppStatus("invalid-lifecycles")).toBe(
+      singleSpa.MOUNTED
+    );
+    expect(calls).toEqual(["bootstrap", "mount"]);
+
+    await singleSpa.unregisterApplication("invalid-lifecycles");
+    consoleError.mockRestore();
+  });
+
+  it(`unloads and loads the application again with reload`, async () => {
+    let loadCount = 0;
+    const failures = ["mount"];
+
+    singleSpa.registerApplication({
+      name: "reloaded",
+      app: () => {
+        loadCount++;
+        return Promise.resolve(createApp(failures));
+      },
+      activeWhen: "/reloaded",
+    });
+
+    singleSpa.navigateToUrl("/reloaded");
+    await singleSpa.triggerAppChange();
+
+    await singleSpa.resetApplication("reloaded", { reload: true });
+
+    expect(loadCount).toBe(2);
+    expect(singleSpa.getAppStatus("reloaded")).toBe(singleSpa.MOUNTED);
+    expect(calls).toEqual([
+      "bootstrap",
+      "mount",
+      "unmount",
+      "unload",
+      "bootstrap",
+      "mount",
+    ]);
+
+    await singleSpa.unregisterApplication("reloaded");
+  });
+
+  it(`unmounts the parcels of a broken application`, async () => {
+    const parcelUnmount = jest.fn(async () => {});
+
+    singleSpa.registerApplication({
+      name: "with-parcel",
+      app: {
+        async bootstrap() {},
+        mount(props) {
+          return props.mountParcel(
+            {
+              bootstrap: async () => {},
+              mount: async () => {},
+              unmount: parcelUnmount,
+            },
+            { domElement: document.createElement("div") }
+          ).mountPromise;
+        },
+        async unmount() {},
+        async update() {
+          throw Error("update failed");
+        },
+      },
+      activeWhen: "/with-parcel",
+    });
+
+    singleSpa.navigateToUrl("/with-parcel");
+    await singleSpa.triggerAppChange();
+    await wait(0);
+
+    await singleSpa.updateApplication("with-parcel").catch(() => {});
+    expect(singleSpa.getAppStatus("with-parcel")).toBe(
+      singleSpa.SKIP_BECAUSE_BROKEN
+    );
+
+    await singleSpa.resetApplication("with-parcel");
+    expect(parcelUnmount).toHaveBeenCalledTimes(1);
+
+    await singleSpa.unregisterApplication("with-parcel");
+  });
+
+  it(`leaves applications that aren't broken alone`, async () => {
+    singleSpa.registerApplication({
+      name: "healthy",
+      app: createApp([]),
+      activeWhen: "/healthy",
+    });
+
+    singleSpa.navigateToUrl("/healthy");
+    await singleSpa.triggerAppChange();
+
+    await singleSpa.resetApplication("healthy", { reload: true });
+
+    expect(singleSpa.getAppStatus("healthy")).toBe(singleSpa.MOUNTED);
+    expect(calls).toEqual(["bootstrap", "mount"]);
+
+    await singleSpa.unregisterApplication("healthy");
+  });
+
+  it(`automatically resets broken applications with a recovery policy`, async () => {
+    singleSpa.registerApplication({
+      name: "flaky",
+      app: createApp(["mount", "mount"]),
+      activeWhen: "/flaky",
+      recoveryPolicy: { maxAttempts: 3, backoff: "fixed", baseMillis: 10 },
+    });
+
+    singleSpa.navigateToUrl("/flaky");
+    await singleSpa.triggerAppChange();
+    expect(singleSpa.getAppStatus("flaky")).toBe(singleSpa.SKIP_BECAUSE_BROKEN);
+
+    await wait(100);
+
+    expect(singleSpa.getAppStatus("flaky")).toBe(singleSpa.MOUNTED);
+    expect(errorHandler).toHaveBeenCalledTimes(2);
+
+    await singleSpa.unregisterApplication("flaky");
+  });
+
+  it(`gives up after maxAttempts resets`, async () => {
+    const onGiveUp = jest.fn();
+    singleSpa.setRecoveryPolicy({
+      maxAttempts: 2,
+      backoff: "fixed",
+      baseMillis: 10,
+      onGiveUp,
+    });
+
+    singleSpa.registerApplication({
+      name: "always-broken",
+      app: createApp(["mount", "mount", "mount", "mount"]),
+      activeWhen: "/always-broken",
+    });
+
+    singleSpa.navigateToUrl("/always-broken");
+    await singleSpa.triggerAppChange();
+    await wait(100);
+
+    expect(singleSpa.getAppStatus("always-broken")).toBe(
+      singleSpa.SKIP_BECAUSE_BROKEN
+    );
+    expect(calls.filter((call) => call === "mount").length).toBe(3);
+    expect(onGiveUp).toHaveBeenCalledTimes(1);
+    expect(onGiveUp.mock.calls[0][0].appName).toBe("always-broken");
+    expect(onGiveUp.mock.calls[0][0].attempts).toBe(2);
+
+    await singleSpa.unregisterApplication("always-broken");
+  });
+
+  it(`logs an onGiveUp that throws and still reports the error`, async () => {
+    const consoleError = jest
+      .spyOn(console, "error")
+      .mockImplementation(() => {});
+    singleSpa.setRecoveryPolicy({
+      maxAttempts: 1,
+      backoff: "fixed",
+      baseMillis: 10,
+      onGiveUp() {
+        throw Error("onGiveUp failed");
+      },
+    });
+
+    singleSpa.registerApplication({
+      name: "broken-give-up",
+      app: createApp(["mount", "mount"]),
+      activeWhen: "/broken-give-up",
+    });
+
+    singleSpa.navigateToUrl("/broken-give-up");
+    await singleSpa.triggerAppChange();
+    await wait(100);
+
+    expect(errorHandler).toHaveBeenCalledTimes(2);
+    expect(consoleError).toHaveBeenCalledWith(
+      expect.stringMatching(/#92/),
+      expect.objectContaining({ message: "onGiveUp failed" })
+    );
+
+    await singleSpa.unregisterApplication("broken-give-up");
+    consoleError.mockRestore();
+  });
+});
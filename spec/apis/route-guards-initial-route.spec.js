@@ -0,0 +1,46 @@
+import * as singleSpa from "single-spa";
+
+describe(`route guards on the initial route`, () => {
+  let mount, canMount, blockedEvents;
+
+  function handleBlocked(evt) {
+    blockedEvents.push(evt);
+  }
+
+  beforeAll(() => {
+    window.addEventListener("single-spa:navigation-blocked", handleBlocked);
+  });
+
+  afterAll(() => {
+    window.removeEventListener("single-spa:navigation-blocked", handleBlocked);
+  });
+
+  beforeEach(() => {
+    mount = jest.fn(async () => {});
+    canMount = jest.fn(() => false);
+    blockedEvents = [];
+  });
+
+  it(`doesn't mount an application whose canMount refuses the url the page was loaded with`, async () => {
+    location.hash = "#/admin";
+
+    singleSpa.registerApplication({
+      name: "guarded-admin",
+      app: {
+        mount,
+        async unmount() {},
+      },
+      activeWhen: "#/admin",
+      canMount,
+    });
+
+    singleSpa.start();
+    await singleSpa.triggerAppChange();
+
+    expect(canMount).toHaveBeenCalled();
+    expect(blockedEvents.length).toBeGreaterThan(0);
+    expect(mount).not.toHaveBeenCalled();
+    expect(singleSpa.getMountedApps()).toEqual([]);
+    expect(location.hash).toBe("#/admin");
+  });
+});
@@ -0,0 +1,123 @@
+import * as singleSpa from "single-spa";
+
+describe(`route guards`, () => {
+  let canUnmountForm, canMountAdmin, blockedEvents;
+
+  beforeAll(() => {
+    window.addEventListener("single-spa:navigation-blocked", handleBlocked);
+
+    singleSpa.registerApplication({
+      name: "guarded-form",
+      app: {
+        async mount() {},
+        async unmount() {},
+      },
+      activeWhen: "#/form",
+      canUnmount: (navigation) => canUnmountForm(navigation),
+    });
+    singleSpa.registerApplication({
+      name: "guarded-admin",
+      app: {
+        async mount() {},
+        async unmount() {},
+      },
+      activeWhen: "#/admin",
+      canMount: (navigation) => canMountAdmin(navigation),
+    });
+
+    singleSpa.start();
+  });
+
+  afterAll(() => {
+    window.removeEventListener("single-spa:navigation-blocked", handleBlocked);
+  });
+
+  beforeEach(async () => {
+    canUnmountForm = () => true;
+    canMountAdmin = () => true;
+    location.hash = "#/form";
+    await singleSpa.triggerAppChange();
+    blockedEvents = [];
+  });
+
+  function handleBlocked(evt) {
+    blockedEvents.push(evt);
+  }
+
+  it(`throws for a guard that isn't a function`, () => {
+    expect(() => {
+      singleSpa.registerApplication({
+        name: "invalid-guard",
+        app: {},
+        activeWhen: "/",
+        canMount: true,
+      });
+    }).toThrowError(
+      /config.canMount on registerApplication must be a function/
+    );
+  });
+
+  it(`lets the navigation through when the guards allow it`, async () => {
+    canUnmountForm = jest.fn(async () => true);
+
+    location.hash = "#/admin";
+    await singleSpa.triggerAppChange();
+
+    expect(singleSpa.getMountedApps()).toEqual(["guarded-admin"]);
+    expect(canUnmountForm).toHaveBeenCalledWith({
+      appName: "guarded-form",
+      oldUrl: "http://localhost/#/form",
+      newUrl: "http://localhost/#/admin",
+    });
+    expect(blockedEvents).toEqual([]);
+  });
+
+  it(`blocks the navigation when canUnmount resolves with false`, async () => {
+    canUnmountForm = async () => false;
+
+    location.hash = "#/admin";
+    await singleSpa.triggerAppChange();
+
+    expect(location.hash).toBe("#/form");
+    expect(singleSpa.getMountedApps()).toEqual(["guarded-form"]);
+    expect(blockedEvents.length).toBe(1);
+    expect(blockedEvents[0].detail).toEqual({
+      appName: "guarded-form",
+      guard: "canUnmount",
+      reason: "rejected",
+      oldUrl: "http://localhost/#/form",
+      newUrl: "http://localhost/#/admin",
+    });
+  });
+
+  it(`blocks the navigation when canMount throws`, async () => {
+    const err = Error("Not an admin");
+    canMountAdmin = () => {
+      throw err;
+    };
+
+    location.hash = "#/admin";
+    await singleSpa.triggerAppChange();
+
+    expect(location.hash).toBe("#/form");
+    expect(singleSpa.getMountedApps()).toEqual(["guarded-form"]);
+    expect(blockedEvents[0].detail.guard).toBe("canMount");
+    expect(blockedEvents[0].detail.reason).toBe("error");
+    expect(blockedEvents[0].detail.error).toBe(err);
+  });
+
+  it(`blocks the navigation when a guard doesn't decide in time`, async () => {
+    singleSpa.setGuardMaxTime(10);
+    canUnmountForm = () => new Promise(() => {});
+
+    location.hash = "#/admin";
+    await singleSpa.triggerAppChange();
+
+    expect(location.hash).toBe("#/form");
+    expect(blockedEvents[0].detail.reason).toBe("timeout");
+
+    expect(() => singleSpa.setGuardMaxTime(-1)).toThrowError(
+      /guard max time must be a positive/
+    );
+  });
+});
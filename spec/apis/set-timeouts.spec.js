@@ -0,0 +1,141 @@
+import * as singleSpa from "single-spa";
+
+describe(`setTimeouts`, () => {
+  let errorHandler;
+
+  beforeAll(() => {
+    singleSpa.start();
+  });
+
+  beforeEach(async () => {
+    singleSpa.navigateToUrl("/");
+    await singleSpa.triggerAppChange();
+    errorHandler = jest.fn();
+    singleSpa.addErrorHandler(errorHandler);
+  });
+
+  afterEach(() => {
+    singleSpa.setTimeouts({
+      load: { millis: 30000, dieOnTimeout: true, warningMillis: 5000 },
+      mount: { millis: 3000, dieOnTimeout: false, warningMillis: 1000 },
+    });
+    singleSpa.removeErrorHandler(errorHandler);
+  });
+
+  function wait(millis) {
+    return new Promise((resolve) => setTimeout(resolve, millis));
+  }
+
+  function createApp(mountMillis = 0, timeouts) {
+    return {
+      async bootstrap() {},
+      mount: () => wait(mountMillis),
+      async unmount() {},
+      timeouts,
+    };
+  }
+
+  it(`throws for invalid timeouts`, () => {
+    expect(() => {
+      singleSpa.setTimeouts({ render: { millis: 1000 } });
+    }).toThrowError(/'render' is invalid/);
+
+    expect(() => {
+      singleSpa.setTimeouts({ load: { millis: -1 } });
+    }).toThrowError(/'load' is invalid/);
+
+    expect(() => {
+      singleSpa.registerApplication({
+        name: "invalid-timeouts",
+        app: createApp(),
+        activeWhen: "/",
+        timeouts: { mount: 1000 },
+      });
+    }).toThrowError(/'mount' is invalid/);
+
+    expect(singleSpa.getAppNames()).toEqual([]);
+  });
+
+  it(`puts applications whose loading function hangs in LOAD_ERROR`, async () => {
+    // The afterEach above sets the timeouts of the default instance, so a new one has the real defaults
+    const fresh = singleSpa.createSingleSpa({ name: "fresh-timeouts" });
+    const freshErrorHandler = jest.fn();
+    fresh.addErrorHandler(freshErrorHandler);
+    fresh.start();
+
+    fresh.registerApplication({
+      name: "hangs",
+      app: () => new Promise(() => {}),
+      activeWhen: "/hangs",
+      timeouts: { load: { millis: 20 } },
+    });
+
+    singleSpa.navigateToUrl("/hangs");
+    await fresh.triggerAppChange();
+
+    expect(fresh.getAppStatus("hangs")).toBe(singleSpa.LOAD_ERROR);
+    expect(freshErrorHandler).toHaveBeenCalledTimes(1);
+    expect(freshErrorHandler.mock.calls[0][0].code).toBe(31);
+    expect(freshErrorHandler.mock.calls[0][0].lifecycle).toBe("load");
+
+    await fresh.unregisterApplication("hangs");
+  });
+
+  it(`keeps waiting on slow loading functions without dieOnTimeout`, async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    singleSpa.registerApplication({
+      name: "slow-loading",
+      app: () => wait(30).then(() => createApp()),
+      activeWhen: "/slow-loading",
+      timeouts: { load: { millis: 10, dieOnTimeout: false } },
+    });
+
+    singleSpa.navigateToUrl("/slow-loading");
+    await singleSpa.triggerAppChange();
+
+    expect(console.error).toHaveBeenCalledWith(
+      expect.stringMatching(/did not resolve or reject for 10 ms/)
+    );
+    console.error.mockRestore();
+    expect(singleSpa.getAppStatus("slow-loading")).toBe(singleSpa.MOUNTED);
+    expect(errorHandler).not.toHaveBeenCalled();
+
+    await singleSpa.unregisterApplication("slow-loading");
+  });
+
+  it(`uses the timeouts in the registration config over the application's and the global ones`, async () => {
+    singleSpa.setTimeouts({ mount: { millis: 10, dieOnTimeout: true } });
+
+    singleSpa.registerApplication({
+      name: "slow-load",
+      app: () => wait(30).then(() => createApp()),
+      activeWhen: "/overrides",
+      timeouts: { load: { millis: 200 } },
+    });
+    singleSpa.registerApplication({
+      name: "slow-mount",
+      app: createApp(30, { mount: { millis: 20 } }),
+      activeWhen: "/overrides",
+      timeouts: { mount: { millis: 200 } },
+    });
+    singleSpa.registerApplication({
+      name: "global-timeouts",
+      app: createApp(30),
+      activeWhen: "/overrides",
+    });
+
+    singleSpa.navigateToUrl("/overrides");
+    await singleSpa.triggerAppChange();
+
+    expect(singleSpa.getAppStatus("slow-load")).toBe(singleSpa.MOUNTED);
+    expect(singleSpa.getAppStatus("slow-mount")).toBe(singleSpa.MOUNTED);
+    expect(singleSpa.getAppStatus("global-timeouts")).toBe(
+      singleSpa.SKIP_BECAUSE_BROKEN
+    );
+
+    await singleSpa.unregisterApplication("slow-load");
+    await singleSpa.unregisterApplication("slow-mount");
+    await singleSpa.unregisterApplication("global-timeouts");
+  });
+});
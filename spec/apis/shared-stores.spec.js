@@ -0,0 +1,152 @@
+import * as singleSpa from "single-spa";
+
+describe(`shared stores`, () => {
+  beforeAll(() => {
+    singleSpa.start();
+  });
+
+  beforeEach(async () => {
+    singleSpa.navigateToUrl("/");
+    await singleSpa.triggerAppChange();
+  });
+
+  it(`throws for invalid or duplicate keys`, () => {
+    expect(() => {
+      singleSpa.createSharedStore("");
+    }).toThrowError(/non-empty string key/);
+
+    singleSpa.createSharedStore("duplicate", 1);
+    expect(() => {
+      singleSpa.createSharedStore("duplicate", 2);
+    }).toThrowError(/not used by another shared store/);
+  });
+
+  it(`can get and set state, and notifies subscribers of changes`, () => {
+    const store = singleSpa.createSharedStore("user", { name: "Ana" });
+    expect(singleSpa.getSharedStore("user")).toBe(store);
+    expect(singleSpa.getSharedStore("not-a-store")).toBe(null);
+
+    const listener = jest.fn();
+    const unsubscribe = store.subscribe(listener);
+
+    const ana = store.getState();
+    store.setState({ name: "Bo" });
+    expect(listener).toHaveBeenCalledWith({ name: "Bo" }, ana);
+
+    store.setState((state) => ({ name: state.name + "b" }));
+    expect(store.getState()).toEqual({ name: "Bob" });
+    expect(listener).toHaveBeenCalledTimes(2);
+
+    // Setting the same state doesn't notify anyone
+    store.setState(store.getState());
+    expect(listener).toHaveBeenCalledTimes(2);
+
+    unsubscribe();
+    store.setState({ name: "Cy" });
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  it(`keeps notifying subscribers when one of them throws`, () => {
+    const store = singleSpa.createSharedStore("throwing-listener", 0);
+    const listener = jest.fn();
+    jest.spyOn(console, "error").mockImplementationOnce(() => {});
+
+    store.subscribe(() => {
+      throw Error("listener error");
+    });
+    store.subscribe(listener);
+    store.setState(1);
+
+    expect(listener).toHaveBeenCalledWith(1, 0);
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  it(`gives applications the stores in their props, and tears down their subscriptions on unmount`, async () => {
+    const store = singleSpa.createSharedStore("locale", "en");
+    const locales = [];
+
+    singleSpa.registerApplication({
+      name: "store-subscriber",
+      app: {
+        async bootstrap() {},
+        async mount(props) {
+          props
+            .getSharedStore("locale")
+            .subscribe((locale) => locales.push(locale));
+        },
+        async unmount() {},
+      },
+      activeWhen: "/store-subscriber",
+    });
+
+    singleSpa.navigateToUrl("/store-subscriber");
+    await singleSpa.triggerAppChange();
+
+    store.setState("fr");
+    expect(locales).toEqual(["fr"]);
+
+    singleSpa.navigateToUrl("/");
+    await singleSpa.triggerAppChange();
+    expect(singleSpa.getAppStatus("store-subscriber")).toBe(
+      singleSpa.NOT_MOUNTED
+    );
+
+    store.setState("de");
+    expect(locales).toEqual(["fr"]);
+  });
+
+  it(`tears down the subscriptions made during bootstrap when the application unloads`, async () => {
+    const store = singleSpa.createSharedStore("flags", {});
+    const bootstrapListener = jest.fn();
+
+    singleSpa.registerApplication({
+      name: "bootstrap-subscriber",
+      app: {
+        async bootstrap(props) {
+          props.getSharedStore("flags").subscribe(bootstrapListener);
+        },
+        async mount() {},
+        async unmount() {},
+        async unload() {},
+      },
+      activeWhen: "/bootstrap-subscriber",
+    });
+
+    singleSpa.navigateToUrl("/bootstrap-subscriber");
+    await singleSpa.triggerAppChange();
+    singleSpa.navigateToUrl("/");
+    await singleSpa.triggerAppChange();
+
+    // Unmounting doesn't end subscriptions made before the application mounted
+    store.setState({ beta: true });
+    expect(bootstrapListener).toHaveBeenCalledTimes(1);
+
+    await singleSpa.unloadApplication("bootstrap-subscriber");
+    store.setState({ beta: false });
+    expect(bootstrapListener).toHaveBeenCalledTimes(1);
+  });
+
+  it(`tears down the subscriptions of parcels when they unmount`, async () => {
+    const store = singleSpa.createSharedStore("parcel-store", 0);
+    const parcelListener = jest.fn();
+
+    const parcel = singleSpa.mountRootParcel(
+      {
+        async bootstrap(props) {
+          props.getSharedStore("parcel-store").subscribe(parcelListener);
+        },
+        async mount() {},
+        async unmount() {},
+      },
+      { domElement: document.createElement("div") }
+    );
+    await parcel.mountPromise;
+
+    store.setState(1);
+    expect(parcelListener).toHaveBeenCalledTimes(1);
+
+    await parcel.unmount();
+    store.setState(2);
+    expect(parcelListener).toHaveBeenCalledTimes(1);
+  });
+});
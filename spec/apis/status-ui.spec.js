@@ -0,0 +1,271 @@
+import * as singleSpa from "single-spa";
+
+describe(`loadingUI and errorUI`, () => {
+  let errorHandler;
+
+  beforeAll(() => {
+    singleSpa.start();
+  });
+
+  beforeEach(async () => {
+    singleSpa.navigateToUrl("/");
+    await singleSpa.triggerAppChange();
+    errorHandler = jest.fn();
+    singleSpa.addErrorHandler(errorHandler);
+  });
+
+  afterEach(() => {
+    singleSpa.removeErrorHandler(errorHandler);
+  });
+
+  function createContainer(name) {
+    const container = document.createElement("div");
+    container.id = `single-spa-application:${name}`;
+    document.body.appendChild(container);
+    return container;
+  }
+
+  function createApp() {
+    return {
+      async bootstrap() {},
+      async mount(props) {
+        getContainer(props.name).textContent = "mounted";
+      },
+      async unmount(props) {
+        getContainer(props.name).textContent = "";
+      },
+    };
+  }
+
+  function getContainer(name) {
+    return document.getElementById(`single-spa-application:${name}`);
+  }
+
+  function paragraph(text) {
+    const p = document.createElement("p");
+    p.textContent = text;
+    return p;
+  }
+
+  function wait(millis) {
+    return new Promise((resolve) => setTimeout(resolve, millis));
+  }
+
+  it(`throws for invalid options`, () => {
+    expect(() => {
+      singleSpa.registerApplication({
+        name: "invalid-loading-ui",
+        app: createApp(),
+        activeWhen: "/",
+        loadingUI: "<p>Loading...</p>",
+      });
+    }).toThrowError(/config.loadingUI on registerApplication must be/);
+
+    expect(() => {
+      singleSpa.registerApplication({
+        name: "invalid-error-ui",
+        app: createApp(),
+        activeWhen: "/",
+        errorUI: { unmount() {} },
+      });
+    }).toThrowError(/config.errorUI on registerApplication must be/);
+
+    expect(() => {
+      singleSpa.registerApplication({
+        name: "invalid-delay",
+        app: createApp(),
+        activeWhen: "/",
+        loadingUIDelayMillis: -1,
+      });
+    }).toThrowError(/config.loadingUIDelayMillis on registerApplication/);
+
+    expect(singleSpa.getAppNames()).toEqual([]);
+  });
+
+  it(`shows the loadingUI when the application takes longer than loadingUIDelayMillis`, async () => {
+    const container = createContainer("slow-app");
+    let finishLoading;
+
+    singleSpa.registerApplication({
+      name: "slow-app",
+      app: () =>
+        new Promise((resolve) => {
+          finishLoading = () => resolve(createApp());
+        }),
+      activeWhen: "/slow-app",
+      loadingUI: (props) => paragraph(`Loading ${props.appName}`),
+      loadingUIDelayMillis: 10,
+    });
+
+    singleSpa.navigateToUrl("/slow-app");
+    const appChange = singleSpa.triggerAppChange();
+
+    await wait(0);
+    expect(container.innerHTML).toBe("");
+
+    await wait(100);
+    expect(container.innerHTML).toBe("<p>Loading slow-app</p>");
+
+    finishLoading();
+    await appChange;
+
+    expect(singleSpa.getAppStatus("slow-app")).toBe(singleSpa.MOUNTED);
+    expect(container.innerHTML).toBe("mounted");
+
+    await singleSpa.unregisterApplication("slow-app");
+    container.remove();
+  });
+
+  it(`doesn't show the loadingUI for applications that are quick to mount`, async () => {
+    const container = createContainer("quick-app");
+    const loadingUI = jest.fn(() => paragraph("Loading"));
+
+    singleSpa.registerApplication({
+      name: "quick-app",
+      app: createApp(),
+      activeWhen: "/quick-app",
+      loadingUI,
+      loadingUIDelayMillis: 10,
+    });
+
+    singleSpa.navigateToUrl("/quick-app");
+    await singleSpa.triggerAppChange();
+    await wait(20);
+
+    expect(loadingUI).not.toHaveBeenCalled();
+    expect(container.innerHTML).toBe("mounted");
+
+    await singleSpa.unregisterApplication("quick-app");
+    container.remove();
+  });
+
+  it(`shows the errorUI once the application is broken, and can retry loading it`, async () => {
+    const container = createContainer("flaky-app");
+    let errorProps,
+      loadCount = 0;
+
+    singleSpa.registerApplication({
+      name: "flaky-app",
+      app: () => {
+        loadCount++;
+        return loadCount === 1
+          ? Promise.reject(Error("Failed to fetch"))
+          : Promise.resolve(createApp());
+      },
+      activeWhen: "/flaky-app",
+      errorUI: (props) => {
+        errorProps = props;
+        return paragraph(`${props.appName} is unavailable`);
+      },
+    });
+
+    singleSpa.navigateToUrl("/flaky-app");
+    await singleSpa.triggerAppChange();
+
+    expect(singleSpa.getAppStatus("flaky-app")).toBe(singleSpa.LOAD_ERROR);
+    expect(container.innerHTML).toBe("<p>flaky-app is unavailable</p>");
+    expect(errorProps.error.appOrParcelName).toBe("flaky-app");
+    expect(errorHandler).toHaveBeenCalledTimes(1);
+
+    await errorProps.retry();
+
+    expect(loadCount).toBe(2);
+    expect(singleSpa.getAppStatus("flaky-app")).toBe(singleSpa.MOUNTED);
+    expect(container.innerHTML).toBe("mounted");
+
+    await singleSpa.unregisterApplication("flaky-app");
+    container.remove();
+  });
+
+  it(`mounts parcels as the errorUI, and unmounts them when the application is no longer active`, async () => {
+    const container = createContainer("broken-app");
+    const errorUI = {
+      async bootstrap() {},
+      async mount(props) {
+        props.domElement.appendChild(paragraph(`${props.appName} is broken`));
+      },
+      async unmount(props) {
+        props.domElement.innerHTML = "";
+      },
+    };
+
+    singleSpa.registerApplication({
+      name: "broken-app",
+      app: {
+        async bootstrap() {},
+        async mount() {
+          throw Error("Mount failed");
+        },
+        async unmount() {},
+      },
+      activeWhen: "/broken-app",
+      errorUI,
+    });
+
+    singleSpa.navigateToUrl("/broken-app");
+    await singleSpa.triggerAppChange();
+    await wait(0);
+
+    expect(singleSpa.getAppStatus("broken-app")).toBe(
+      singleSpa.SKIP_BECAUSE_BROKEN
+    );
+    expect(container.innerHTML).toBe("<p>broken-app is broken</p>");
+
+    singleSpa.navigateToUrl("/");
+    await singleSpa.triggerAppChange();
+    await wait(0);
+
+    expect(container.innerHTML).toBe("");
+
+    await singleSpa.unregisterApplication("broken-app");
+    container.remove();
+  });
+
+  it(`logs errorUI functions that throw or don't return a DOM node`, async () => {
+    const consoleError = jest
+      .spyOn(console, "error")
+      .mockImplementation(() => {});
+    const containers = [
+      createContainer("throwing-error-ui"),
+      createContainer("string-error-ui"),
+    ];
+
+    singleSpa.registerApplication({
+      name: "throwing-error-ui",
+      app: () => Promise.reject(Error("Failed to fetch")),
+      activeWhen: "/broken-error-ui",
+      errorUI: () => {
+        throw Error("errorUI failed");
+      },
+    });
+    singleSpa.registerApplication({
+      name: "string-error-ui",
+      app: () => Promise.reject(Error("Failed to fetch")),
+      activeWhen: "/broken-error-ui",
+      errorUI: () => "<p>Unavailable</p>",
+    });
+
+    singleSpa.navigateToUrl("/broken-error-ui");
+    await singleSpa.triggerAppChange();
+
+    expect(singleSpa.getAppStatus("throwing-error-ui")).toBe(
+      singleSpa.LOAD_ERROR
+    );
+    expect(singleSpa.getAppStatus("string-error-ui")).toBe(
+      singleSpa.LOAD_ERROR
+    );
+    expect(errorHandler).toHaveBeenCalledTimes(2);
+    expect(containers.map((container) => container.innerHTML)).toEqual([
+      "",
+      "",
+    ]);
+    expect(
+      consoleError.mock.calls.filter((args) => /#77/.test(args[0])).length
+    ).toBe(2);
+
+    await singleSpa.unregisterApplication("throwing-error-ui");
+    await singleSpa.unregisterApplication("string-error-ui");
+    containers.forEach((container) => container.remove());
+    consoleError.mockRestore();
+  });
+});
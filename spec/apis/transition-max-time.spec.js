@@ -0,0 +1,65 @@
+import * as singleSpa from "single-spa";
+
+describe(`transitionMaxTime start option`, () => {
+  let warnings;
+
+  beforeAll(() => {
+    singleSpa.registerApplication({
+      name: "stuck-a",
+      app: {
+        async mount() {},
+        async unmount() {},
+      },
+      activeWhen: "#/a",
+    });
+    singleSpa.registerApplication({
+      name: "stuck-b",
+      app: {
+        async mount() {},
+        async unmount() {},
+      },
+      activeWhen: "#/b",
+    });
+  });
+
+  beforeEach(() => {
+    warnings = [];
+    singleSpa.setReporter({
+      onWarning: (record) => warnings.push(record),
+    });
+  });
+
+  afterEach(() => {
+    singleSpa.setReporter(null);
+  });
+
+  it(`throws when transitionMaxTime isn't a positive number`, () => {
+    expect(() => {
+      singleSpa.start({ transition() {}, transitionMaxTime: 0 });
+    }).toThrowError(/transitionMaxTime that isn't a positive number/);
+  });
+
+  it(`unmounts the outgoing apps when the transition doesn't finish in time`, async () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    location.hash = "#/a";
+    // Never finishes
+    singleSpa.start({
+      transition: () => new Promise(() => {}),
+      transitionMaxTime: 20,
+    });
+    await singleSpa.triggerAppChange();
+    expect(singleSpa.getMountedApps()).toEqual(["stuck-a"]);
+
+    location.hash = "#/b";
+    await singleSpa.triggerAppChange();
+
+    expect(singleSpa.getMountedApps()).toEqual(["stuck-b"]);
+    expect(console.warn).toHaveBeenCalledWith(
+      expect.stringMatching(/did not finish within 20 ms/)
+    );
+    expect(warnings.map((warning) => warning.kind)).toContain(
+      "transition-timeout"
+    );
+    console.warn.mockRestore();
+  });
+});
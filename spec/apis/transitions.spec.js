@@ -0,0 +1,130 @@
+import * as singleSpa from "single-spa";
+
+describe(`transition start option`, () => {
+  let lifecycles = [],
+    transitions = [],
+    initialEnteringContainers = [],
+    finishTransition;
+  const containerB = document.createElement("div");
+
+  function createApp(name) {
+    return {
+      async mount() {
+        lifecycles.push(`${name} mount`);
+        const container = document.createElement("div");
+        container.id = `single-spa-application:${name}`;
+        document.body.appendChild(container);
+      },
+      async unmount() {
+        lifecycles.push(`${name} unmount`);
+        document.body.removeChild(
+          document.getElementById(`single-spa-application:${name}`)
+        );
+      },
+    };
+  }
+
+  beforeAll(() => {
+    singleSpa.registerApplication({
+      name: "transition-a",
+      app: createApp("transition-a"),
+      activeWhen: "#/a",
+    });
+    singleSpa.registerApplication({
+      name: "transition-b",
+      app: createApp("transition-b"),
+      activeWhen: "#/b",
+      customProps: { domElement: containerB },
+    });
+  });
+
+  beforeEach(() => {
+    lifecycles = [];
+    transitions = [];
+    initialEnteringContainers = [];
+  });
+
+  it(`throws when the transition isn't a function`, () => {
+    expect(() => {
+      singleSpa.start({ transition: "cross-fade" });
+    }).toThrowError(/transition that isn't a function/);
+  });
+
+  it(`mounts incoming apps before unmounting outgoing ones`, async () => {
+    location.hash = "#/a";
+    singleSpa.start({
+      transition(transition) {
+        transitions.push(transition);
+        initialEnteringContainers.push(
+          transition.entering.map((transitionApp) => transitionApp.domElement)
+        );
+        return new Promise((resolve) => {
+          finishTransition = resolve;
+        });
+      },
+    });
+    await tick();
+    finishTransition();
+    await singleSpa.triggerAppChange();
+    expect(singleSpa.getMountedApps()).toEqual(["transition-a"]);
+
+    lifecycles = [];
+    transitions = [];
+    location.hash = "#/b";
+    const reroutePromise = singleSpa.triggerAppChange();
+
+    await waitFor(() => transitions.length === 1);
+    const { leaving, entering, mounted } = transitions[0];
+    expect(leaving).toEqual([
+      {
+        appName: "transition-a",
+        domElement: document.getElementById(
+          "single-spa-application:transition-a"
+        ),
+      },
+    ]);
+    expect(entering).toEqual([
+      { appName: "transition-b", domElement: containerB },
+    ]);
+
+    await mounted;
+    expect(lifecycles).toEqual(["transition-b mount"]);
+    expect(singleSpa.getAppStatus("transition-a")).toBe(singleSpa.MOUNTED);
+
+    finishTransition();
+    await reroutePromise;
+    expect(lifecycles).toEqual(["transition-b mount", "transition-a unmount"]);
+    expect(singleSpa.getMountedApps()).toEqual(["transition-b"]);
+  });
+
+  it(`looks up the container of incoming apps again once they are mounted`, async () => {
+    location.hash = "#/a";
+    const reroutePromise = singleSpa.triggerAppChange();
+
+    await waitFor(() => transitions.length === 1);
+    const { entering, mounted } = transitions[0];
+    expect(entering[0].appName).toBe("transition-a");
+    expect(initialEnteringContainers).toEqual([[null]]);
+
+    await mounted;
+    expect(entering[0].domElement).toBe(
+      document.getElementById("single-spa-application:transition-a")
+    );
+
+    finishTransition();
+    await reroutePromise;
+    expect(singleSpa.getMountedApps()).toEqual(["transition-a"]);
+  });
+});
+
+function tick() {
+  return new Promise((resolve) => setTimeout(resolve));
+}
+
+async function waitFor(condition) {
+  for (let i = 0; i < 50 && !condition(); i++) {
+    await tick();
+  }
+
+  expect(condition()).toBe(true);
+}
@@ -0,0 +1,186 @@
+import * as singleSpa from "single-spa";
+
+describe(`updateApplication`, () => {
+  let updateProps = [],
+    mountCount = 0,
+    theme = "light";
+
+  beforeAll(() => {
+    singleSpa.start({ updateOnCustomPropsChange: true });
+  });
+
+  beforeEach(async () => {
+    singleSpa.navigateToUrl("/");
+    await singleSpa.triggerAppChange();
+    updateProps = [];
+    mountCount = 0;
+    theme = "light";
+  });
+
+  function createApp(opts) {
+    const app = {
+      async bootstrap() {},
+      async mount() {
+        mountCount++;
+      },
+      async unmount() {},
+    };
+
+    if (!opts || opts.update !== false) {
+      app.update = async (props) => {
+        updateProps.push(props);
+      };
+    }
+
+    return app;
+  }
+
+  it(`throws for applications that aren't registered`, () => {
+    expect(() => {
+      singleSpa.updateApplication("not-registered");
+    }).toThrowError(/no such application has been registered/);
+  });
+
+  it(`throws for invalid newProps`, () => {
+    singleSpa.registerApplication({
+      name: "invalid-props",
+      app: createApp(),
+      activeWhen: "/invalid-props",
+    });
+
+    expect(() => {
+      singleSpa.updateApplication("invalid-props", "dark");
+    }).toThrowError(/must be an object or a customProps function/);
+  });
+
+  it(`calls the update lifecycle of a mounted application with the new props`, async () => {
+    singleSpa.registerApplication({
+      name: "manual-update",
+      app: createApp(),
+      activeWhen: "/manual-update",
+      customProps: { theme: "light" },
+    });
+
+    singleSpa.navigateToUrl("/manual-update");
+    await singleSpa.triggerAppChange();
+    expect(singleSpa.getAppStatus("manual-update")).toBe(singleSpa.MOUNTED);
+
+    await singleSpa.updateApplication("manual-update", { theme: "dark" });
+    expect(updateProps.length).toBe(1);
+    expect(updateProps[0].theme).toBe("dark");
+    expect(updateProps[0].name).toBe("manual-update");
+
+    // Without newProps, the application is updated with the props it has
+    await singleSpa.updateApplication("manual-update");
+    expect(updateProps.length).toBe(2);
+    expect(updateProps[1].theme).toBe("dark");
+    expect(mountCount).toBe(1);
+  });
+
+  it(`gives the new props to applications that aren't mounted once they mount`, async () => {
+    let mountProps;
+    singleSpa.registerApplication({
+      name: "not-mounted-update",
+      app: {
+        async bootstrap() {},
+        async mount(props) {
+          mountProps = props;
+        },
+        async unmount() {},
+      },
+      activeWhen: "/not-mounted-update",
+      customProps: { theme: "light" },
+    });
+
+    await singleSpa.updateApplication("not-mounted-update", { theme: "dark" });
+
+    singleSpa.navigateToUrl("/not-mounted-update");
+    await singleSpa.triggerAppChange();
+    expect(mountProps.theme).toBe("dark");
+  });
+
+  it(`rejects for mounted applications without an update lifecycle`, async () => {
+    singleSpa.registerApplication({
+      name: "no-update-lifecycle",
+      app: createApp({ update: false }),
+      activeWhen: "/no-update-lifecycle",
+    });
+
+    singleSpa.navigateToUrl("/no-update-lifecycle");
+    await singleSpa.triggerAppChange();
+
+    await expect(
+      singleSpa.updateApplication("no-update-lifecycle", { theme: "dark" })
+    ).rejects.toThrowError(/doesn't export an update lifecycle/);
+  });
+
+  it(`updates mounted applications when their customProps function returns different props`, async () => {
+    singleSpa.registerApplication({
+      name: "auto-update",
+      app: createApp(),
+      activeWhen: "/auto-update",
+      customProps: () => ({ theme }),
+    });
+
+    singleSpa.navigateToUrl("/auto-update");
+    await singleSpa.triggerAppChange();
+    expect(mountCount).toBe(1);
+
+    // Same props, no update
+    await singleSpa.triggerAppChange();
+    expect(updateProps.length).toBe(0);
+
+    theme = "dark";
+    await singleSpa.triggerAppChange();
+    expect(updateProps.length).toBe(1);
+    expect(updateProps[0].theme).toBe("dark");
+    expect(mountCount).toBe(1);
+
+    await singleSpa.triggerAppChange();
+    expect(updateProps.length).toBe(1);
+  });
+
+  it(`doesn't update applications whose customProps are an object`, async () => {
+    singleSpa.registerApplication({
+      name: "static-props",
+      app: createApp(),
+      activeWhen: "/static-props",
+      customProps: { theme: "light" },
+    });
+
+    singleSpa.navigateToUrl("/static-props");
+    await singleSpa.triggerAppChange();
+    await singleSpa.triggerAppChange();
+
+    expect(updateProps.length).toBe(0);
+  });
+
+  it(`leaves customProps as they are, and gives the same helpers to every lifecycle`, async () => {
+    const sharedProps = { theme: "light" };
+    let mountProps;
+    const app = createApp();
+    app.mount = async (props) => {
+      mountProps = props;
+    };
+
+    singleSpa.registerApplication({
+      name: "shared-props",
+      app,
+      activeWhen: "/shared-props",
+      customProps: () => sharedProps,
+    });
+
+    singleSpa.navigateToUrl("/shared-props");
+    await singleSpa.triggerAppChange();
+    await singleSpa.triggerAppChange();
+
+    expect(sharedProps).toEqual({ theme: "light" });
+    expect(updateProps.length).toBe(0);
+
+    await singleSpa.updateApplication("shared-props");
+    expect(updateProps.length).toBe(1);
+    expect(updateProps[0].mountParcel).toBe(mountProps.mountParcel);
+    expect(updateProps[0].getSharedStore).toBe(mountProps.getSharedStore);
+    expect(updateProps[0].eventBus).toBe(mountProps.eventBus);
+  });
+});
@@ -0,0 +1,40 @@
+let mountProps, numMounts, updateProps;
+
+reset();
+
+export function bootstrap() {
+  return Promise.resolve();
+}
+
+export function mount(props) {
+  numMounts++;
+  mountProps = props;
+  return Promise.resolve();
+}
+
+export function update(props) {
+  updateProps.push(props);
+  return Promise.resolve();
+}
+
+export function unmount() {
+  return Promise.resolve();
+}
+
+export function getMountProps() {
+  return mountProps;
+}
+
+export function getNumMounts() {
+  return numMounts;
+}
+
+export function getUpdateProps() {
+  return updateProps;
+}
+
+export function reset() {
+  mountProps = null;
+  numMounts = 0;
+  updateProps = [];
+}
@@ -0,0 +1,73 @@
+import * as singleSpa from "single-spa";
+
+describe(`route-params app`, () => {
+  let myApp;
+
+  beforeAll(() => {
+    singleSpa.start();
+  });
+
+  beforeEach(async () => {
+    myApp = await import("./route-params.app.js");
+    myApp.reset();
+  });
+
+  it(`passes the route params from the activeWhen path as props`, async () => {
+    singleSpa.registerApplication({
+      name: "route-params",
+      app: () => import("./route-params.app.js"),
+      activeWhen: ["#/other-products", "#/products/:productId"],
+    });
+
+    window.location.hash = "#/products/shoe%20laces/reviews/5";
+    await singleSpa.triggerAppChange();
+
+    expect(singleSpa.getAppStatus("route-params")).toBe(singleSpa.MOUNTED);
+    expect(myApp.getMountProps().routeParams).toEqual({
+      productId: "shoe laces",
+      "*": "reviews/5",
+    });
+  });
+
+  it(`updates the mounted app when its route params change`, async () => {
+    window.location.hash = "#/products/socks";
+    await singleSpa.triggerAppChange();
+
+    expect(myApp.getNumMounts()).toBe(0);
+    expect(myApp.getUpdateProps().length).toBe(1);
+    expect(myApp.getUpdateProps()[0].routeParams).toEqual({
+      productId: "socks",
+    });
+  });
+
+  it(`doesn't update the app when its route params stay the same`, async () => {
+    window.location.hash = "#/products/socks";
+    await singleSpa.triggerAppChange();
+
+    expect(myApp.getUpdateProps().length).toBe(0);
+  });
+
+  it(`doesn't update the app when only the rest of the url changes`, async () => {
+    window.location.hash = "#/products/socks/reviews";
+    await singleSpa.triggerAppChange();
+    window.location.hash = "#/products/socks/reviews/5";
+    await singleSpa.triggerAppChange();
+
+    expect(myApp.getNumMounts()).toBe(0);
+    expect(myApp.getUpdateProps().length).toBe(0);
+  });
+
+  it(`passes empty route params for activity functions`, async () => {
+    singleSpa.registerApplication({
+      name: "route-params-fn",
+      app: () => import("./route-params.app.js"),
+      activeWhen: (location) => location.hash === "#/route-params-fn",
+    });
+
+    window.location.hash = "#/route-params-fn";
+    await singleSpa.triggerAppChange();
+
+    expect(myApp.getMountProps().name).toBe("route-params-fn");
+    expect(myApp.getMountProps().routeParams).toEqual({});
+  });
+});
@@ -30,8 +30,9 @@ describe("parcel errors", () => {
 
         await parcel1.bootstrapPromise.catch((err) => {
           expect(err.appOrParcelName).toBe("bootstrap-error");
-          expect(err.message).toMatch(`BOOTSTRAPPING`);
-          expect(err.message.indexOf(`bootstrap-error`)).toBeGreaterThan(-1);
+          expect(err.appOrParcelType).toBe("parcel");
+          expect(err.lifecycle).toBe("bootstrap");
+          expect(err.previousStatus).toBe(`BOOTSTRAPPING`);
           expect(parcel1.getStatus()).toBe("SKIP_BECAUSE_BROKEN");
         });
       });
@@ -60,7 +61,8 @@ describe("parcel errors", () => {
           throw Error("Mount should have failed");
         } catch (err) {
           expect(err.appOrParcelName).toBe("mount-error");
-          expect(err.message).toMatch("NOT_MOUNTED");
+          expect(err.lifecycle).toBe("mount");
+          expect(err.newStatus).toBe(singleSpa.SKIP_BECAUSE_BROKEN);
           expect(parcel1.getStatus()).toBe(singleSpa.SKIP_BECAUSE_BROKEN);
         }
       });
@@ -117,11 +119,45 @@ describe("parcel errors", () => {
             await parcel1.unmountPromise;
           } catch (err) {
             expect(err.appOrParcelName).toBe("unmount-error1");
-            expect(err.message.indexOf(`UNMOUNTING`)).toBeGreaterThan(-1);
-            expect(err.message.indexOf(`unmount-error1`)).toBeGreaterThan(-1);
+            expect(err.lifecycle).toBe("unmount");
+            expect(err.previousStatus).toBe(`UNMOUNTING`);
           }
           expect(parcel1.getStatus()).toBe("SKIP_BECAUSE_BROKEN");
         });
+
+        it(`calls the onError of the parcel that mounted a parcel that fails to unmount once`, async () => {
+          const onError = jest.fn();
+          const innerConfig = createParcelConfig("unmount");
+          innerConfig.name = "unmount-error-inner";
+          const outerConfig = {
+            name: "unmount-error-outer",
+            async bootstrap() {},
+            mount(props) {
+              const inner = props.mountParcel(innerConfig, {
+                domElement: document.createElement("div"),
+              });
+              // avoid unhandled rejections causing test failures
+              inner.unmountPromise.catch((err) => {});
+              return inner.mountPromise;
+            },
+            async unmount() {},
+          };
+
+          const outer = singleSpa.mountRootParcel(
+            outerConfig,
+            { domElement: document.createElement("div") },
+            { onError }
+          );
+          outer.unmountPromise.catch((err) => {});
+          await outer.mountPromise;
+
+          await expect(outer.unmount()).rejects.toThrow("unmount error");
+
+          expect(onError).toHaveBeenCalledTimes(1);
+          expect(onError.mock.calls[0][0].appOrParcelName).toBe(
+            "unmount-error-inner"
+          );
+        });
       });
 
       describe(`parcel unmounted by app unmount errors`, () => {
@@ -175,15 +211,16 @@ describe("parcel errors", () => {
             throw Error("Expected unmount error");
           } catch (err) {
             expect(err.appOrParcelName).toBe("unmount-error2");
-            expect(err.message.indexOf(`UNMOUNTING`)).toBeGreaterThan(-1);
-            expect(err.message.indexOf(`unmount-error2`)).toBeGreaterThan(-1);
+            expect(err.lifecycle).toBe("unmount");
+            expect(err.previousStatus).toBe(`UNMOUNTING`);
           }
 
           expect(errs.length).toBe(1);
           expect(errs[0].appOrParcelName).toBe("app-parcel-unmount-errors");
-          expect(errs[0].message).toMatch(
-            /application 'app-parcel-unmount-errors' died in status NOT_MOUNTED: parcel 'unmount-error2' died in status UNMOUNTING: unmount error/
-          );
+          expect(errs[0].message).toBe("unmount error");
+          // The parcel's error is the cause of the application's
+          expect(errs[0].cause.appOrParcelName).toBe("unmount-error2");
+          expect(errs[0].cause.previousStatus).toBe("UNMOUNTING");
         });
       });
     });
@@ -1,20 +1,123 @@
-import { objectType, toName } from "./app.helpers";
+import {
+  objectType,
+  toName,
+  isParcel,
+  SKIP_BECAUSE_BROKEN,
+} from "./app.helpers";
+import { getInstance, getAppInstance } from "./instances.js";
+import { assign } from "../utils/assign.js";
+import { showErrorUI } from "./status-ui.js";
+import { scheduleRecovery } from "./app-recovery.js";
+import { reportError, reportWarning } from "./reporter.js";
+import { isInBrowser } from "../utils/runtime-environment.js";
 
-let errorHandlers = [];
+/* An error first goes to the onError and scoped error handlers of the app or parcel it came
+ * from, then bubbles up through the apps and parcels that mounted it, and finally reaches the
+ * global error handlers. Any of the handlers along the way can call context.markHandled() to
+ * stop it from going any further.
+ */
+export function handleAppError(err, app, newStatus, lifecycle) {
+  const transformedErr = transformErr(err, app, newStatus, lifecycle);
+  const errorHandlers = getAppInstance(app).errorHandlers;
 
-export function handleAppError(err, app, newStatus) {
-  const transformedErr = transformErr(err, app, newStatus);
+  showErrorUI(app, transformedErr);
+  scheduleRecovery(app, transformedErr);
 
-  if (errorHandlers.length) {
-    errorHandlers.forEach((handler) => handler(transformedErr));
-  } else {
-    setTimeout(() => {
-      throw transformedErr;
+  const handled = bubbleError(transformedErr, app);
+  reportAppError(transformedErr, handled);
+
+  if (!handled) {
+    if (errorHandlers.length) {
+      errorHandlers.forEach((handler) => handler(transformedErr));
+    } else if (isInBrowser) {
+      setTimeout(() => {
+        throw transformedErr;
+      });
+    } else {
+      // Throwing from a timer would end the process of a server that renders with renderToString
+      console.error(transformedErr);
+    }
+  }
+
+  return transformedErr;
+}
+
+/* Called instead of handleAppError when the error is thrown to whoever called the lifecycle,
+ * like the promises of a parcel. The error still bubbles, but it's thrown instead of going to
+ * the global error handlers, unless it was handled.
+ */
+export function throwAppError(err, appOrParcel, newStatus, lifecycle) {
+  const transformedErr = transformErr(err, appOrParcel, newStatus, lifecycle);
+  const handled = bubbleError(transformedErr, appOrParcel);
+  reportAppError(transformedErr, handled);
+
+  if (!handled) {
+    throw transformedErr;
+  }
+}
+
+function reportAppError(err, handled) {
+  reportError({
+    error: err,
+    handled,
+    code: err.code,
+    lifecycle: err.lifecycle,
+    appOrParcelName: err.appOrParcelName,
+    appOrParcelType: err.appOrParcelType,
+  });
+}
+
+// Returns whether the error was handled
+function bubbleError(err, appOrParcel) {
+  /* The unmount errors of parcels are thrown to the app or parcel that mounted them, after they
+   * already bubbled up through it. The error it reports for them doesn't bubble a second time.
+   */
+  if (err.cause instanceof SingleSpaError && err.cause.bubbled) {
+    err.bubbled = true;
+    return false;
+  }
+
+  const instance = getAppInstance(appOrParcel);
+  let handled = false;
+  const context = {
+    markHandled() {
+      handled = true;
+    },
+  };
+
+  // Everyone at the level where the error was handled still gets it
+  for (
+    let current = appOrParcel;
+    current && !handled;
+    current = current.parentAppOrParcel
+  ) {
+    if (current.onError) {
+      current.onError(err, context);
+    }
+
+    instance.scopedErrorHandlers.forEach((scopedHandler) => {
+      if (isInScope(current, scopedHandler.scope)) {
+        scopedHandler.handler(err, context);
+      }
     });
   }
+
+  err.bubbled = true;
+
+  return handled;
+}
+
+function isInScope(appOrParcel, scope) {
+  return isParcel(appOrParcel)
+    ? scope === appOrParcel.handle
+    : scope.app === toName(appOrParcel);
 }
 
-export function addErrorHandler(handler) {
+/* Without a scope, the handler gets the errors that no one else handled. It can be scoped to
+ * an application, with { app: name }, or to a parcel, with what mountParcel returned. Parcels
+ * belong to the instance of the application that mounted them.
+ */
+export function addErrorHandler(handler, scope) {
   if (typeof handler !== "function") {
     throw Error(
       formatErrorMessage(
@@ -24,7 +127,26 @@ export function addErrorHandler(handler) {
     );
   }
 
-  errorHandlers.push(handler);
+  if (scope === undefined) {
+    getInstance(this).errorHandlers.push(handler);
+    return;
+  }
+
+  if (
+    typeof scope !== "object" ||
+    scope === null ||
+    !(typeof scope.app === "string" || typeof scope.getStatus === "function")
+  ) {
+    throw Error(
+      formatErrorMessage(
+        80,
+        __DEV__ &&
+          "The scope of a single-spa error handler must be { app: name } or a parcel"
+      )
+    );
+  }
+
+  getInstance(this).scopedErrorHandlers.push({ handler, scope });
 }
 
 export function removeErrorHandler(handler) {
@@ -37,12 +159,20 @@ export function removeErrorHandler(handler) {
     );
   }
 
+  const instance = getInstance(this);
   let removedSomething = false;
-  errorHandlers = errorHandlers.filter((h) => {
+  instance.errorHandlers = instance.errorHandlers.filter((h) => {
     const isHandler = h === handler;
     removedSomething = removedSomething || isHandler;
     return !isHandler;
   });
+  instance.scopedErrorHandlers = instance.scopedErrorHandlers.filter(
+    (scopedHandler) => {
+      const isHandler = scopedHandler.handler === handler;
+      removedSomething = removedSomething || isHandler;
+      return !isHandler;
+    }
+  );
 
   return removedSomething;
 }
@@ -55,46 +185,80 @@ export function formatErrorMessage(code, msg, ...args) {
   }`;
 }
 
-export function transformErr(ogErr, appOrParcel, newStatus) {
-  const errPrefix = `${objectType(appOrParcel)} '${toName(
-    appOrParcel
-  )}' died in status ${appOrParcel.status}: `;
+/* The errors that single-spa reports for applications and parcels. The error that was thrown
+ * or rejected is their cause, and is left as it is. They have its message and stack, so that
+ * error monitoring groups the errors of different apps the same way, and the app or parcel and
+ * what it was doing are on the error instead of in its message.
+ */
+export function SingleSpaError(message, details) {
+  this.name = "SingleSpaError";
+  this.message = message;
+  this.stack = (
+    details.cause instanceof Error ? details.cause : Error(message)
+  ).stack;
+  assign(this, details);
+}
+
+SingleSpaError.prototype = Object.create(Error.prototype);
+SingleSpaError.prototype.constructor = SingleSpaError;
 
-  let result;
+export function transformErr(ogErr, appOrParcel, newStatus, lifecycle) {
+  let message;
 
   if (ogErr instanceof Error) {
-    try {
-      ogErr.message = errPrefix + ogErr.message;
-    } catch (err) {
-      /* Some errors have read-only message properties, in which case there is nothing
-       * that we can do.
-       */
-    }
-    result = ogErr;
+    message = ogErr.message;
   } else {
-    console.warn(
-      formatErrorMessage(
-        30,
-        __DEV__ &&
-          `While ${appOrParcel.status}, '${toName(
-            appOrParcel
-          )}' rejected its lifecycle function promise with a non-Error. This will cause stack traces to not be accurate.`,
-        appOrParcel.status,
-        toName(appOrParcel)
-      )
+    const warning = formatErrorMessage(
+      30,
+      __DEV__ &&
+        `While ${appOrParcel.status}, '${toName(
+          appOrParcel
+        )}' rejected its lifecycle function promise with a non-Error. This will cause stack traces to not be accurate.`,
+      appOrParcel.status,
+      toName(appOrParcel)
     );
+    console.warn(warning);
+    reportWarning({
+      kind: "non-error-rejection",
+      code: 30,
+      message: warning,
+      lifecycle: lifecycle || null,
+      appOrParcelName: toName(appOrParcel),
+      appOrParcelType: objectType(appOrParcel),
+    });
+
     try {
-      result = Error(errPrefix + JSON.stringify(ogErr));
+      message = typeof ogErr === "string" ? ogErr : JSON.stringify(ogErr);
     } catch (err) {
       // If it's not an Error and you can't stringify it, then what else can you even do to it?
-      result = ogErr;
+    }
+
+    if (typeof message !== "string") {
+      message = String(ogErr);
     }
   }
 
-  result.appOrParcelName = toName(appOrParcel);
+  // Errors that single-spa made with formatErrorMessage keep their code
+  const codeMatch = /^single-spa minified message #(\d+):/.exec(message);
+
+  const result = new SingleSpaError(message, {
+    code: codeMatch ? Number(codeMatch[1]) : null,
+    lifecycle: lifecycle || null,
+    previousStatus: appOrParcel.status,
+    newStatus,
+    appOrParcelName: toName(appOrParcel),
+    appOrParcelType: objectType(appOrParcel),
+    cause: ogErr,
+  });
+
+  // Remembered so that resetApplication knows what status to put a broken app back in
+  if (
+    newStatus === SKIP_BECAUSE_BROKEN &&
+    appOrParcel.status !== SKIP_BECAUSE_BROKEN
+  ) {
+    appOrParcel.brokenInStatus = appOrParcel.status;
+  }
 
-  // We set the status after transforming the error so that the error message
-  // references the state the application was in before the status change.
   appOrParcel.status = newStatus;
 
   return result;
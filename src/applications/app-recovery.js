@@ -0,0 +1,282 @@
+import {
+  NOT_LOADED,
+  LOADING_SOURCE_CODE,
+  NOT_BOOTSTRAPPED,
+  BOOTSTRAPPING,
+  NOT_MOUNTED,
+  LOAD_ERROR,
+  LOAD_FAILED,
+  SKIP_BECAUSE_BROKEN,
+  isParcel,
+  toName,
+} from "./app.helpers.js";
+import { handleAppError, formatErrorMessage } from "./app-errors.js";
+import { getInstance, getAppInstance } from "./instances.js";
+import { backoffStrategies, getRetryMillis } from "./load-retry.js";
+import {
+  endMountedSubscriptions,
+  endAllSubscriptions,
+} from "./app-subscriptions.js";
+import { removeLayoutContainer } from "./layout.js";
+import { hideStatusUI } from "./status-ui.js";
+import { reasonableTime } from "./timeouts.js";
+import { reroute } from "../navigation/reroute.js";
+import { assign } from "../utils/assign.js";
+import { find } from "../utils/find.js";
+import { isInBrowser } from "../utils/runtime-environment.js";
+
+const defaultRecoveryPolicy = {
+  maxAttempts: 3,
+  backoff: "exponential",
+  baseMillis: 1000,
+  maxMillis: 30000,
+  jitter: 0,
+  onGiveUp: null,
+};
+
+let globalRecoveryPolicy = null;
+
+/* Broken applications are skipped by every reroute until they're reset. Resetting one cleans
+ * up what it left behind and puts it back in the status it was in before it broke, so that
+ * the next reroute loads, bootstraps or mounts it again:
+ *
+ * - Apps that failed to load, broke before they were loaded, or that are reset with
+ *   { reload: true }, go back to NOT_LOADED. Reloaded apps are unloaded first, if they have
+ *   an unload lifecycle.
+ * - Apps that broke while bootstrapping go back to NOT_BOOTSTRAPPED.
+ * - Everything else goes back to NOT_MOUNTED.
+ *
+ * Applications that aren't broken are left alone. The returned promise resolves once the
+ * reroute that follows the reset is done.
+ */
+export function resetApplication(appName, opts) {
+  const app = find(getInstance(this).apps, (app) => toName(app) === appName);
+  if (!app) {
+    throw Error(
+      formatErrorMessage(
+        78,
+        __DEV__ &&
+          `Cannot reset application '${appName}' because no such application has been registered`,
+        appName
+      )
+    );
+  }
+
+  return resetApp(app, Boolean(opts && opts.reload))
+    .then(() => reroute())
+    .then(() => {});
+}
+
+// Called by resetApplication, the errorUI's retry() and automatic recovery
+export function resetApp(app, reload) {
+  if (!isBroken(app)) {
+    return Promise.resolve();
+  }
+
+  clearTimeout(app.recoveryTimeout);
+  delete app.recoveryTimeout;
+  hideStatusUI(app);
+
+  // Parcels that wouldn't unmount are abandoned along with the broken app
+  const unmountParcels = Object.keys(app.parcels).map((parcelId) =>
+    app.parcels[parcelId].unmountThisParcel().catch(() => {})
+  );
+
+  return Promise.all(unmountParcels).then(() => {
+    app.parcels = {};
+    endMountedSubscriptions(app);
+    removeLayoutContainer(app);
+
+    // Apps that broke while loading, like with invalid lifecycles, have nothing to bootstrap or mount
+    const brokeBeforeLoading =
+      app.brokenInStatus === NOT_LOADED ||
+      app.brokenInStatus === LOADING_SOURCE_CODE;
+
+    if (!reload && !brokeBeforeLoading && app.status === SKIP_BECAUSE_BROKEN) {
+      app.status =
+        app.brokenInStatus === BOOTSTRAPPING ? NOT_BOOTSTRAPPED : NOT_MOUNTED;
+      return;
+    }
+
+    const unloadPromise =
+      reload && app.unload ? reasonableTime(app, "unload") : Promise.resolve();
+
+    return unloadPromise.then(
+      () => {
+        forgetLifecycles(app);
+        app.status = NOT_LOADED;
+      },
+      (err) => {
+        forgetLifecycles(app);
+        handleAppError(err, app, SKIP_BECAUSE_BROKEN, "unload");
+        throw err;
+      }
+    );
+  });
+}
+
+export function setRecoveryPolicy(policy) {
+  if (policy !== null) {
+    validateRecoveryPolicy(policy);
+  }
+
+  globalRecoveryPolicy = policy;
+}
+
+export function validateRecoveryPolicy(policy) {
+  if (typeof policy !== "object" || policy === null || Array.isArray(policy)) {
+    throwInvalidPolicy("policy");
+  }
+
+  ["maxAttempts", "maxMillis"].forEach((propertyName) => {
+    if (
+      policy[propertyName] !== undefined &&
+      !(typeof policy[propertyName] === "number" && policy[propertyName] > 0)
+    ) {
+      throwInvalidPolicy(propertyName);
+    }
+  });
+
+  if (
+    policy.backoff !== undefined &&
+    backoffStrategies.indexOf(policy.backoff) < 0
+  ) {
+    throwInvalidPolicy("backoff");
+  }
+
+  if (
+    policy.baseMillis !== undefined &&
+    !(typeof policy.baseMillis === "number" && policy.baseMillis >= 0)
+  ) {
+    throwInvalidPolicy("baseMillis");
+  }
+
+  if (
+    policy.jitter !== undefined &&
+    !(
+      typeof policy.jitter === "number" &&
+      policy.jitter >= 0 &&
+      policy.jitter <= 1
+    )
+  ) {
+    throwInvalidPolicy("jitter");
+  }
+
+  if (policy.onGiveUp && typeof policy.onGiveUp !== "function") {
+    throwInvalidPolicy("onGiveUp");
+  }
+}
+
+function throwInvalidPolicy(propertyName) {
+  throw Error(
+    formatErrorMessage(
+      79,
+      __DEV__ &&
+        `Invalid recovery policy: '${propertyName}' is invalid. maxAttempts and maxMillis must be positive numbers, backoff must be one of ${backoffStrategies.join(
+          ", "
+        )}, baseMillis must be a non-negative number, jitter must be between 0 and 1, and onGiveUp must be a function`,
+      propertyName
+    )
+  );
+}
+
+/* Called by handleAppError. With a recovery policy, applications that break are reset after a
+ * backoff, until they've been reset maxAttempts times without mounting successfully.
+ */
+export function scheduleRecovery(app, err) {
+  const policy = getRecoveryPolicy(app);
+
+  // Recovering reroutes, which would mount applications on the server
+  if (
+    !isInBrowser ||
+    !policy ||
+    isParcel(app) ||
+    app.status !== SKIP_BECAUSE_BROKEN ||
+    app.recoveryTimeout
+  ) {
+    return;
+  }
+
+  const attempts = app.recoveryAttempts || 0;
+
+  if (attempts >= policy.maxAttempts) {
+    // A broken onGiveUp shouldn't keep handleAppError from reporting the error
+    if (policy.onGiveUp) {
+      try {
+        policy.onGiveUp({ appName: toName(app), attempts, error: err });
+      } catch (giveUpErr) {
+        console.error(
+          formatErrorMessage(
+            92,
+            __DEV__ &&
+              `The onGiveUp function of the recovery policy for application '${toName(
+                app
+              )}' threw`,
+            toName(app)
+          ),
+          giveUpErr
+        );
+      }
+    }
+    return;
+  }
+
+  app.recoveryAttempts = attempts + 1;
+  app.recoveryTimeout = setTimeout(() => {
+    delete app.recoveryTimeout;
+
+    // Unregistered apps aren't coming back
+    if (getAppInstance(app).apps.indexOf(app) < 0) {
+      return;
+    }
+
+    resetApp(app, false).then(
+      () => {
+        reroute();
+      },
+      // handleAppError already reported it
+      () => {}
+    );
+  }, getRetryMillis(policy, app.recoveryAttempts));
+}
+
+// Called by toMountPromise
+export function resetRecoveryAttempts(app) {
+  delete app.recoveryAttempts;
+}
+
+function getRecoveryPolicy(app) {
+  if (!app.recoveryPolicy && !globalRecoveryPolicy) {
+    return null;
+  }
+
+  // assign() copies through its middle arguments, so the policies are merged one at a time
+  const policy = assign({}, defaultRecoveryPolicy);
+  assign(policy, globalRecoveryPolicy || {});
+  return assign(policy, app.recoveryPolicy || {});
+}
+
+function isBroken(app) {
+  return (
+    app.status === SKIP_BECAUSE_BROKEN ||
+    app.status === LOAD_ERROR ||
+    app.status === LOAD_FAILED
+  );
+}
+
+function forgetLifecycles(app) {
+  // Apps that resolved with invalid lifecycles keep the promise that loaded them
+  delete app.loadPromise;
+  delete app.bootstrap;
+  delete app.mount;
+  delete app.unmount;
+  delete app.unload;
+  delete app.update;
+  delete app.deactivate;
+  delete app.activate;
+  delete app.renderServerSide;
+  endAllSubscriptions(app);
+
+  app.loadAttempts = 0;
+  app.loadErrorTime = null;
+}
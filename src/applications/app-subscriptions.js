@@ -0,0 +1,39 @@
+import { MOUNTING, MOUNTED, UPDATING, isParcel } from "./app.helpers.js";
+
+/* Shared stores and the event bus track the subscriptions that applications and parcels make
+ * through their props, so that they can be torn down for them. Subscriptions made while
+ * mounted end when the app or parcel unmounts, and subscriptions made before that (during
+ * bootstrap) end when the app unloads. Parcels are never unloaded, so all of their
+ * subscriptions end when they unmount.
+ */
+export function trackSubscription(appOrParcel, unsubscribe) {
+  const untilUnmount =
+    appOrParcel.status === MOUNTING ||
+    appOrParcel.status === MOUNTED ||
+    appOrParcel.status === UPDATING;
+  const key = untilUnmount ? "mountedSubscriptions" : "subscriptions";
+
+  (appOrParcel[key] || (appOrParcel[key] = [])).push(unsubscribe);
+}
+
+// Called once an app or parcel is unmounted
+export function endMountedSubscriptions(appOrParcel) {
+  endSubscriptions(appOrParcel, "mountedSubscriptions");
+
+  if (isParcel(appOrParcel)) {
+    endSubscriptions(appOrParcel, "subscriptions");
+  }
+}
+
+// Called once an app is unloaded
+export function endAllSubscriptions(app) {
+  endSubscriptions(app, "mountedSubscriptions");
+  endSubscriptions(app, "subscriptions");
+}
+
+function endSubscriptions(appOrParcel, key) {
+  if (appOrParcel[key]) {
+    appOrParcel[key].forEach((unsubscribe) => unsubscribe());
+    delete appOrParcel[key];
+  }
+}
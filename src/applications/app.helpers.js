@@ -1,4 +1,6 @@
 import { handleAppError } from "./app-errors.js";
+import { getLocation } from "../navigation/location-adapters.js";
+import { findAppContainer } from "./instances.js";
 
 // App statuses
 export const NOT_LOADED = "NOT_LOADED";
@@ -10,8 +12,12 @@ export const MOUNTING = "MOUNTING";
 export const MOUNTED = "MOUNTED";
 export const UPDATING = "UPDATING";
 export const UNMOUNTING = "UNMOUNTING";
+export const DEACTIVATING = "DEACTIVATING";
+export const FROZEN = "FROZEN";
+export const ACTIVATING = "ACTIVATING";
 export const UNLOADING = "UNLOADING";
 export const LOAD_ERROR = "LOAD_ERROR";
+export const LOAD_FAILED = "LOAD_FAILED";
 export const SKIP_BECAUSE_BROKEN = "SKIP_BECAUSE_BROKEN";
 
 export function isActive(app) {
@@ -20,13 +26,42 @@ export function isActive(app) {
 
 export function shouldBeActive(app) {
   try {
-    return app.activeWhen(window.location);
+    return app.activeWhen(getLocation());
   } catch (err) {
-    handleAppError(err, app, SKIP_BECAUSE_BROKEN);
+    handleAppError(err, app, SKIP_BECAUSE_BROKEN, "activeWhen");
     return false;
   }
 }
 
+export function getRouteParams(app, location) {
+  const routeMatchers = app.routeMatchers || [];
+
+  for (let i = 0; i < routeMatchers.length; i++) {
+    const routeParams = routeMatchers[i](location);
+    if (routeParams) {
+      return routeParams;
+    }
+  }
+
+  return {};
+}
+
+/* Where an application renders. This follows the conventions of the framework helpers
+ * (single-spa-react, etc) and single-spa-layout, so it can be null when an application
+ * decides for itself where it renders.
+ */
+export function getAppContainer(app) {
+  const customProps =
+    typeof app.customProps === "function"
+      ? app.customProps(toName(app), getLocation())
+      : app.customProps;
+
+  return (
+    (customProps && customProps.domElement) ||
+    findAppContainer(app, `single-spa-application:${toName(app)}`)
+  );
+}
+
 export function toName(app) {
   return app.name;
 }
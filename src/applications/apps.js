@@ -9,39 +9,72 @@ import {
   LOAD_ERROR,
   SKIP_BECAUSE_BROKEN,
   LOADING_SOURCE_CODE,
+  BOOTSTRAPPING,
+  FROZEN,
   shouldBeActive,
+  getRouteParams,
 } from "./app.helpers.js";
 import { reroute, triggerAppChange } from "../navigation/reroute.js";
 import { find } from "../utils/find.js";
 import { toUnmountPromise } from "../lifecycles/unmount.js";
+import { toUpdatePromise } from "../lifecycles/update.js";
 import {
   toUnloadPromise,
   getAppUnloadInfo,
   addAppToUnload,
 } from "../lifecycles/unload.js";
 import { formatErrorMessage } from "./app-errors.js";
+import { isReadyToRetryLoad, validateLoadRetryPolicy } from "./load-retry.js";
 import { isInBrowser } from "../utils/runtime-environment.js";
 import { assign } from "../utils/assign";
 import { isStarted } from "../start.js";
-
-const apps = [];
+import { shallowEqual } from "../utils/shallow-equal.js";
+import { getLocation, canReroute } from "../navigation/location-adapters.js";
+import {
+  getInstance,
+  getInstances,
+  getAppInstance,
+  scopeActiveWhen,
+} from "./instances.js";
+import { toDynamicPathValidatorRegex } from "./path-to-regex.js";
+import { getAppRoute } from "../navigation/routing-mode.js";
+import { guardNames } from "../navigation/route-guards.js";
+import { validateStatusUI } from "./status-ui.js";
+import { validateTimeouts, abortLifecycle } from "./timeouts.js";
+import { validateRecoveryPolicy } from "./app-recovery.js";
+import {
+  validateKeepAlive,
+  sanitizeKeepAlive,
+  getAppsToEvict,
+} from "./keep-alive.js";
+import {
+  schedulePreload,
+  cancelPreload,
+  preloadStrategies,
+} from "./preload.js";
 
 export function getAppChanges() {
   const appsToUnload = [],
     appsToUnmount = [],
     appsToLoad = [],
-    appsToMount = [];
+    appsToMount = [],
+    appsToUpdate = [],
+    appsToFreeze = [],
+    appsToThaw = [],
+    frozenApps = [];
 
-  // We re-attempt to download applications in LOAD_ERROR after a timeout of 200 milliseconds
+  // We re-attempt to download applications in LOAD_ERROR once their retry delay has passed
   const currentTime = new Date().getTime();
 
-  apps.forEach((app) => {
+  getRawAppData().forEach((app) => {
     const appShouldBeActive =
       app.status !== SKIP_BECAUSE_BROKEN && shouldBeActive(app);
+    // Applications of instances that haven't been started yet can be loaded, but not mounted
+    const appCanMount = appShouldBeActive && getAppInstance(app).started;
 
     switch (app.status) {
       case LOAD_ERROR:
-        if (appShouldBeActive && currentTime - app.loadErrorTime >= 200) {
+        if (appShouldBeActive && isReadyToRetryLoad(app, currentTime)) {
           appsToLoad.push(app);
         }
         break;
@@ -53,39 +86,124 @@ export function getAppChanges() {
         break;
       case NOT_BOOTSTRAPPED:
       case NOT_MOUNTED:
-        if (!appShouldBeActive && getAppUnloadInfo(toName(app))) {
+        if (!appShouldBeActive && getAppUnloadInfo(app)) {
           appsToUnload.push(app);
-        } else if (appShouldBeActive) {
+        } else if (appCanMount) {
+          appsToMount.push(app);
+        }
+        break;
+      case BOOTSTRAPPING:
+        // Only preloaded apps are bootstrapped outside of a reroute
+        if (appCanMount) {
           appsToMount.push(app);
         }
         break;
       case MOUNTED:
         if (!appShouldBeActive) {
+          (app.keepAlive ? appsToFreeze : appsToUnmount).push(app);
+        } else if (
+          app.update &&
+          (routeParamsChanged(app) || customPropsChanged(app))
+        ) {
+          appsToUpdate.push(app);
+        }
+        break;
+      case FROZEN:
+        if (appShouldBeActive) {
+          appsToThaw.push(app);
+        } else if (getAppUnloadInfo(app)) {
           appsToUnmount.push(app);
+        } else {
+          frozenApps.push(app);
         }
         break;
       // all other statuses are ignored
     }
   });
 
-  return { appsToUnload, appsToUnmount, appsToLoad, appsToMount };
+  getAppsToEvict(frozenApps, appsToFreeze).forEach((app) => {
+    const freezeIndex = appsToFreeze.indexOf(app);
+    if (freezeIndex >= 0) {
+      appsToFreeze.splice(freezeIndex, 1);
+    }
+    appsToUnmount.push(app);
+  });
+
+  return {
+    appsToUnload,
+    appsToUnmount,
+    appsToLoad,
+    appsToMount,
+    appsToUpdate,
+    appsToFreeze,
+    appsToThaw,
+  };
+}
+
+/* Mounted apps are told about new route params through their update lifecycle. The "*" param,
+ * which is the rest of the url after a path that isn't an exact match, changes on every
+ * navigation within the app's route, so it doesn't count.
+ */
+function routeParamsChanged(app) {
+  return (
+    !app.routeParams ||
+    !shallowEqual(
+      withoutWildcardTail(app.routeParams),
+      withoutWildcardTail(getRouteParams(app, getLocation()))
+    )
+  );
+}
+
+function withoutWildcardTail(routeParams) {
+  const result = assign({}, routeParams);
+  delete result["*"];
+  return result;
+}
+
+let updateOnCustomPropsChange = false;
+
+// Called by start()
+export function setUpdateOnCustomPropsChange(enabled) {
+  updateOnCustomPropsChange = Boolean(enabled);
+}
+
+/* With updateOnCustomPropsChange, customProps functions are called again on every reroute,
+ * so that mounted apps can be updated instead of remounted when something like the theme
+ * or locale changes.
+ */
+function customPropsChanged(app) {
+  if (!updateOnCustomPropsChange || typeof app.customProps !== "function") {
+    return false;
+  }
+
+  const customProps = app.customProps(toName(app), getLocation());
+
+  return (
+    typeof customProps === "object" &&
+    customProps !== null &&
+    (!app.customPropsResult ||
+      !shallowEqual(app.customPropsResult, customProps))
+  );
 }
 
 export function getMountedApps() {
-  return apps.filter(isActive).map(toName);
+  return getInstance(this).apps.filter(isActive).map(toName);
 }
 
 export function getAppNames() {
-  return apps.map(toName);
+  return getInstance(this).apps.map(toName);
 }
 
-// used in devtools, not (currently) exposed as a single-spa API
+// used in devtools, not (currently) exposed as a single-spa API. Returns the apps of every instance
 export function getRawAppData() {
-  return [...apps];
+  return getInstances().reduce(
+    (apps, instance) => apps.concat(instance.apps),
+    []
+  );
 }
 
 export function getAppStatus(appName) {
-  const app = find(apps, (app) => toName(app) === appName);
+  const app = find(getInstance(this).apps, (app) => toName(app) === appName);
   return app ? app.status : null;
 }
 
@@ -97,12 +215,14 @@ export function registerApplication(
   activeWhen,
   customProps
 ) {
+  const instance = getInstance(this);
   const registration = sanitizeArguments(
     appNameOrConfig,
     appOrLoadApp,
     activeWhen,
     customProps
   );
+  registration.activeWhen = scopeActiveWhen(instance, registration.activeWhen);
 
   if (!isStarted() && !startWarningInitialized) {
     startWarningInitialized = true;
@@ -120,7 +240,7 @@ export function registerApplication(
     }, 5000);
   }
 
-  if (getAppNames().indexOf(registration.name) !== -1)
+  if (instance.apps.map(toName).indexOf(registration.name) !== -1)
     throw Error(
       formatErrorMessage(
         21,
@@ -130,35 +250,48 @@ export function registerApplication(
       )
     );
 
-  apps.push(
-    assign(
-      {
-        loadErrorTime: null,
-        status: NOT_LOADED,
-        parcels: {},
-        devtools: {
-          overlays: {
-            options: {},
-            selectors: [],
-          },
+  const app = assign(
+    {
+      loadErrorTime: null,
+      loadAttempts: 0,
+      status: NOT_LOADED,
+      instance,
+      parcels: {},
+      devtools: {
+        overlays: {
+          options: {},
+          selectors: [],
         },
       },
-      registration
-    )
+    },
+    registration
   );
 
+  instance.apps.push(app);
+
   if (isInBrowser) {
     ensureJQuerySupport();
+  }
+
+  if (canReroute()) {
     reroute();
+
+    if (instance.started) {
+      schedulePreload(app);
+    }
   }
 }
 
-export function checkActivityFunctions(location = window.location) {
-  return apps.filter((app) => app.activeWhen(location)).map(toName);
+export function checkActivityFunctions(location = getLocation()) {
+  return getInstance(this)
+    .apps.filter((app) => app.activeWhen(location))
+    .map(toName);
 }
 
 export function unregisterApplication(appName) {
-  if (apps.filter((app) => toName(app) === appName).length === 0) {
+  const instance = getInstance(this);
+  const app = find(instance.apps, (app) => toName(app) === appName);
+  if (!app) {
     throw Error(
       formatErrorMessage(
         25,
@@ -169,14 +302,17 @@ export function unregisterApplication(appName) {
     );
   }
 
-  const unloadPromise = isInBrowser
+  cancelPreload(app);
+  abortLifecycle(app);
+
+  const unloadPromise = canReroute()
     ? // See https://github.com/single-spa/single-spa/issues/871 for why waitForUnmount is false
-      unloadApplication(appName, { waitForUnmount: false })
+      unloadApplication.call(instance, appName, { waitForUnmount: false })
     : Promise.resolve();
 
   return unloadPromise.then(() => {
-    const appIndex = apps.map(toName).indexOf(appName);
-    apps.splice(appIndex, 1);
+    const appIndex = instance.apps.indexOf(app);
+    instance.apps.splice(appIndex, 1);
   });
 }
 
@@ -189,7 +325,7 @@ export function unloadApplication(appName, opts = { waitForUnmount: false }) {
       )
     );
   }
-  const app = find(apps, (App) => toName(App) === appName);
+  const app = find(getInstance(this).apps, (App) => toName(App) === appName);
   if (!app) {
     throw Error(
       formatErrorMessage(
@@ -201,7 +337,7 @@ export function unloadApplication(appName, opts = { waitForUnmount: false }) {
     );
   }
 
-  const appUnloadInfo = getAppUnloadInfo(toName(app));
+  const appUnloadInfo = getAppUnloadInfo(app);
   if (opts && opts.waitForUnmount) {
     // We need to wait for unmount before unloading the app
 
@@ -237,15 +373,65 @@ export function unloadApplication(appName, opts = { waitForUnmount: false }) {
   }
 }
 
+/* Updates a mounted application with its update lifecycle, like a parcel's update(). The
+ * newProps, if given, replace the application's customProps, which is how applications
+ * that aren't mounted get them once they mount.
+ */
+export function updateApplication(appName, newProps) {
+  const app = find(getInstance(this).apps, (app) => toName(app) === appName);
+  if (!app) {
+    throw Error(
+      formatErrorMessage(
+        61,
+        __DEV__ &&
+          `Cannot update application '${appName}' because no such application has been registered`,
+        appName
+      )
+    );
+  }
+
+  if (newProps !== undefined) {
+    if (!validCustomProps(newProps)) {
+      throw Error(
+        formatErrorMessage(
+          62,
+          __DEV__ &&
+            `The newProps given to updateApplication('${appName}') must be an object or a customProps function`,
+          appName
+        )
+      );
+    }
+
+    app.customProps = sanitizeCustomProps(newProps);
+  }
+
+  if (app.status !== MOUNTED) {
+    return Promise.resolve();
+  }
+
+  if (!app.update) {
+    return Promise.reject(
+      Error(
+        formatErrorMessage(
+          63,
+          __DEV__ &&
+            `Cannot update application '${appName}' because it doesn't export an update lifecycle`,
+          appName
+        )
+      )
+    );
+  }
+
+  return toUpdatePromise(app, true).then(() => {});
+}
+
 function immediatelyUnloadApp(app, resolve, reject) {
   Promise.resolve()
     .then(() => {
       // Before unmounting the application, we first must wait for it to finish mounting
       // Otherwise, the test for issue 871 in unregister-application.spec.js fails because
       // the application isn't really unmounted.
-      if (
-        find(checkActivityFunctions(), (activeApp) => activeApp === toName(app))
-      ) {
+      if (app.activeWhen(getLocation())) {
         return triggerAppChange();
       }
     })
@@ -314,7 +500,24 @@ export function validateRegisterWithConfig(config) {
         __DEV__ && "Configuration object can't be an Array or null!"
       )
     );
-  const validKeys = ["name", "app", "activeWhen", "customProps"];
+  const validKeys = [
+    "name",
+    "app",
+    "activeWhen",
+    "customProps",
+    "exclude",
+    "preload",
+    "loadRetryPolicy",
+    "recoveryPolicy",
+    "onError",
+    "canMount",
+    "canUnmount",
+    "keepAlive",
+    "loadingUI",
+    "errorUI",
+    "loadingUIDelayMillis",
+    "timeouts",
+  ];
   const invalidKeys = Object.keys(config).reduce(
     (invalidKeys, prop) =>
       validKeys.indexOf(prop) >= 0 ? invalidKeys : invalidKeys.concat(prop),
@@ -364,6 +567,21 @@ export function validateRegisterWithConfig(config) {
           "The config.activeWhen on registerApplication must be a string, function or an array with both"
       )
     );
+  if (
+    config.exclude &&
+    !allowsStringAndFunction(config.exclude) &&
+    !(
+      Array.isArray(config.exclude) &&
+      config.exclude.every(allowsStringAndFunction)
+    )
+  )
+    throw Error(
+      formatErrorMessage(
+        48,
+        __DEV__ &&
+          "The optional config.exclude on registerApplication must be a string, function or an array with both"
+      )
+    );
   if (!validCustomProps(config.customProps))
     throw Error(
       formatErrorMessage(
@@ -371,6 +589,45 @@ export function validateRegisterWithConfig(config) {
         __DEV__ && "The optional config.customProps must be an object"
       )
     );
+  if (
+    config.preload &&
+    typeof config.preload !== "function" &&
+    preloadStrategies.indexOf(config.preload) < 0
+  )
+    throw Error(
+      formatErrorMessage(
+        45,
+        __DEV__ &&
+          `The optional config.preload must be a function or one of: ${preloadStrategies.join(
+            ", "
+          )}`,
+        preloadStrategies.join(", ")
+      )
+    );
+  if (config.loadRetryPolicy) validateLoadRetryPolicy(config.loadRetryPolicy);
+  if (config.recoveryPolicy) validateRecoveryPolicy(config.recoveryPolicy);
+  if (config.onError && typeof config.onError !== "function")
+    throw Error(
+      formatErrorMessage(
+        81,
+        __DEV__ &&
+          `The optional config.onError on registerApplication must be a function`
+      )
+    );
+  if (config.keepAlive) validateKeepAlive(config.keepAlive);
+  validateStatusUI(config);
+  if (config.timeouts !== undefined) validateTimeouts(config.timeouts);
+  guardNames.forEach((guardName) => {
+    if (config[guardName] && typeof config[guardName] !== "function")
+      throw Error(
+        formatErrorMessage(
+          52,
+          __DEV__ &&
+            `The optional config.${guardName} on registerApplication must be a function`,
+          guardName
+        )
+      );
+  });
 }
 
 function validCustomProps(customProps) {
@@ -395,7 +652,20 @@ function sanitizeArguments(
     name: null,
     loadApp: null,
     activeWhen: null,
+    exclude: null,
     customProps: null,
+    preload: null,
+    loadRetryPolicy: null,
+    recoveryPolicy: null,
+    onError: null,
+    canMount: null,
+    canUnmount: null,
+    keepAlive: null,
+    loadingUI: null,
+    errorUI: null,
+    loadingUIDelayMillis: null,
+    // Not called timeouts, which are the app's timeouts once it's loaded
+    timeoutOverrides: null,
   };
 
   if (usingObjectAPI) {
@@ -403,7 +673,22 @@ function sanitizeArguments(
     registration.name = appNameOrConfig.name;
     registration.loadApp = appNameOrConfig.app;
     registration.activeWhen = appNameOrConfig.activeWhen;
+    registration.exclude = appNameOrConfig.exclude;
     registration.customProps = appNameOrConfig.customProps;
+    registration.preload = appNameOrConfig.preload || null;
+    registration.loadRetryPolicy = appNameOrConfig.loadRetryPolicy || null;
+    registration.recoveryPolicy = appNameOrConfig.recoveryPolicy || null;
+    registration.onError = appNameOrConfig.onError || null;
+    registration.canMount = appNameOrConfig.canMount || null;
+    registration.canUnmount = appNameOrConfig.canUnmount || null;
+    registration.keepAlive = sanitizeKeepAlive(appNameOrConfig.keepAlive);
+    registration.loadingUI = appNameOrConfig.loadingUI || null;
+    registration.errorUI = appNameOrConfig.errorUI || null;
+    registration.loadingUIDelayMillis =
+      typeof appNameOrConfig.loadingUIDelayMillis === "number"
+        ? appNameOrConfig.loadingUIDelayMillis
+        : null;
+    registration.timeoutOverrides = appNameOrConfig.timeouts || null;
   } else {
     validateRegisterWithArguments(
       appNameOrConfig,
@@ -419,7 +704,12 @@ function sanitizeArguments(
 
   registration.loadApp = sanitizeLoadApp(registration.loadApp);
   registration.customProps = sanitizeCustomProps(registration.customProps);
-  registration.activeWhen = sanitizeActiveWhen(registration.activeWhen);
+  registration.routeMatchers = toRouteMatchers(registration.activeWhen);
+  registration.activeWhen = sanitizeActiveWhen(
+    registration.activeWhen,
+    registration.exclude
+  );
+  delete registration.exclude;
 
   return registration;
 }
@@ -436,90 +726,73 @@ function sanitizeCustomProps(customProps) {
   return customProps ? customProps : {};
 }
 
-function sanitizeActiveWhen(activeWhen) {
-  let activeWhenArray = Array.isArray(activeWhen) ? activeWhen : [activeWhen];
-  activeWhenArray = activeWhenArray.map((activeWhenOrPath) =>
+function sanitizeActiveWhen(activeWhen, exclude) {
+  const activeWhenArray = toActivityFns(activeWhen);
+  // Excluded locations win over activeWhen, which lets you "cut holes" in a route
+  const excludeArray = exclude ? toActivityFns(exclude) : [];
+
+  return (location) =>
+    activeWhenArray.some((activeWhen) => activeWhen(location)) &&
+    !excludeArray.some((excluded) => excluded(location));
+}
+
+function toActivityFns(activeWhen) {
+  const activeWhenArray = Array.isArray(activeWhen) ? activeWhen : [activeWhen];
+  return activeWhenArray.map((activeWhenOrPath) =>
     typeof activeWhenOrPath === "function"
       ? activeWhenOrPath
       : pathToActiveWhen(activeWhenOrPath)
   );
+}
 
-  return (location) =>
-    activeWhenArray.some((activeWhen) => activeWhen(location));
+// Route params can only be known for the string paths given to activeWhen, not for activity functions
+function toRouteMatchers(activeWhen) {
+  const activeWhenArray = Array.isArray(activeWhen) ? activeWhen : [activeWhen];
+
+  return activeWhenArray
+    .filter((activeWhenOrPath) => typeof activeWhenOrPath === "string")
+    .map((path) => pathToRouteMatcher(path));
 }
 
 export function pathToActiveWhen(path, exactMatch) {
-  const regex = toDynamicPathValidatorRegex(path, exactMatch);
+  const routeMatcher = pathToRouteMatcher(path, exactMatch);
 
-  return (location) => {
-    // compatible with IE10
-    let origin = location.origin;
-    if (!origin) {
-      origin = `${location.protocol}//${location.host}`;
-    }
-    const route = location.href
-      .replace(origin, "")
-      .replace(location.search, "")
-      .split("?")[0];
-    return regex.test(route);
-  };
+  return (location) => routeMatcher(location) !== null;
 }
 
-function toDynamicPathValidatorRegex(path, exactMatch) {
-  let lastIndex = 0,
-    inDynamic = false,
-    regexStr = "^";
+/* Returns a function that returns the named route params for a location, or null if
+ * the location doesn't match the path. Dynamic segments are named after their :param,
+ * and whatever comes after the path in a non-exact match is available as "*".
+ */
+export function pathToRouteMatcher(path, exactMatch) {
+  const { regex, keys } = toDynamicPathValidatorRegex(path, exactMatch);
 
-  if (path[0] !== "/") {
-    path = "/" + path;
-  }
+  return (location) => {
+    const route = getAppRoute(location);
+    const match = route === null ? null : regex.exec(route);
 
-  for (let charIndex = 0; charIndex < path.length; charIndex++) {
-    const char = path[charIndex];
-    const startOfDynamic = !inDynamic && char === ":";
-    const endOfDynamic = inDynamic && char === "/";
-    if (startOfDynamic || endOfDynamic) {
-      appendToRegex(charIndex);
+    if (!match) {
+      return null;
     }
-  }
-
-  appendToRegex(path.length);
-  return new RegExp(regexStr, "i");
-
-  function appendToRegex(index) {
-    const anyCharMaybeTrailingSlashRegex = "[^/]+/?";
-    const commonStringSubPath = escapeStrRegex(path.slice(lastIndex, index));
 
-    regexStr += inDynamic
-      ? anyCharMaybeTrailingSlashRegex
-      : commonStringSubPath;
-
-    if (index === path.length) {
-      if (inDynamic) {
-        if (exactMatch) {
-          // Ensure exact match paths that end in a dynamic portion don't match
-          // urls with characters after a slash after the dynamic portion.
-          regexStr += "$";
-        }
-      } else {
-        // For exact matches, expect no more characters. Otherwise, allow
-        // any characters.
-        const suffix = exactMatch ? "" : ".*";
-
-        regexStr =
-          // use charAt instead as we could not use es6 method endsWith
-          regexStr.charAt(regexStr.length - 1) === "/"
-            ? `${regexStr}${suffix}$`
-            : `${regexStr}(/${suffix})?(#.*)?$`;
+    const params = {};
+    keys.forEach((key, index) => {
+      const value = match[index + 1];
+      // An empty wildcard tail isn't worth passing along
+      if (value) {
+        params[key] = decodeParam(value);
       }
-    }
+    });
 
-    inDynamic = !inDynamic;
-    lastIndex = index;
-  }
+    return params;
+  };
+}
 
-  function escapeStrRegex(str) {
-    // borrowed from https://github.com/sindresorhus/escape-string-regexp/blob/master/index.js
-    return str.replace(/[|\\{}()[\]^$+*?.]/g, "\\$&");
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (err) {
+    // Malformed URI sequences are passed through as is
+    return value;
   }
 }
@@ -0,0 +1,159 @@
+import { toName } from "./app.helpers.js";
+import { formatErrorMessage } from "./app-errors.js";
+import { trackSubscription } from "./app-subscriptions.js";
+
+/* Messaging between applications, by topic. The bus is shared by the whole page:
+ *
+ * - publish(topic, payload) calls the topic's subscribers with the payload, and remembers it so
+ *   that subscribe(topic, listener, { replay: true }) can call late subscribers with it
+ * - request(topic, payload) resolves with what the topic's responder returns. Each topic has at
+ *   most one responder, which is set with respond(topic, handler)
+ *
+ * Applications get the bus from their eventBus prop, whose subscriptions and responders are
+ * torn down for them (see app-subscriptions.js) and whose messages say which application sent them.
+ */
+const defaultRequestTimeoutMillis = 3000;
+
+const topics = {},
+  responders = {};
+
+export const eventBus = createEventBus(null);
+
+// The eventBus prop of an app or parcel is createEventBus(appOrParcel)
+export function createEventBus(appOrParcel) {
+  const sender = appOrParcel ? toName(appOrParcel) : null;
+
+  return {
+    publish(topic, payload) {
+      const entry = getTopic(topic);
+      entry.lastMessage = { payload, meta: { topic, sender } };
+
+      // Listeners that unsubscribe while being notified shouldn't cause others to be skipped
+      entry.listeners
+        .slice()
+        .forEach((listener) => notify(listener, entry.lastMessage));
+    },
+    subscribe(topic, listener, opts) {
+      const entry = getTopic(topic);
+      entry.listeners.push(listener);
+
+      function unsubscribe() {
+        entry.listeners = entry.listeners.filter((l) => l !== listener);
+      }
+
+      if (appOrParcel) {
+        trackSubscription(appOrParcel, unsubscribe);
+      }
+
+      if (opts && opts.replay && entry.lastMessage) {
+        notify(listener, entry.lastMessage);
+      }
+
+      return unsubscribe;
+    },
+    request(topic, payload, opts) {
+      const timeoutMillis =
+        (opts && opts.timeoutMillis) || defaultRequestTimeoutMillis;
+      validateTopic(topic);
+
+      return new Promise((resolve, reject) => {
+        const responder = responders[topic];
+
+        if (!responder) {
+          throw Error(
+            formatErrorMessage(
+              69,
+              __DEV__ &&
+                `There is no responder for event bus request '${topic}'`,
+              topic
+            )
+          );
+        }
+
+        const timeout = setTimeout(() => {
+          reject(
+            Error(
+              formatErrorMessage(
+                70,
+                __DEV__ &&
+                  `The responder for event bus request '${topic}' did not respond within ${timeoutMillis} milliseconds`,
+                topic,
+                timeoutMillis
+              )
+            )
+          );
+        }, timeoutMillis);
+
+        Promise.resolve()
+          .then(() => responder(payload, { topic, sender }))
+          .then(resolve, reject)
+          .then(() => clearTimeout(timeout));
+      });
+    },
+    respond(topic, handler) {
+      validateTopic(topic);
+
+      if (responders[topic]) {
+        throw Error(
+          formatErrorMessage(
+            68,
+            __DEV__ &&
+              `Event bus topic '${topic}' already has a responder. Each topic can only have one`,
+            topic
+          )
+        );
+      }
+
+      responders[topic] = handler;
+
+      function stopResponding() {
+        if (responders[topic] === handler) {
+          delete responders[topic];
+        }
+      }
+
+      if (appOrParcel) {
+        trackSubscription(appOrParcel, stopResponding);
+      }
+
+      return stopResponding;
+    },
+  };
+}
+
+function getTopic(topic) {
+  validateTopic(topic);
+
+  return (
+    topics[topic] || (topics[topic] = { listeners: [], lastMessage: null })
+  );
+}
+
+function validateTopic(topic) {
+  if (typeof topic !== "string" || topic.length === 0) {
+    throw Error(
+      formatErrorMessage(
+        66,
+        __DEV__ &&
+          `Event bus topics must be non-empty strings. Received '${topic}'`,
+        topic
+      )
+    );
+  }
+}
+
+function notify(listener, message) {
+  try {
+    listener(message.payload, message.meta);
+  } catch (err) {
+    console.error(
+      formatErrorMessage(
+        67,
+        __DEV__ &&
+          `A subscriber of event bus topic '${message.meta.topic}' threw an error`,
+        message.meta.topic
+      ),
+      err
+    );
+  }
+}
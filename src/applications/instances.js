@@ -0,0 +1,100 @@
+import { formatErrorMessage } from "./app-errors.js";
+import { getAppRoute } from "../navigation/routing-mode.js";
+import { find } from "../utils/find.js";
+
+/* An instance has its own registry of applications, error handlers, timeout config and
+ * routing scope. The url, the history api and the single-spa:* events are shared by the
+ * whole page, so a single reroute takes care of the applications of every instance.
+ *
+ * The functions exported by single-spa work with the default instance, and are bound to
+ * other instances by createSingleSpa(). They find out which instance they belong to with
+ * getInstance(this).
+ */
+const instances = [];
+
+export const defaultInstance = createInstance();
+
+export function createInstance(opts) {
+  const name = opts && opts.name;
+  const urlPrefix = (opts && opts.urlPrefix) || "";
+  const domElement = (opts && opts.domElement) || null;
+
+  if (
+    (name !== undefined && (typeof name !== "string" || name.length === 0)) ||
+    typeof urlPrefix !== "string" ||
+    (urlPrefix && urlPrefix[0] !== "/") ||
+    (domElement && typeof domElement.querySelector !== "function")
+  ) {
+    throw Error(
+      formatErrorMessage(
+        60,
+        __DEV__ &&
+          `createSingleSpa() was called with invalid options. name must be a non-empty string, urlPrefix must be a path starting with '/' and domElement must be a DOM element`
+      )
+    );
+  }
+
+  const instance = {
+    name: name || `single-spa-${instances.length}`,
+    apps: [],
+    errorHandlers: [],
+    // Error handlers that were added with a scope, as { handler, scope }
+    scopedErrorHandlers: [],
+    // Overrides of the default timeouts, by lifecycle
+    timeouts: {},
+    urlPrefix: urlPrefix.replace(/\/+$/, ""),
+    domElement,
+    started: false,
+    api: null,
+  };
+
+  instances.push(instance);
+
+  return instance;
+}
+
+export function getInstance(context) {
+  return instances.indexOf(context) >= 0 ? context : defaultInstance;
+}
+
+export function getInstances() {
+  return instances;
+}
+
+// Parcels belong to the instance of the application that mounted them
+export function getAppInstance(appOrParcel) {
+  return appOrParcel.instance || defaultInstance;
+}
+
+// Applications of an instance with a urlPrefix are never active outside of it
+export function scopeActiveWhen(instance, activeWhen) {
+  if (!instance.urlPrefix) {
+    return activeWhen;
+  }
+
+  return (location) => {
+    const route = getAppRoute(location);
+
+    return (
+      route !== null &&
+      (route === instance.urlPrefix ||
+        route.indexOf(instance.urlPrefix + "/") === 0) &&
+      activeWhen(location)
+    );
+  };
+}
+
+// Applications of an instance with a domElement only look for their container inside of it
+export function findAppContainer(appOrParcel, containerId) {
+  const domElement = getAppInstance(appOrParcel).domElement;
+
+  if (!domElement) {
+    return document.getElementById(containerId);
+  }
+
+  // Ids with colons aren't reliably handled by selector engines, so they're compared directly
+  return find(
+    domElement.querySelectorAll("[id]"),
+    (element) => element.id === containerId
+  );
+}
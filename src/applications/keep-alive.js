@@ -0,0 +1,90 @@
+import { FROZEN } from "./app.helpers.js";
+import { formatErrorMessage } from "./app-errors.js";
+import { reroute } from "../navigation/reroute.js";
+
+let keepAliveMax = Infinity;
+
+// Called by start()
+export function setKeepAliveMax(max) {
+  if (max !== undefined && !(typeof max === "number" && max >= 1)) {
+    throw Error(
+      formatErrorMessage(
+        89,
+        __DEV__ &&
+          `start() was called with a keepAliveMax that isn't a number that is at least 1`
+      )
+    );
+  }
+
+  keepAliveMax = max || Infinity;
+}
+
+export function validateKeepAlive(keepAlive) {
+  if (keepAlive === true) {
+    return;
+  }
+
+  if (
+    typeof keepAlive !== "object" ||
+    keepAlive === null ||
+    Array.isArray(keepAlive) ||
+    keepAlive.max !== undefined ||
+    (keepAlive.ttlMillis !== undefined &&
+      !(typeof keepAlive.ttlMillis === "number" && keepAlive.ttlMillis > 0))
+  ) {
+    throw Error(
+      formatErrorMessage(
+        56,
+        __DEV__ &&
+          `The optional config.keepAlive on registerApplication must be true or an object whose ttlMillis is a positive number. How many applications are kept alive is set with start({ keepAliveMax })`
+      )
+    );
+  }
+}
+
+export function sanitizeKeepAlive(keepAlive) {
+  if (!keepAlive) {
+    return null;
+  }
+
+  return {
+    ttlMillis: keepAlive.ttlMillis || Infinity,
+  };
+}
+
+/* Kept alive applications stay frozen while they are among the keepAliveMax most recently
+ * frozen applications, for at most their own ttlMillis. keepAliveMax is one setting for the
+ * whole page, so that how many applications stay frozen doesn't depend on which of them were
+ * frozen last. Evicted applications are unmounted for real.
+ *
+ * appsToFreeze are about to be frozen, so they are more recent than every frozen application.
+ */
+export function getAppsToEvict(frozenApps, appsToFreeze) {
+  const keptAliveApps = appsToFreeze.concat(
+    frozenApps.slice().sort((a, b) => b.frozenTime - a.frozenTime)
+  );
+
+  return keptAliveApps.filter(
+    (app, index) =>
+      index >= keepAliveMax || (app.status === FROZEN && app.expired)
+  );
+}
+
+export function scheduleExpiry(app) {
+  app.frozenTime = new Date().getTime();
+
+  if (app.keepAlive.ttlMillis !== Infinity) {
+    app.expiryTimeout = setTimeout(() => {
+      app.expired = true;
+      // Expired applications shouldn't have to wait on the user to do something that causes a reroute
+      reroute();
+    }, app.keepAlive.ttlMillis);
+  }
+}
+
+export function cancelExpiry(app) {
+  clearTimeout(app.expiryTimeout);
+  delete app.expiryTimeout;
+  delete app.frozenTime;
+  delete app.expired;
+}
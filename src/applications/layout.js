@@ -0,0 +1,384 @@
+import {
+  registerApplication,
+  pathToActiveWhen,
+  getRawAppData,
+} from "./apps.js";
+import {
+  LOAD_ERROR,
+  LOAD_FAILED,
+  SKIP_BECAUSE_BROKEN,
+  MOUNTED,
+  FROZEN,
+  shouldBeActive,
+  toName,
+} from "./app.helpers.js";
+import { formatErrorMessage } from "./app-errors.js";
+import { getInstance, findAppContainer } from "./instances.js";
+import { assign } from "../utils/assign.js";
+import { find } from "../utils/find.js";
+import { isInBrowser } from "../utils/runtime-environment.js";
+
+/* A layout describes where applications render and when, and is compiled into application
+ * registrations:
+ *
+ * {
+ *   "containerEl": "#root",
+ *   "routes": [
+ *     { "type": "application", "name": "@org/navbar" },
+ *     { "type": "route", "path": "/settings", "routes": [{ "type": "application", "name": "@org/sidebar" }] },
+ *     { "type": "route", "path": "/users", "loading": "<p>Loading...</p>", "error": "<p>Users is unavailable</p>", "routes": [...] },
+ *     { "type": "route", "default": true, "routes": [{ "type": "application", "name": "@org/not-found" }] }
+ *   ]
+ * }
+ *
+ * An application is active when all of the routes it's in are. A default route is active when
+ * none of its sibling routes are. Routes can have their own containerEl, and loading and error
+ * html that is shown in the containers of their applications while they load, or once they're
+ * broken.
+ *
+ * The same layout can be written as an html <template>, with <route> and <application>
+ * elements whose attributes are the keys above, and <loading> and <error> elements whose
+ * contents are the loading and error html.
+ *
+ * Each application gets a container element, in the same order as the layout, that is created
+ * right before it mounts and removed once it unmounts. It's given to the application as its
+ * domElement prop.
+ */
+let layoutApps = [],
+  placeholderListenersAdded = false;
+
+export function registerLayout(layout, opts) {
+  const instance = getInstance(this);
+
+  if (!opts || typeof opts.loadApp !== "function") {
+    throw Error(
+      formatErrorMessage(
+        75,
+        __DEV__ &&
+          `registerLayout() must be called with a loadApp function that is given an application's name and returns its lifecycles`
+      )
+    );
+  }
+
+  const definition = isTemplate(layout) ? parseTemplate(layout) : layout;
+
+  if (
+    typeof definition !== "object" ||
+    definition === null ||
+    !Array.isArray(definition.routes)
+  ) {
+    throw invalidLayout(
+      `a layout must be an object with a routes array, or a <template> element`
+    );
+  }
+
+  const appNodes = [];
+  compileRoutes(
+    definition.routes,
+    () => true,
+    {
+      containerEl:
+        definition.containerEl ||
+        instance.domElement ||
+        (isInBrowser ? document.body : null),
+      loading: definition.loading || null,
+      error: definition.error || null,
+    },
+    appNodes
+  );
+
+  // Nothing is registered unless everything can be
+  appNodes.forEach((node) => {
+    if (find(instance.apps, (app) => toName(app) === node.name)) {
+      throw Error(
+        formatErrorMessage(
+          21,
+          __DEV__ &&
+            `There is already an app registered with name ${node.name}`,
+          node.name
+        )
+      );
+    }
+  });
+
+  appNodes.forEach((node) => {
+    const layout = {
+      containerEl: node.containerEl,
+      loading: node.loading,
+      error: node.error,
+      domElement: null,
+      showingPlaceholder: false,
+    };
+
+    registerApplication.call(instance, {
+      name: node.name,
+      app: () => opts.loadApp(node.name),
+      activeWhen: node.activeWhen,
+      customProps: () => {
+        const props = assign({}, node.props || {});
+        if (layout.domElement) {
+          props.domElement = layout.domElement;
+        }
+        return props;
+      },
+    });
+
+    const app = find(instance.apps, (app) => toName(app) === node.name);
+    app.layout = layout;
+    layoutApps.push(app);
+  });
+
+  if (isInBrowser && !placeholderListenersAdded) {
+    placeholderListenersAdded = true;
+    window.addEventListener("single-spa:before-routing-event", showLoading);
+    window.addEventListener("single-spa:routing-event", updatePlaceholders);
+  }
+
+  return appNodes.map((node) => node.name);
+}
+
+function compileRoutes(routes, parentActiveWhen, inherited, appNodes) {
+  // Default routes are active when none of their sibling routes are
+  const siblingActiveWhens = [];
+
+  routes.forEach((node) => {
+    validateNode(node);
+
+    if (node.type === "route" && !node.default) {
+      siblingActiveWhens.push(pathToActiveWhen(node.path, node.exact));
+    }
+  });
+
+  routes.forEach((node) => {
+    if (node.type === "application") {
+      if (find(appNodes, (appNode) => appNode.name === node.name)) {
+        throw invalidLayout(
+          `application '${node.name}' is in the layout more than once`
+        );
+      }
+
+      appNodes.push({
+        name: node.name,
+        props: node.props,
+        activeWhen: parentActiveWhen,
+        containerEl: inherited.containerEl,
+        loading: node.loading || inherited.loading,
+        error: node.error || inherited.error,
+      });
+    } else {
+      const routeActiveWhen = node.default
+        ? (location) =>
+            !siblingActiveWhens.some((activeWhen) => activeWhen(location))
+        : pathToActiveWhen(node.path, node.exact);
+
+      compileRoutes(
+        node.routes || [],
+        (location) => parentActiveWhen(location) && routeActiveWhen(location),
+        {
+          containerEl: node.containerEl || inherited.containerEl,
+          loading: node.loading || inherited.loading,
+          error: node.error || inherited.error,
+        },
+        appNodes
+      );
+    }
+  });
+}
+
+function validateNode(node) {
+  if (typeof node !== "object" || node === null) {
+    throw invalidLayout(`routes must be objects`);
+  }
+
+  if (node.type === "application") {
+    if (typeof node.name !== "string" || node.name.length === 0) {
+      throw invalidLayout(`applications must have a name`);
+    }
+  } else if (node.type === "route") {
+    if (!node.default && typeof node.path !== "string") {
+      throw invalidLayout(`routes must have a path or be a default route`);
+    }
+
+    if (node.routes !== undefined && !Array.isArray(node.routes)) {
+      throw invalidLayout(`the routes of a route must be an array`);
+    }
+  } else {
+    throw invalidLayout(
+      `'${node.type}' is not a type of route. It must be 'route' or 'application'`
+    );
+  }
+}
+
+function invalidLayout(reason) {
+  return Error(
+    formatErrorMessage(74, __DEV__ && `Invalid layout: ${reason}`, reason)
+  );
+}
+
+function isTemplate(layout) {
+  return (
+    isInBrowser &&
+    layout instanceof HTMLElement &&
+    layout.tagName.toLowerCase() === "template"
+  );
+}
+
+function parseTemplate(template) {
+  const definition = parseChildren(template.content.children);
+  definition.containerEl = template.getAttribute("containerEl") || undefined;
+
+  return definition;
+}
+
+function parseChildren(children) {
+  const result = { routes: [] };
+
+  for (let i = 0; i < children.length; i++) {
+    const child = children[i];
+    const tagName = child.tagName.toLowerCase();
+
+    if (tagName === "loading" || tagName === "error") {
+      result[tagName] = child.innerHTML;
+    } else if (tagName === "application") {
+      result.routes.push({
+        type: "application",
+        name: child.getAttribute("name"),
+      });
+    } else if (tagName === "route") {
+      result.routes.push(
+        assign(parseChildren(child.children), {
+          type: "route",
+          path: child.getAttribute("path") || undefined,
+          default: child.hasAttribute("default"),
+          exact: child.hasAttribute("exact"),
+          containerEl: child.getAttribute("containerEl") || undefined,
+        })
+      );
+    } else {
+      throw invalidLayout(
+        `<${tagName}> isn't a layout element. Templates can only have <route>, <application>, <loading> and <error> elements`
+      );
+    }
+  }
+
+  return result;
+}
+
+// Called by toMountPromise before the app mounts
+export function createLayoutContainer(app) {
+  if (!app.layout) {
+    return;
+  }
+
+  const container = getLayoutContainer(app);
+
+  // The loading or error html that was shown in its place goes away when the app mounts
+  if (container && app.layout.showingPlaceholder) {
+    container.innerHTML = "";
+    app.layout.showingPlaceholder = false;
+  }
+}
+
+// Called by toUnmountPromise once the app is unmounted
+export function removeLayoutContainer(app) {
+  if (!app.layout || !app.layout.domElement) {
+    return;
+  }
+
+  const container = app.layout.domElement;
+  if (container.parentNode) {
+    container.parentNode.removeChild(container);
+  }
+
+  app.layout.domElement = null;
+  app.layout.showingPlaceholder = false;
+}
+
+function getLayoutContainer(app) {
+  if (app.layout.domElement) {
+    return app.layout.domElement;
+  }
+
+  const parent =
+    typeof app.layout.containerEl === "string"
+      ? document.querySelector(app.layout.containerEl)
+      : app.layout.containerEl;
+
+  if (!parent) {
+    return null;
+  }
+
+  const containerId = `single-spa-application:${toName(app)}`;
+
+  // Containers that are already on the page, like the ones from renderToString, are used as is
+  let container = findAppContainer(app, containerId);
+
+  if (!container) {
+    container = document.createElement("div");
+    container.id = containerId;
+
+    // Containers are kept in the same order as the layout
+    const index = layoutApps.indexOf(app);
+    const nextApp = find(
+      layoutApps.slice(index + 1),
+      (other) =>
+        other.layout.domElement && other.layout.domElement.parentNode === parent
+    );
+    parent.insertBefore(container, nextApp ? nextApp.layout.domElement : null);
+  }
+
+  app.layout.domElement = container;
+
+  return container;
+}
+
+function showPlaceholder(app, html) {
+  const container = getLayoutContainer(app);
+
+  if (container) {
+    container.innerHTML = html;
+    app.layout.showingPlaceholder = true;
+  }
+}
+
+// Unregistered applications are forgotten
+function getLayoutApps() {
+  const apps = getRawAppData();
+  layoutApps = layoutApps.filter((app) => apps.indexOf(app) >= 0);
+
+  return layoutApps;
+}
+
+function showLoading(evt) {
+  const newAppStatuses = evt.detail.newAppStatuses;
+
+  getLayoutApps().forEach((app) => {
+    if (
+      app.layout.loading &&
+      newAppStatuses[toName(app)] === MOUNTED &&
+      app.status !== MOUNTED &&
+      app.status !== FROZEN
+    ) {
+      showPlaceholder(app, app.layout.loading);
+    }
+  });
+}
+
+/* Called after every routing event, and by reroute after a silent navigation. Canceled
+ * navigations are followed by a silent one, which doesn't fire any events, so the loading
+ * html of the applications that it didn't mount would otherwise stay on the page.
+ */
+export function updatePlaceholders() {
+  getLayoutApps().forEach((app) => {
+    const broken =
+      app.status === LOAD_ERROR ||
+      app.status === LOAD_FAILED ||
+      app.status === SKIP_BECAUSE_BROKEN;
+
+    if (broken && app.layout.error && shouldBeActive(app)) {
+      showPlaceholder(app, app.layout.error);
+    } else if (app.layout.showingPlaceholder) {
+      removeLayoutContainer(app);
+    }
+  });
+}
@@ -0,0 +1,207 @@
+import CustomEvent from "custom-event";
+import { LOAD_ERROR, LOAD_FAILED, toName } from "./app.helpers.js";
+import { handleAppError, formatErrorMessage } from "./app-errors.js";
+import { reportWarning } from "./reporter.js";
+import { reroute } from "../navigation/reroute.js";
+import { assign } from "../utils/assign.js";
+import { isInBrowser } from "../utils/runtime-environment.js";
+
+// Without a retry policy, apps in LOAD_ERROR are re-attempted during the next reroute
+// that happens at least this many milliseconds after the failure.
+const defaultRetryMillis = 200;
+
+export const backoffStrategies = ["fixed", "linear", "exponential"];
+
+const defaultLoadRetryPolicy = {
+  maxAttempts: Infinity,
+  backoff: "fixed",
+  baseMillis: defaultRetryMillis,
+  maxMillis: 30000,
+  jitter: 0,
+  onGiveUp: null,
+};
+
+let globalLoadRetryPolicy = null;
+
+export function setLoadRetryPolicy(policy) {
+  if (policy !== null) {
+    validateLoadRetryPolicy(policy);
+  }
+
+  globalLoadRetryPolicy = policy;
+}
+
+export function validateLoadRetryPolicy(policy) {
+  if (typeof policy !== "object" || policy === null || Array.isArray(policy)) {
+    throwInvalidPolicy("policy");
+  }
+
+  if (
+    policy.maxAttempts !== undefined &&
+    !isPositiveNumber(policy.maxAttempts)
+  ) {
+    throwInvalidPolicy("maxAttempts");
+  }
+
+  if (
+    policy.backoff !== undefined &&
+    backoffStrategies.indexOf(policy.backoff) < 0
+  ) {
+    throwInvalidPolicy("backoff");
+  }
+
+  if (
+    policy.baseMillis !== undefined &&
+    !(typeof policy.baseMillis === "number" && policy.baseMillis >= 0)
+  ) {
+    throwInvalidPolicy("baseMillis");
+  }
+
+  if (policy.maxMillis !== undefined && !isPositiveNumber(policy.maxMillis)) {
+    throwInvalidPolicy("maxMillis");
+  }
+
+  if (
+    policy.jitter !== undefined &&
+    !(
+      typeof policy.jitter === "number" &&
+      policy.jitter >= 0 &&
+      policy.jitter <= 1
+    )
+  ) {
+    throwInvalidPolicy("jitter");
+  }
+
+  if (policy.onGiveUp && typeof policy.onGiveUp !== "function") {
+    throwInvalidPolicy("onGiveUp");
+  }
+}
+
+function throwInvalidPolicy(propertyName) {
+  throw Error(
+    formatErrorMessage(
+      46,
+      __DEV__ &&
+        `Invalid load retry policy: '${propertyName}' is invalid. maxAttempts and maxMillis must be positive numbers, backoff must be one of ${backoffStrategies.join(
+          ", "
+        )}, baseMillis must be a non-negative number, jitter must be between 0 and 1, and onGiveUp must be a function`,
+      propertyName
+    )
+  );
+}
+
+/* Called by toLoadPromise when an application's loading function rejects.
+ * Decides whether the app will be retried (and when), or whether single-spa gives up on it.
+ */
+export function handleLoadError(app, err) {
+  const policy = getLoadRetryPolicy(app);
+
+  app.loadErrorTime = new Date().getTime();
+  app.loadAttempts = (app.loadAttempts || 0) + 1;
+
+  if (!policy) {
+    app.loadRetryMillis = defaultRetryMillis;
+    handleAppError(err, app, LOAD_ERROR, "load");
+    return;
+  }
+
+  if (app.loadAttempts >= policy.maxAttempts) {
+    const detail = {
+      appName: toName(app),
+      attempts: app.loadAttempts,
+      error: handleAppError(err, app, LOAD_FAILED, "load"),
+    };
+
+    if (isInBrowser) {
+      window.dispatchEvent(
+        new CustomEvent("single-spa:app-load-failed", { detail })
+      );
+    }
+
+    // A broken onGiveUp shouldn't reject the reroute that was loading the app
+    if (policy.onGiveUp) {
+      try {
+        policy.onGiveUp(detail);
+      } catch (err) {
+        console.error(
+          formatErrorMessage(
+            86,
+            __DEV__ &&
+              `The onGiveUp function of the load retry policy for application '${toName(
+                app
+              )}' threw`,
+            toName(app)
+          ),
+          err
+        );
+      }
+    }
+  } else {
+    app.loadRetryMillis = getRetryMillis(policy, app.loadAttempts);
+    const error = handleAppError(err, app, LOAD_ERROR, "load");
+
+    reportWarning({
+      kind: "load-retry",
+      lifecycle: "load",
+      appOrParcelName: toName(app),
+      appOrParcelType: "application",
+      attempts: app.loadAttempts,
+      retryMillis: app.loadRetryMillis,
+      error,
+    });
+
+    // Retries shouldn't have to wait on the user to do something that causes a reroute.
+    // On the server, the next renderToString retries instead.
+    if (isInBrowser) {
+      setTimeout(() => {
+        // Timers can fire slightly before Date.now() says the delay is over, so we
+        // explicitly mark the backoff as done.
+        app.loadRetryMillis = 0;
+        reroute();
+      }, app.loadRetryMillis);
+    }
+  }
+}
+
+export function isReadyToRetryLoad(app, currentTime) {
+  const retryMillis =
+    typeof app.loadRetryMillis === "number"
+      ? app.loadRetryMillis
+      : defaultRetryMillis;
+
+  return currentTime - app.loadErrorTime >= retryMillis;
+}
+
+function getLoadRetryPolicy(app) {
+  if (!app.loadRetryPolicy && !globalLoadRetryPolicy) {
+    return null;
+  }
+
+  // assign() copies through its middle arguments, so the policies are merged one at a time
+  const policy = assign({}, defaultLoadRetryPolicy);
+  assign(policy, globalLoadRetryPolicy || {});
+  return assign(policy, app.loadRetryPolicy || {});
+}
+
+export function getRetryMillis(policy, attempts) {
+  let millis = policy.baseMillis;
+
+  if (policy.backoff === "linear") {
+    millis *= attempts;
+  } else if (policy.backoff === "exponential") {
+    millis *= Math.pow(2, attempts - 1);
+  }
+
+  millis = Math.min(millis, policy.maxMillis);
+
+  if (policy.jitter) {
+    // Spread the retries of many clients over +/- jitter of the delay
+    millis += millis * policy.jitter * (Math.random() * 2 - 1);
+  }
+
+  return Math.round(millis);
+}
+
+function isPositiveNumber(num) {
+  return typeof num === "number" && num > 0;
+}
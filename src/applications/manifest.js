@@ -0,0 +1,227 @@
+import {
+  registerApplication,
+  unregisterApplication,
+  validateRegisterWithConfig,
+} from "./apps.js";
+import { toName } from "./app.helpers.js";
+import { formatErrorMessage } from "./app-errors.js";
+import { getInstance } from "./instances.js";
+import { toDynamicPathValidatorRegex } from "./path-to-regex.js";
+import { find } from "../utils/find.js";
+
+const manifestEntryKeys = [
+  "name",
+  "module",
+  "activeWhen",
+  "exclude",
+  "customProps",
+  "timeouts",
+  "preload",
+  "keepAlive",
+  "loadRetryPolicy",
+];
+
+/* Registers applications from a manifest, which is JSON that says which applications there
+ * are, where their code is and when they are active. This lets the applications on a page
+ * change without changing the root config:
+ *
+ * {
+ *   "applications": [
+ *     { "name": "@org/navbar", "activeWhen": "/" },
+ *     { "name": "@org/settings", "module": "https://cdn.example.com/settings.js", "activeWhen": "/settings" }
+ *   ]
+ * }
+ *
+ * Each application's code is imported with opts.importModule(entry.module), which defaults to
+ * SystemJS's System.import. entry.module defaults to the application's name, as is common with
+ * import maps.
+ *
+ * Calling it again with an updated manifest registers the new applications, unregisters the
+ * ones that were removed and reloads the ones whose entry changed. Applications that were
+ * registered with registerApplication() are left alone.
+ */
+export function registerApplicationsFromManifest(manifest, opts) {
+  const instance = getInstance(this);
+  const importModule = (opts && opts.importModule) || systemImport;
+
+  if (
+    typeof manifest !== "object" ||
+    manifest === null ||
+    !Array.isArray(manifest.applications)
+  ) {
+    throw Error(
+      formatErrorMessage(
+        71,
+        __DEV__ &&
+          `registerApplicationsFromManifest() must be called with a manifest object that has an applications array`
+      )
+    );
+  }
+
+  const entries = manifest.applications;
+
+  // Every entry is validated before anything changes, so that a bad manifest doesn't leave things half applied
+  entries.forEach((entry, index) => {
+    validateManifestEntry(entry);
+
+    if (
+      entries.slice(0, index).some((other) => other.name === entry.name) ||
+      find(
+        instance.apps,
+        (app) => toName(app) === entry.name && !app.manifestEntry
+      )
+    ) {
+      throw Error(
+        formatErrorMessage(
+          21,
+          __DEV__ &&
+            `There is already an app registered with name ${entry.name}`,
+          entry.name
+        )
+      );
+    }
+  });
+
+  const manifestApps = instance.apps.filter((app) => app.manifestEntry);
+  const registered = [],
+    unregistered = [],
+    reloaded = [];
+
+  manifestApps.forEach((app) => {
+    const entry = find(entries, (entry) => entry.name === toName(app));
+
+    if (!entry) {
+      unregistered.push(toName(app));
+    } else if (app.manifestEntry !== stringifyEntry(entry)) {
+      reloaded.push(toName(app));
+    }
+  });
+
+  entries.forEach((entry) => {
+    if (!find(manifestApps, (app) => toName(app) === entry.name)) {
+      registered.push(entry.name);
+    }
+  });
+
+  const unregisterPromises = unregistered
+    .concat(reloaded)
+    .map((appName) => unregisterApplication.call(instance, appName));
+
+  // Reloaded applications can only be registered again once they're unregistered
+  return Promise.all(unregisterPromises).then(() => {
+    entries.forEach((entry) => {
+      if (
+        registered.indexOf(entry.name) >= 0 ||
+        reloaded.indexOf(entry.name) >= 0
+      ) {
+        registerApplication.call(instance, toConfig(entry, importModule));
+
+        // Remembered to know which applications came from a manifest, and whether their entry changes
+        const app = find(instance.apps, (app) => toName(app) === entry.name);
+        app.manifestEntry = stringifyEntry(entry);
+      }
+    });
+
+    return { registered, unregistered, reloaded };
+  });
+}
+
+function validateManifestEntry(entry) {
+  const invalidKeys =
+    typeof entry === "object" && entry !== null && !Array.isArray(entry)
+      ? Object.keys(entry).filter((key) => manifestEntryKeys.indexOf(key) < 0)
+      : [];
+
+  if (
+    typeof entry !== "object" ||
+    entry === null ||
+    Array.isArray(entry) ||
+    invalidKeys.length > 0 ||
+    (entry.module !== undefined &&
+      (typeof entry.module !== "string" || entry.module.length === 0)) ||
+    (entry.timeouts !== undefined &&
+      (typeof entry.timeouts !== "object" || entry.timeouts === null))
+  ) {
+    throw Error(
+      formatErrorMessage(
+        72,
+        __DEV__ &&
+          `Manifest entries must be objects that only have these keys: ${manifestEntryKeys.join(
+            ", "
+          )}. module must be a non-empty string and timeouts must be an object. Invalid keys: ${invalidKeys.join(
+            ", "
+          )}`,
+        manifestEntryKeys.join(", "),
+        invalidKeys.join(", ")
+      )
+    );
+  }
+
+  // The rest of the entry is checked the same way as registerApplication's config
+  validateRegisterWithConfig(toConfig(entry, systemImport));
+
+  // registerApplication only finds invalid paths once it compiles them, which is after the other applications were unregistered
+  [].concat(entry.activeWhen, entry.exclude || []).forEach((path) => {
+    if (typeof path === "string") {
+      toDynamicPathValidatorRegex(path);
+    }
+  });
+}
+
+// Like JSON.stringify, but with sorted keys so that entries that only differ in key order are the same
+function stringifyEntry(entry) {
+  return JSON.stringify(entry, (key, value) => {
+    if (typeof value !== "object" || value === null || Array.isArray(value)) {
+      return value;
+    }
+
+    const sorted = {};
+    Object.keys(value)
+      .sort()
+      .forEach((valueKey) => {
+        sorted[valueKey] = value[valueKey];
+      });
+    return sorted;
+  });
+}
+
+function toConfig(entry, importModule) {
+  const config = {
+    name: entry.name,
+    app: () => importModule(entry.module || entry.name),
+    activeWhen: entry.activeWhen,
+  };
+
+  // Like registerApplication's, the manifest's timeouts win over the ones the application exports
+  [
+    "exclude",
+    "customProps",
+    "timeouts",
+    "preload",
+    "keepAlive",
+    "loadRetryPolicy",
+  ].forEach((key) => {
+    if (entry[key] !== undefined) {
+      config[key] = entry[key];
+    }
+  });
+
+  return config;
+}
+
+function systemImport(specifier) {
+  if (typeof System === "undefined" || typeof System.import !== "function") {
+    return Promise.reject(
+      Error(
+        formatErrorMessage(
+          73,
+          __DEV__ &&
+            `Cannot import '${specifier}' because SystemJS isn't on the page. Pass an importModule function to registerApplicationsFromManifest() to import applications some other way`,
+          specifier
+        )
+      )
+    );
+  }
+
+  return System.import(specifier);
+}
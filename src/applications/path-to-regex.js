@@ -0,0 +1,229 @@
+import { formatErrorMessage } from "./app-errors.js";
+
+/* Compiles an activeWhen path into a regex that is tested against the url's pathname + hash,
+ * along with the names of the route params captured by the regex's groups. The syntax is
+ * the one used by path-to-regexp (and therefore express and react-router v5):
+ *
+ * - Static text must match exactly, but case insensitively
+ * - `:name` matches one path segment, which is available as the `name` route param
+ * - `:name(\\d+)` matches a path segment against a custom regex
+ * - `(\\d+)` is an unnamed param, named after its index (`0`, `1`, ...)
+ * - `*` matches anything, including slashes, as an unnamed param
+ * - `?`, `*` and `+` after a param make it optional, zero or more, or one or more segments.
+ *   A slash before such a param is optional along with it.
+ * - `{...}?` makes everything within the braces optional
+ * - `\\` escapes any of the special characters above
+ *
+ * Unless exactMatch is true, the path only needs to match the beginning of the url, and the
+ * rest of the url is available as the `*` route param.
+ */
+export function toDynamicPathValidatorRegex(path, exactMatch) {
+  const keys = [];
+  let unnamedIndex = 0,
+    index = 0;
+
+  if (path[0] !== "/") {
+    path = "/" + path;
+  }
+
+  const tokens = parseTokens(false);
+  const lastToken = tokens[tokens.length - 1];
+  const endsWithSlash =
+    lastToken.type === "static" &&
+    // use charAt instead as we could not use es6 method endsWith
+    lastToken.value.charAt(lastToken.value.length - 1) === "/";
+
+  let regexStr = "^" + tokensToRegex(tokens);
+
+  if (exactMatch) {
+    // For exact matches, expect no more characters other than a trailing slash or url fragment.
+    regexStr += endsWithSlash ? "$" : "/?(?:#.*)?$";
+  } else {
+    // Otherwise, allow any characters, which become the wildcard tail of the route
+    keys.push("*");
+    regexStr += endsWithSlash ? "([^#]*)(?:#.*)?$" : "(?:/([^#]*))?(?:#.*)?$";
+  }
+
+  return { regex: new RegExp(regexStr, "i"), keys };
+
+  function parseTokens(inBraces) {
+    const tokens = [];
+    let text = "";
+
+    while (index < path.length) {
+      const char = path[index];
+
+      if (char === "\\") {
+        text += path.charAt(index + 1);
+        index += 2;
+      } else if (char === "{") {
+        index++;
+        addStaticToken();
+        const groupTokens = parseTokens(true);
+        const modifier = parseModifier();
+        if (modifier === "*" || modifier === "+") {
+          throwInvalidPath(
+            `only the ? modifier is supported for {} groups, not ${modifier}`
+          );
+        }
+        tokens.push({
+          type: "group",
+          tokens: groupTokens,
+          optional: modifier === "?",
+        });
+      } else if (char === "}") {
+        if (!inBraces) {
+          throwInvalidPath(`unexpected } at index ${index}`);
+        }
+        index++;
+        addStaticToken();
+        return tokens;
+      } else if (char === ":") {
+        index++;
+        const nameStart = index;
+        while (index < path.length && /[\w-]/.test(path[index])) {
+          index++;
+        }
+        const name = path.slice(nameStart, index);
+        if (!name) {
+          throwInvalidPath(`missing param name at index ${nameStart}`);
+        }
+        addParamToken(name, path[index] === "(" ? parsePattern() : null);
+      } else if (char === "(") {
+        addParamToken(String(unnamedIndex++), parsePattern());
+      } else if (char === "*") {
+        index++;
+        addStaticToken();
+        keys.push(String(unnamedIndex++));
+        tokens.push({ type: "wildcard" });
+      } else {
+        text += char;
+        index++;
+      }
+    }
+
+    if (inBraces) {
+      throwInvalidPath(`missing closing }`);
+    }
+
+    addStaticToken();
+    return tokens;
+
+    function addStaticToken() {
+      if (text) {
+        tokens.push({ type: "static", value: text });
+        text = "";
+      }
+    }
+
+    function addParamToken(name, pattern) {
+      const modifier = parseModifier();
+      let prefix = "";
+
+      // Like path-to-regexp, the slash before an optional or repeated param belongs to the param
+      if (modifier && text.charAt(text.length - 1) === "/") {
+        prefix = "/";
+        text = text.slice(0, -1);
+      }
+
+      addStaticToken();
+      keys.push(name);
+      tokens.push({
+        type: "param",
+        pattern: pattern || "[^/#]+",
+        modifier,
+        prefix,
+      });
+    }
+  }
+
+  function parseModifier() {
+    const char = path[index];
+    if (char === "?" || char === "*" || char === "+") {
+      index++;
+      return char;
+    }
+
+    return "";
+  }
+
+  function parsePattern() {
+    const patternStart = index + 1;
+    let depth = 0;
+
+    do {
+      if (path[index] === "\\") {
+        index++;
+      } else if (path[index] === "(") {
+        depth++;
+        if (depth > 1 && path[index + 1] !== "?") {
+          throwInvalidPath(
+            `capturing groups are not allowed in param patterns, use (?:...) instead`
+          );
+        }
+      } else if (path[index] === ")") {
+        depth--;
+      }
+      index++;
+    } while (depth > 0 && index < path.length);
+
+    if (depth > 0) {
+      throwInvalidPath(`unbalanced parentheses in a param pattern`);
+    }
+
+    const pattern = path.slice(patternStart, index - 1);
+    if (!pattern) {
+      throwInvalidPath(`empty param pattern at index ${patternStart}`);
+    }
+
+    try {
+      new RegExp(pattern);
+    } catch (err) {
+      throwInvalidPath(`invalid param pattern '${pattern}'`);
+    }
+
+    return pattern;
+  }
+
+  function tokensToRegex(tokens) {
+    return tokens
+      .map((token) => {
+        if (token.type === "static") {
+          return escapeStrRegex(token.value);
+        } else if (token.type === "wildcard") {
+          return "([^#]*)";
+        } else if (token.type === "group") {
+          return `(?:${tokensToRegex(token.tokens)})${
+            token.optional ? "?" : ""
+          }`;
+        }
+
+        const { pattern, prefix, modifier } = token;
+        if (modifier === "?") {
+          return `(?:${prefix}(${pattern}))?`;
+        } else if (modifier === "*" || modifier === "+") {
+          const repeated = `${prefix}((?:${pattern})(?:${prefix}(?:${pattern}))*)`;
+          return modifier === "*" ? `(?:${repeated})?` : repeated;
+        } else {
+          return `(${pattern})`;
+        }
+      })
+      .join("");
+  }
+
+  function throwInvalidPath(reason) {
+    throw Error(
+      formatErrorMessage(
+        47,
+        __DEV__ && `Invalid activeWhen path '${path}': ${reason}.`,
+        path,
+        reason
+      )
+    );
+  }
+}
+
+function escapeStrRegex(str) {
+  // borrowed from https://github.com/sindresorhus/escape-string-regexp/blob/master/index.js
+  return str.replace(/[|\\{}()[\]^$+*?.]/g, "\\$&");
+}
@@ -0,0 +1,204 @@
+import { toLoadPromise } from "../lifecycles/load.js";
+import { toBootstrapPromise } from "../lifecycles/bootstrap.js";
+import { getRawAppData } from "./apps.js";
+import {
+  NOT_LOADED,
+  NOT_BOOTSTRAPPED,
+  LOAD_ERROR,
+  toName,
+} from "./app.helpers.js";
+import { formatErrorMessage } from "./app-errors.js";
+import { getInstance, getAppInstance } from "./instances.js";
+import { find } from "../utils/find.js";
+import { isInBrowser } from "../utils/runtime-environment.js";
+
+// Lower numbers are preloaded first. Hovering a link is a strong signal that the
+// user is about to navigate there, so it jumps ahead of everything else.
+const HOVER_PRIORITY = 0;
+const EAGER_PRIORITY = 1;
+const IDLE_PRIORITY = 2;
+
+export const preloadStrategies = ["eager", "idle", "hover"];
+
+let preloadQueue = [],
+  preloadUnderway = false,
+  hoverListenersAdded = false;
+
+/**
+ * Loads (and optionally bootstraps) a registered application before it becomes active,
+ * so that navigating to it does not have to wait on the network.
+ *
+ * Bootstrapping only happens once start() has been called, since apps are not allowed to
+ * bootstrap or mount before then.
+ */
+export function preloadApplication(appName, opts) {
+  const app = find(getInstance(this).apps, (app) => toName(app) === appName);
+  if (!app) {
+    throw Error(
+      formatErrorMessage(
+        44,
+        __DEV__ &&
+          `Cannot preload application '${appName}' because no such application has been registered`,
+        appName
+      )
+    );
+  }
+
+  return preloadApp(app, Boolean(opts && opts.bootstrap)).then(() => {});
+}
+
+// Called for every registered application once single-spa is started
+export function schedulePreload(app) {
+  const preload = app.preload;
+
+  if (preload === "eager") {
+    addToPreloadQueue(app, EAGER_PRIORITY);
+  } else if (preload === "idle") {
+    addToPreloadQueue(app, IDLE_PRIORITY);
+  } else if (preload === "hover") {
+    addHoverListeners();
+  } else if (typeof preload === "function") {
+    preload(() => {
+      if (isRegistered(app)) {
+        addToPreloadQueue(app, EAGER_PRIORITY);
+      }
+    });
+  }
+}
+
+export function cancelPreload(app) {
+  preloadQueue = preloadQueue.filter((item) => item.app !== app);
+}
+
+function addToPreloadQueue(app, priority) {
+  const existingItem = find(preloadQueue, (item) => item.app === app);
+
+  if (existingItem) {
+    if (existingItem.priority <= priority) {
+      return;
+    }
+    cancelPreload(app);
+  }
+
+  let index = 0;
+  while (
+    index < preloadQueue.length &&
+    preloadQueue[index].priority <= priority
+  ) {
+    index++;
+  }
+
+  preloadQueue.splice(index, 0, { app, priority });
+  processPreloadQueue();
+}
+
+function processPreloadQueue() {
+  if (preloadUnderway || preloadQueue.length === 0) {
+    return;
+  }
+
+  preloadUnderway = true;
+
+  const waitPromise =
+    preloadQueue[0].priority === IDLE_PRIORITY ? whenIdle() : Promise.resolve();
+
+  waitPromise
+    .then(() => {
+      // The queue may have changed while we were waiting, so we take whatever is most important now
+      const item = preloadQueue.shift();
+      return item ? preloadApp(item.app, true) : null;
+    })
+    .then(finishPreload, finishPreload);
+
+  function finishPreload() {
+    preloadUnderway = false;
+    processPreloadQueue();
+  }
+}
+
+function preloadApp(app, bootstrap) {
+  // toLoadPromise and toBootstrapPromise never reject for applications, they put
+  // the app into LOAD_ERROR or SKIP_BECAUSE_BROKEN and call the error handlers instead.
+  return toLoadPromise(app).then((app) => {
+    // The app could have been unregistered while its code was downloading
+    if (!bootstrap || !getAppInstance(app).started || !isRegistered(app)) {
+      return app;
+    }
+
+    /* Preloaded apps usually aren't active, so reroute knows not to abort their bootstrap. A
+     * bootstrap that a reroute already started is still the reroute's to abort.
+     */
+    const startsBootstrap =
+      app.status === NOT_BOOTSTRAPPED && !app.bootstrapPromise;
+    if (startsBootstrap) {
+      app.preloadingBootstrap = true;
+    }
+
+    return toBootstrapPromise(app).then((app) => {
+      if (startsBootstrap) {
+        delete app.preloadingBootstrap;
+      }
+      return app;
+    });
+  });
+}
+
+function isRegistered(app) {
+  return getRawAppData().indexOf(app) >= 0;
+}
+
+function whenIdle() {
+  return new Promise((resolve) => {
+    if (isInBrowser && typeof window.requestIdleCallback === "function") {
+      window.requestIdleCallback(resolve);
+    } else {
+      setTimeout(resolve);
+    }
+  });
+}
+
+function addHoverListeners() {
+  if (hoverListenersAdded || !isInBrowser) {
+    return;
+  }
+
+  hoverListenersAdded = true;
+
+  ["mouseover", "focusin", "touchstart"].forEach((eventName) => {
+    document.addEventListener(eventName, preloadHoveredLink, {
+      capture: true,
+      passive: true,
+    });
+  });
+}
+
+function preloadHoveredLink(evt) {
+  let anchor = evt.target;
+  while (anchor && !(anchor.tagName === "A" && anchor.href)) {
+    anchor = anchor.parentNode;
+  }
+
+  if (!anchor || anchor.host !== window.location.host) {
+    return;
+  }
+
+  getRawAppData().forEach((app) => {
+    if (
+      app.preload === "hover" &&
+      (app.status === NOT_LOADED || app.status === LOAD_ERROR) &&
+      // <a> elements have the same url properties as window.location
+      matchesLocation(app, anchor)
+    ) {
+      addToPreloadQueue(app, HOVER_PRIORITY);
+    }
+  });
+}
+
+function matchesLocation(app, location) {
+  try {
+    return app.activeWhen(location);
+  } catch (err) {
+    // A broken activity function is reported during the next reroute, not during preloading
+    return false;
+  }
+}
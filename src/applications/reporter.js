@@ -0,0 +1,205 @@
+import { formatErrorMessage } from "./app-errors.js";
+import { assign } from "../utils/assign.js";
+import { isInBrowser } from "../utils/runtime-environment.js";
+
+/* A reporter is told about everything that single-spa otherwise only logs, so that it can be
+ * sent to a monitoring backend:
+ *
+ * - onError gets the errors of applications and parcels, whether or not an error handler
+ *   handled them.
+ * - onWarning gets lifecycle timeouts, load retries, canceled navigations and the like. Each
+ *   warning has a kind, and the code and message of the console warning, if there is one.
+ * - onLifecycleSample gets how long each load and lifecycle function took.
+ *
+ * Every record has a timestamp. The console output stays the same with or without a reporter.
+ */
+const reporterKeys = ["onError", "onWarning", "onLifecycleSample"];
+
+let reporter = null;
+
+export function setReporter(newReporter) {
+  if (
+    newReporter !== null &&
+    (typeof newReporter !== "object" ||
+      Object.keys(newReporter).some(
+        (key) =>
+          reporterKeys.indexOf(key) >= 0 &&
+          newReporter[key] &&
+          typeof newReporter[key] !== "function"
+      ))
+  ) {
+    throw Error(
+      formatErrorMessage(
+        82,
+        __DEV__ &&
+          `setReporter must be called with null or an object whose onError, onWarning and onLifecycleSample are functions`
+      )
+    );
+  }
+
+  reporter = newReporter;
+}
+
+export function reportError(record) {
+  report("onError", record);
+}
+
+export function reportWarning(record) {
+  report("onWarning", record);
+}
+
+export function reportLifecycleSample(record) {
+  report("onLifecycleSample", record);
+}
+
+// Lets callers skip timing lifecycles when no one wants the samples
+export function wantsLifecycleSamples() {
+  return Boolean(reporter && reporter.onLifecycleSample);
+}
+
+function report(key, record) {
+  if (!reporter || !reporter[key]) {
+    return;
+  }
+
+  // A broken reporter shouldn't break the apps it reports on
+  try {
+    reporter[key](assign({ timestamp: Date.now() }, record));
+  } catch (err) {
+    console.error(
+      formatErrorMessage(
+        84,
+        __DEV__ && `The ${key} function of the single-spa reporter threw`,
+        key
+      ),
+      err
+    );
+  }
+}
+
+/* A reporter that POSTs its records to a url as JSON, in batches of batchSize records or of
+ * whatever was reported in the last flushIntervalMillis. The request body is
+ * { "records": [...] }, where each record has a type of "error", "warning" or
+ * "lifecycle-sample". Batches that fail to send are dropped, so that an unreachable backend
+ * doesn't pile up records, and so are records that can't be turned into JSON.
+ */
+export function createBatchingTransport(opts) {
+  if (
+    !opts ||
+    typeof opts.url !== "string" ||
+    (opts.batchSize !== undefined && !isPositiveNumber(opts.batchSize)) ||
+    (opts.flushIntervalMillis !== undefined &&
+      !isPositiveNumber(opts.flushIntervalMillis)) ||
+    (opts.fetch !== undefined && typeof opts.fetch !== "function")
+  ) {
+    throw Error(
+      formatErrorMessage(
+        83,
+        __DEV__ &&
+          `createBatchingTransport must be called with a url. batchSize and flushIntervalMillis must be positive numbers, and fetch must be a function`
+      )
+    );
+  }
+
+  const batchSize = opts.batchSize || 20;
+  const flushIntervalMillis = opts.flushIntervalMillis || 5000;
+  const headers = assign({ "content-type": "application/json" }, opts.headers);
+  let records = [],
+    flushTimeout = null;
+
+  if (isInBrowser) {
+    // The page might not be around for the next interval
+    window.addEventListener("pagehide", flush);
+  }
+
+  function add(type, record) {
+    records.push(toJSONRecord(type, record));
+
+    if (records.length >= batchSize) {
+      flush();
+    } else if (!flushTimeout) {
+      flushTimeout = setTimeout(flush, flushIntervalMillis);
+    }
+  }
+
+  function flush() {
+    clearTimeout(flushTimeout);
+    flushTimeout = null;
+
+    const batch = records;
+    records = [];
+
+    // Records that can't be stringified, like ones with circular references, are dropped on their own
+    const jsonRecords = [];
+    batch.forEach((record) => {
+      try {
+        jsonRecords.push(JSON.stringify(record));
+      } catch {}
+    });
+
+    if (jsonRecords.length === 0) {
+      return Promise.resolve();
+    }
+
+    const body = `{"records":[${jsonRecords.join(",")}]}`;
+
+    return Promise.resolve()
+      .then(() =>
+        (opts.fetch || fetch)(opts.url, {
+          method: "POST",
+          headers,
+          body,
+          keepalive: true,
+        })
+      )
+      .then(
+        () => {},
+        () => {}
+      );
+  }
+
+  return {
+    onError(record) {
+      add("error", record);
+    },
+    onWarning(record) {
+      add("warning", record);
+    },
+    onLifecycleSample(record) {
+      add("lifecycle-sample", record);
+    },
+    flush,
+  };
+}
+
+function toJSONRecord(type, record) {
+  const result = assign({ type }, record);
+
+  if (record.error) {
+    result.error = toJSONError(record.error);
+  }
+
+  return result;
+}
+
+// The message and stack of errors aren't copied by JSON.stringify
+function toJSONError(err) {
+  if (!(err instanceof Error)) {
+    return err;
+  }
+
+  const result = assign({}, err);
+  result.name = err.name;
+  result.message = err.message;
+  result.stack = err.stack;
+
+  if (err.cause !== undefined) {
+    result.cause = toJSONError(err.cause);
+  }
+
+  return result;
+}
+
+function isPositiveNumber(num) {
+  return typeof num === "number" && num > 0;
+}
@@ -0,0 +1,194 @@
+import { SKIP_BECAUSE_BROKEN, toName } from "./app.helpers.js";
+import { getRawAppData } from "./apps.js";
+import { formatErrorMessage } from "./app-errors.js";
+import { toLoadPromise } from "../lifecycles/load.js";
+import { getProps } from "../lifecycles/prop.helpers.js";
+import { assign } from "../utils/assign.js";
+import { isInBrowser } from "../utils/runtime-environment.js";
+import { toLocation } from "../navigation/location-adapters.js";
+
+export const serverStateElementId = "single-spa-server-state";
+
+/* Renders the applications that are active for the url, so that a server can respond with
+ * their markup. Nothing is mounted: active applications are loaded and their optional
+ * renderServerSide lifecycle is called with the usual props plus the url and request headers.
+ * renderServerSide returns (a promise for) a string of html or an object with html, assets
+ * and state.
+ *
+ * Each application's html is put inside of the container that single-spa looks for by
+ * default, followed by a script element with the state of all applications, which start({
+ * hydrate: true }) hands back to the applications when they mount in the browser.
+ *
+ * The routing mode and basePath are the ones passed to start(), which doesn't reroute in
+ * NodeJS and so is safe to call on the server.
+ */
+export function renderToString(url, opts) {
+  const headers = (opts && opts.headers) || {};
+
+  return Promise.resolve().then(() => {
+    const location = toLocation(url);
+    const renderPromises = getRawAppData()
+      .filter((app) => isActiveOnServer(app, location))
+      .map((app) =>
+        toLoadPromise(app, location).then(() => renderApp(app, location))
+      );
+
+    return Promise.all(renderPromises).then((results) => {
+      const assets = {},
+        state = {};
+
+      const appsHtml = results.map((result) => {
+        assets[result.name] = result.assets;
+        if (result.state !== undefined) {
+          state[result.name] = result.state;
+        }
+
+        return `<div id="single-spa-application:${escapeAttribute(
+          result.name
+        )}">${result.html}</div>`;
+      });
+
+      const serializedState = serialize({
+        rendered: results
+          .filter((result) => result.rendered)
+          .map((result) => result.name),
+        state,
+      });
+
+      return {
+        html:
+          appsHtml.join("") +
+          `<script type="application/json" id="${serverStateElementId}">${serializedState}</script>`,
+        assets,
+        state,
+      };
+    });
+  });
+
+  // An application whose activeWhen throws isn't rendered on the server, instead of failing the whole render
+  function isActiveOnServer(app, location) {
+    try {
+      return app.activeWhen(location);
+    } catch (err) {
+      const name = toName(app);
+      console.error(
+        formatErrorMessage(
+          90,
+          __DEV__ &&
+            `Application '${name}' threw in activeWhen during renderToString and will be rendered in the browser instead`,
+          name
+        ),
+        err
+      );
+
+      return false;
+    }
+  }
+
+  function renderApp(app, location) {
+    const name = toName(app);
+    const result = { name, html: "", assets: [], rendered: false };
+
+    // Applications that failed to load or can't render on the server are rendered fresh in the browser
+    if (!app.renderServerSide || app.status === SKIP_BECAUSE_BROKEN) {
+      return result;
+    }
+
+    return Promise.resolve()
+      .then(() =>
+        app.renderServerSide(
+          assign({}, getProps(app, location), { url, headers })
+        )
+      )
+      .then(
+        (rendered) => {
+          if (typeof rendered === "string") {
+            rendered = { html: rendered };
+          }
+
+          result.html = (rendered && rendered.html) || "";
+          result.assets = (rendered && rendered.assets) || [];
+          result.state = rendered ? rendered.state : undefined;
+          result.rendered = true;
+
+          return result;
+        },
+        (err) => {
+          console.error(
+            formatErrorMessage(
+              57,
+              __DEV__ &&
+                `Application '${name}' threw during renderServerSide and will be rendered in the browser instead`,
+              name
+            ),
+            err
+          );
+
+          return result;
+        }
+      );
+  }
+}
+
+function escapeAttribute(str) {
+  return str.replace(/&/g, "&amp;").replace(/"/g, "&quot;");
+}
+
+// The state ends up inside of a script element, which must not be closed early by a "</script>" in it
+function serialize(value) {
+  return JSON.stringify(value)
+    .replace(/</g, "\\u003c")
+    .replace(/\u2028/g, "\\u2028")
+    .replace(/\u2029/g, "\\u2029");
+}
+
+let hydration = null;
+
+/* Called by start(). When hydrating, applications that were rendered by renderToString
+ * receive `hydrate: true` and their server state as props during the initial reroute, so
+ * that they can take over the server's markup instead of rendering from scratch.
+ */
+export function setHydration(hydrate) {
+  hydration = null;
+
+  if (!hydrate || !isInBrowser) {
+    return;
+  }
+
+  const stateElement = document.getElementById(serverStateElementId);
+
+  if (!stateElement) {
+    return;
+  }
+
+  try {
+    hydration = JSON.parse(stateElement.textContent);
+  } catch (err) {
+    console.warn(
+      formatErrorMessage(
+        58,
+        __DEV__ &&
+          `start() was called with hydrate, but the server state could not be parsed. Applications will be rendered from scratch`
+      ),
+      err
+    );
+  }
+}
+
+export function getHydrationProps(app) {
+  const name = toName(app);
+
+  if (!hydration || hydration.rendered.indexOf(name) < 0) {
+    return null;
+  }
+
+  return {
+    hydrate: true,
+    serverState: hydration.state[name],
+  };
+}
+
+// Called once the initial reroute is done, since only that one can find the server's markup
+export function finishHydration() {
+  hydration = null;
+}
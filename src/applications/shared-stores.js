@@ -0,0 +1,91 @@
+import { formatErrorMessage } from "./app-errors.js";
+import { trackSubscription } from "./app-subscriptions.js";
+
+/* Shared stores hold state that several applications need, like the current user, feature
+ * flags or the locale. They are shared by the whole page, and looked up by key.
+ *
+ * Applications get their stores from the getSharedStore prop instead of importing single-spa,
+ * so that the subscriptions they make are torn down for them (see app-subscriptions.js).
+ */
+const stores = {};
+
+export function createSharedStore(key, initialState) {
+  if (typeof key !== "string" || key.length === 0 || stores[key]) {
+    throw Error(
+      formatErrorMessage(
+        64,
+        __DEV__ &&
+          `createSharedStore() must be called with a non-empty string key that is not used by another shared store. Received '${key}'`,
+        key
+      )
+    );
+  }
+
+  let state = initialState,
+    listeners = [];
+
+  const store = {
+    key,
+    getState() {
+      return state;
+    },
+    // Either the new state, or a function that is given the current state and returns the new state
+    setState(update) {
+      const prevState = state;
+      state = typeof update === "function" ? update(prevState) : update;
+
+      if (state !== prevState) {
+        // Listeners that unsubscribe while being notified shouldn't cause others to be skipped
+        listeners.slice().forEach((listener) => {
+          try {
+            listener(state, prevState);
+          } catch (err) {
+            console.error(
+              formatErrorMessage(
+                65,
+                __DEV__ && `A listener of shared store '${key}' threw an error`,
+                key
+              ),
+              err
+            );
+          }
+        });
+      }
+    },
+    subscribe(listener) {
+      listeners.push(listener);
+
+      return function unsubscribe() {
+        listeners = listeners.filter((l) => l !== listener);
+      };
+    },
+  };
+
+  stores[key] = store;
+
+  return store;
+}
+
+export function getSharedStore(key) {
+  return stores[key] || null;
+}
+
+// What the getSharedStore prop returns: the store, with subscriptions that are tracked for the app or parcel
+export function getAppSharedStore(appOrParcel, key) {
+  const store = getSharedStore(key);
+
+  if (!store) {
+    return null;
+  }
+
+  return {
+    key,
+    getState: store.getState,
+    setState: store.setState,
+    subscribe(listener) {
+      const unsubscribe = store.subscribe(listener);
+      trackSubscription(appOrParcel, unsubscribe);
+      return unsubscribe;
+    },
+  };
+}
@@ -0,0 +1,217 @@
+import {
+  NOT_LOADED,
+  LOADING_SOURCE_CODE,
+  NOT_BOOTSTRAPPED,
+  BOOTSTRAPPING,
+  NOT_MOUNTED,
+  LOAD_ERROR,
+  LOAD_FAILED,
+  SKIP_BECAUSE_BROKEN,
+  getAppContainer,
+  shouldBeActive,
+  toName,
+} from "./app.helpers.js";
+import { formatErrorMessage } from "./app-errors.js";
+import { getAppInstance } from "./instances.js";
+import { mountRootParcel } from "../parcels/mount-parcel.js";
+import { resetApp } from "./app-recovery.js";
+import { reroute } from "../navigation/reroute.js";
+import { assign } from "../utils/assign.js";
+import { isInBrowser } from "../utils/runtime-environment.js";
+
+/* An application's loadingUI is shown in its container when it takes longer than
+ * loadingUIDelayMillis to load and bootstrap, and its errorUI once it's broken. So that
+ * users see something other than a blank page.
+ *
+ * Both are either parcel configs, which are mounted with the container as their domElement,
+ * or functions that return a DOM node to put in the container. Either way, they are given the
+ * app's name as their appName prop, and the errorUI is also given the error and a retry()
+ * function that resets the app with resetApplication.
+ */
+const defaultLoadingUIDelayMillis = 200;
+
+let appsWithStatusUI = [],
+  routingListenerAdded = false;
+
+export function validateStatusUI(config) {
+  ["loadingUI", "errorUI"].forEach((key) => {
+    const ui = config[key];
+
+    if (
+      ui &&
+      typeof ui !== "function" &&
+      !(typeof ui === "object" && typeof ui.mount === "function")
+    ) {
+      throw Error(
+        formatErrorMessage(
+          76,
+          __DEV__ &&
+            `The optional config.${key} on registerApplication must be a parcel config or a function that returns a DOM node`,
+          key
+        )
+      );
+    }
+  });
+
+  if (
+    config.loadingUIDelayMillis !== undefined &&
+    !(
+      typeof config.loadingUIDelayMillis === "number" &&
+      config.loadingUIDelayMillis >= 0
+    )
+  ) {
+    throw Error(
+      formatErrorMessage(
+        76,
+        __DEV__ &&
+          `The optional config.loadingUIDelayMillis on registerApplication must be a number that is at least 0`,
+        "loadingUIDelayMillis"
+      )
+    );
+  }
+}
+
+// Called by reroute for the apps that are about to be loaded, bootstrapped and mounted
+export function scheduleLoadingUI(app) {
+  if (!app.loadingUI || app.loadingUITimeout || !getAppInstance(app).started) {
+    return;
+  }
+
+  const delay =
+    typeof app.loadingUIDelayMillis === "number"
+      ? app.loadingUIDelayMillis
+      : defaultLoadingUIDelayMillis;
+
+  app.loadingUITimeout = setTimeout(() => {
+    delete app.loadingUITimeout;
+
+    if (isLoading(app) && shouldBeActive(app)) {
+      showStatusUI(app, app.loadingUI, { appName: toName(app) });
+    }
+  }, delay);
+}
+
+// Called by toMountPromise, since the app takes over its container once it mounts
+export function hideStatusUI(app) {
+  clearTimeout(app.loadingUITimeout);
+  delete app.loadingUITimeout;
+
+  if (app.statusUI) {
+    app.statusUI.remove();
+    delete app.statusUI;
+  }
+}
+
+// Called by handleAppError
+export function showErrorUI(app, err) {
+  if (
+    !isInBrowser ||
+    !app.errorUI ||
+    (app.status !== LOAD_ERROR &&
+      app.status !== LOAD_FAILED &&
+      app.status !== SKIP_BECAUSE_BROKEN)
+  ) {
+    return;
+  }
+
+  hideStatusUI(app);
+  showStatusUI(app, app.errorUI, {
+    appName: toName(app),
+    error: err,
+    retry() {
+      return resetApp(app, false).then(
+        () => reroute().then(() => {}),
+        // handleAppError already reported it
+        () => {}
+      );
+    },
+  });
+}
+
+function showStatusUI(app, ui, props) {
+  const container = getAppContainer(app);
+
+  if (!container) {
+    return;
+  }
+
+  hideStatusUI(app);
+  addRoutingListener();
+  appsWithStatusUI.push(app);
+
+  const handleUIError = (err) => {
+    console.error(
+      formatErrorMessage(
+        77,
+        __DEV__ &&
+          `The loadingUI or errorUI of application '${toName(app)}' failed`,
+        toName(app)
+      ),
+      err
+    );
+  };
+
+  if (typeof ui === "function") {
+    let node;
+    try {
+      node = ui(props);
+      // Only DOM nodes can be shown
+      if (!(node instanceof Node)) {
+        throw Error(
+          `The loadingUI or errorUI function must return a DOM node, but returned ${node}`
+        );
+      }
+      container.appendChild(node);
+    } catch (err) {
+      handleUIError(err);
+      return;
+    }
+
+    app.statusUI = {
+      remove() {
+        if (node.parentNode) {
+          node.parentNode.removeChild(node);
+        }
+      },
+    };
+  } else {
+    const parcel = mountRootParcel(
+      ui,
+      assign({ domElement: container }, props)
+    );
+    parcel.mountPromise.catch(handleUIError);
+
+    app.statusUI = {
+      remove() {
+        parcel.mountPromise.then(() => parcel.unmount()).catch(handleUIError);
+      },
+    };
+  }
+}
+
+function isLoading(app) {
+  return (
+    app.status === NOT_LOADED ||
+    app.status === LOADING_SOURCE_CODE ||
+    app.status === NOT_BOOTSTRAPPED ||
+    app.status === BOOTSTRAPPING ||
+    app.status === NOT_MOUNTED
+  );
+}
+
+// The loading and error UIs of apps that are no longer active go away with them
+function addRoutingListener() {
+  if (routingListenerAdded || !isInBrowser) {
+    return;
+  }
+
+  routingListenerAdded = true;
+  window.addEventListener("single-spa:routing-event", () => {
+    appsWithStatusUI = appsWithStatusUI.filter((app) => app.statusUI);
+    appsWithStatusUI.forEach((app) => {
+      if (!shouldBeActive(app)) {
+        hideStatusUI(app);
+      }
+    });
+  });
+}
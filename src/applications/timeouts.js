@@ -2,10 +2,23 @@ import { assign } from "../utils/assign";
 import { getProps } from "../lifecycles/prop.helpers";
 import { objectType, toName } from "./app.helpers";
 import { formatErrorMessage } from "./app-errors";
+import { getInstance, getAppInstance } from "./instances.js";
+import {
+  reportWarning,
+  reportLifecycleSample,
+  wantsLifecycleSamples,
+} from "./reporter.js";
 
 const defaultWarningMillis = 1000;
 
+// Each instance can override these with setTimeouts, setBootstrapMaxTime, etc.
 const globalTimeoutConfig = {
+  // A network request can hang forever, so loads give up instead of waiting it out
+  load: {
+    millis: 30000,
+    dieOnTimeout: true,
+    warningMillis: 5000,
+  },
   bootstrap: {
     millis: 4000,
     dieOnTimeout: false,
@@ -31,6 +44,16 @@ const globalTimeoutConfig = {
     dieOnTimeout: false,
     warningMillis: defaultWarningMillis,
   },
+  deactivate: {
+    millis: 3000,
+    dieOnTimeout: false,
+    warningMillis: defaultWarningMillis,
+  },
+  activate: {
+    millis: 3000,
+    dieOnTimeout: false,
+    warningMillis: defaultWarningMillis,
+  },
 };
 
 export function setBootstrapMaxTime(time, dieOnTimeout, warningMillis) {
@@ -44,7 +67,7 @@ export function setBootstrapMaxTime(time, dieOnTimeout, warningMillis) {
     );
   }
 
-  globalTimeoutConfig.bootstrap = {
+  getInstance(this).timeouts.bootstrap = {
     millis: time,
     dieOnTimeout,
     warningMillis: warningMillis || defaultWarningMillis,
@@ -62,7 +85,7 @@ export function setMountMaxTime(time, dieOnTimeout, warningMillis) {
     );
   }
 
-  globalTimeoutConfig.mount = {
+  getInstance(this).timeouts.mount = {
     millis: time,
     dieOnTimeout,
     warningMillis: warningMillis || defaultWarningMillis,
@@ -80,7 +103,7 @@ export function setUnmountMaxTime(time, dieOnTimeout, warningMillis) {
     );
   }
 
-  globalTimeoutConfig.unmount = {
+  getInstance(this).timeouts.unmount = {
     millis: time,
     dieOnTimeout,
     warningMillis: warningMillis || defaultWarningMillis,
@@ -98,30 +121,186 @@ export function setUnloadMaxTime(time, dieOnTimeout, warningMillis) {
     );
   }
 
-  globalTimeoutConfig.unload = {
+  getInstance(this).timeouts.unload = {
     millis: time,
     dieOnTimeout,
     warningMillis: warningMillis || defaultWarningMillis,
   };
 }
 
+/* Merges the given timeouts into the instance's, lifecycle by lifecycle. Applications get
+ * them when they're loaded, so they don't change the timeouts of apps that already were.
+ */
+export function setTimeouts(timeouts) {
+  validateTimeouts(timeouts);
+
+  const instance = getInstance(this);
+
+  for (let lifecycle in timeouts) {
+    const timeoutConfig = assign({}, instance.timeouts[lifecycle] || {});
+    instance.timeouts[lifecycle] = assign(timeoutConfig, timeouts[lifecycle]);
+  }
+}
+
+// Called by setTimeouts and for the timeouts in registerApplication's config
+export function validateTimeouts(timeouts) {
+  if (
+    typeof timeouts !== "object" ||
+    timeouts === null ||
+    Array.isArray(timeouts)
+  ) {
+    throwInvalidTimeouts("timeouts");
+  }
+
+  Object.keys(timeouts).forEach((lifecycle) => {
+    const timeoutConfig = timeouts[lifecycle];
+
+    if (
+      !Object.prototype.hasOwnProperty.call(globalTimeoutConfig, lifecycle) ||
+      typeof timeoutConfig !== "object" ||
+      timeoutConfig === null ||
+      (timeoutConfig.millis !== undefined &&
+        !isPositiveNumber(timeoutConfig.millis)) ||
+      (timeoutConfig.warningMillis !== undefined &&
+        !isPositiveNumber(timeoutConfig.warningMillis)) ||
+      (timeoutConfig.dieOnTimeout !== undefined &&
+        typeof timeoutConfig.dieOnTimeout !== "boolean")
+    ) {
+      throwInvalidTimeouts(lifecycle);
+    }
+  });
+}
+
+function throwInvalidTimeouts(key) {
+  throw Error(
+    formatErrorMessage(
+      85,
+      __DEV__ &&
+        `Invalid timeouts: '${key}' is invalid. Timeouts are objects by lifecycle, for ${Object.keys(
+          globalTimeoutConfig
+        ).join(
+          ", "
+        )}. Their millis and warningMillis must be positive numbers, and dieOnTimeout must be a boolean`,
+      key
+    )
+  );
+}
+
+function isPositiveNumber(num) {
+  return typeof num === "number" && num > 0;
+}
+
+/* Lifecycle functions are given an AbortSignal as the signal prop, where AbortController is
+ * available. It's aborted when the lifecycle times out with dieOnTimeout, and for the
+ * abortableLifecycles, when a navigation or unregisterApplication means that the app isn't
+ * wanted anymore. Lifecycles that reject after being aborted for that reason aren't errors.
+ * single-spa carries on as if they had finished, and unmounts the app like it would otherwise.
+ * Aborted bootstraps put the app back in NOT_BOOTSTRAPPED, to be bootstrapped when it's wanted again.
+ */
+const abortableLifecycles = ["bootstrap", "mount", "update", "activate"];
+
 export function reasonableTime(appOrParcel, lifecycle) {
-  const timeoutConfig = appOrParcel.timeouts[lifecycle];
+  const running = {
+    lifecycle,
+    controller:
+      typeof AbortController !== "undefined" ? new AbortController() : null,
+    superseded: false,
+  };
+  appOrParcel.runningLifecycle = running;
+
+  return timeLimit(
+    appOrParcel,
+    lifecycle,
+    appOrParcel.timeouts[lifecycle],
+    () => {
+      const props = getProps(appOrParcel);
+      if (running.controller) {
+        props.signal = running.controller.signal;
+      }
+      return appOrParcel[lifecycle](props);
+    },
+    running
+  );
+}
+
+// Called by reroute for apps that are no longer active, and by unregisterApplication
+export function abortLifecycle(appOrParcel) {
+  const running = appOrParcel.runningLifecycle;
+
+  if (
+    running &&
+    running.controller &&
+    !running.controller.signal.aborted &&
+    abortableLifecycles.indexOf(running.lifecycle) >= 0
+  ) {
+    running.superseded = true;
+    running.controller.abort();
+  }
+}
+
+/* Called by toLoadPromise with the promise that the loading function returned. The app's own
+ * timeouts aren't known until it's loaded, so only the registration's count.
+ */
+export function reasonableLoadTime(appOrParcel, loadPromise) {
+  const timeoutConfig = ensureValidAppTimeouts(
+    null,
+    getAppInstance(appOrParcel),
+    appOrParcel.timeoutOverrides
+  ).load;
+
+  return timeLimit(appOrParcel, "load", timeoutConfig, () => loadPromise);
+}
+
+function timeLimit(
+  appOrParcel,
+  lifecycle,
+  timeoutConfig,
+  callLifecycle,
+  running
+) {
   const warningPeriod = timeoutConfig.warningMillis;
   const type = objectType(appOrParcel);
 
   return new Promise((resolve, reject) => {
     let finished = false;
     let errored = false;
+    const startTime = wantsLifecycleSamples() ? Date.now() : null;
+
+    function sample(succeeded) {
+      if (startTime !== null) {
+        reportLifecycleSample({
+          lifecycle,
+          appOrParcelName: toName(appOrParcel),
+          appOrParcelType: type,
+          durationMillis: Date.now() - startTime,
+          succeeded,
+        });
+      }
+    }
+
+    function finish() {
+      finished = true;
+      if (running && appOrParcel.runningLifecycle === running) {
+        delete appOrParcel.runningLifecycle;
+      }
+    }
 
-    appOrParcel[lifecycle](getProps(appOrParcel))
+    callLifecycle()
       .then((val) => {
-        finished = true;
+        finish();
+        sample(true);
         resolve(val);
       })
       .catch((val) => {
-        finished = true;
-        reject(val);
+        finish();
+        sample(false);
+        if (running && running.superseded) {
+          // Lets toBootstrapPromise tell an aborted bootstrap apart from one that finished
+          running.rejectedAfterAbort = true;
+          resolve();
+        } else {
+          reject(val);
+        }
       });
 
     setTimeout(() => maybeTimingOut(1), warningPeriod);
@@ -139,20 +318,37 @@ export function reasonableTime(appOrParcel, lifecycle) {
       timeoutConfig.millis
     );
 
+    function reportTimeout(kind, millis) {
+      reportWarning({
+        kind,
+        code: 31,
+        message: errMsg,
+        lifecycle,
+        appOrParcelName: toName(appOrParcel),
+        appOrParcelType: type,
+        millis,
+      });
+    }
+
     function maybeTimingOut(shouldError) {
       if (!finished) {
         if (shouldError === true) {
           errored = true;
           if (timeoutConfig.dieOnTimeout) {
+            if (running && running.controller) {
+              running.controller.abort();
+            }
             reject(Error(errMsg));
           } else {
             console.error(errMsg);
+            reportTimeout("lifecycle-timeout", timeoutConfig.millis);
             //don't resolve or reject, we're waiting this one out
           }
         } else if (!errored) {
           const numWarnings = shouldError;
           const numMillis = numWarnings * warningPeriod;
           console.warn(errMsg);
+          reportTimeout("lifecycle-slow", numMillis);
           if (numMillis + warningPeriod < timeoutConfig.millis) {
             setTimeout(() => maybeTimingOut(numWarnings + 1), warningPeriod);
           }
@@ -162,15 +358,18 @@ export function reasonableTime(appOrParcel, lifecycle) {
   });
 }
 
-export function ensureValidAppTimeouts(timeouts) {
+/* The timeouts in registerApplication's config win over the ones the application exports,
+ * which win over the instance's.
+ */
+export function ensureValidAppTimeouts(timeouts, instance, timeoutOverrides) {
   const result = {};
 
+  // assign() copies each argument into the one before it, so the defaults are copied one at a time to not change them
   for (let key in globalTimeoutConfig) {
-    result[key] = assign(
-      {},
-      globalTimeoutConfig[key],
-      (timeouts && timeouts[key]) || {}
-    );
+    result[key] = assign({}, globalTimeoutConfig[key]);
+    assign(result[key], instance.timeouts[key] || {});
+    assign(result[key], (timeouts && timeouts[key]) || {});
+    assign(result[key], (timeoutOverrides && timeoutOverrides[key]) || {});
   }
 
   return result;
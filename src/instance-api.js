@@ -0,0 +1,79 @@
+import { start } from "./start.js";
+import {
+  registerApplication,
+  unregisterApplication,
+  getMountedApps,
+  getAppStatus,
+  unloadApplication,
+  updateApplication,
+  checkActivityFunctions,
+  getAppNames,
+} from "./applications/apps.js";
+import { preloadApplication } from "./applications/preload.js";
+import { registerApplicationsFromManifest } from "./applications/manifest.js";
+import { registerLayout } from "./applications/layout.js";
+import { resetApplication } from "./applications/app-recovery.js";
+import {
+  addErrorHandler,
+  removeErrorHandler,
+} from "./applications/app-errors.js";
+import {
+  setBootstrapMaxTime,
+  setMountMaxTime,
+  setUnmountMaxTime,
+  setUnloadMaxTime,
+  setTimeouts,
+} from "./applications/timeouts.js";
+import { navigateToUrl } from "./navigation/navigation-events.js";
+import { triggerAppChange } from "./navigation/reroute.js";
+import { createInstance } from "./applications/instances.js";
+import {
+  createSharedStore,
+  getSharedStore,
+} from "./applications/shared-stores.js";
+import { eventBus } from "./applications/event-bus.js";
+
+/* Creates a single-spa instance with its own applications, error handlers and timeouts, so
+ * that separately developed root configs can share a page without fighting over them. Shared
+ * stores and the event bus are shared by every instance. An
+ * instance can be scoped to a urlPrefix, outside of which its applications are never active,
+ * and to a domElement, inside of which its applications' containers are looked for.
+ *
+ * The url is the same for everyone on the page, so the first start() call, on any instance,
+ * sets up routing for all of them with its options.
+ */
+export function createSingleSpa(opts) {
+  const instance = createInstance(opts);
+
+  instance.api = {
+    name: instance.name,
+    start: start.bind(instance),
+    registerApplication: registerApplication.bind(instance),
+    unregisterApplication: unregisterApplication.bind(instance),
+    getMountedApps: getMountedApps.bind(instance),
+    getAppStatus: getAppStatus.bind(instance),
+    unloadApplication: unloadApplication.bind(instance),
+    updateApplication: updateApplication.bind(instance),
+    resetApplication: resetApplication.bind(instance),
+    checkActivityFunctions: checkActivityFunctions.bind(instance),
+    getAppNames: getAppNames.bind(instance),
+    preloadApplication: preloadApplication.bind(instance),
+    registerApplicationsFromManifest:
+      registerApplicationsFromManifest.bind(instance),
+    registerLayout: registerLayout.bind(instance),
+    addErrorHandler: addErrorHandler.bind(instance),
+    removeErrorHandler: removeErrorHandler.bind(instance),
+    setBootstrapMaxTime: setBootstrapMaxTime.bind(instance),
+    setMountMaxTime: setMountMaxTime.bind(instance),
+    setUnmountMaxTime: setUnmountMaxTime.bind(instance),
+    setUnloadMaxTime: setUnloadMaxTime.bind(instance),
+    setTimeouts: setTimeouts.bind(instance),
+    navigateToUrl,
+    triggerAppChange,
+    createSharedStore,
+    getSharedStore,
+    eventBus,
+  };
+
+  return instance.api;
+}
@@ -7,7 +7,7 @@ import {
   isParcel,
 } from "../applications/app.helpers.js";
 import { reasonableTime } from "../applications/timeouts.js";
-import { handleAppError, transformErr } from "../applications/app-errors.js";
+import { handleAppError, throwAppError } from "../applications/app-errors.js";
 import { addProfileEntry } from "../devtools/profiler.js";
 
 export function toBootstrapPromise(appOrParcel, hardFail) {
@@ -15,7 +15,11 @@ export function toBootstrapPromise(appOrParcel, hardFail) {
 
   return Promise.resolve().then(() => {
     if (appOrParcel.status !== NOT_BOOTSTRAPPED) {
-      return appOrParcel;
+      // Preloading bootstraps apps outside of reroute, so someone may already be bootstrapping this one
+      return appOrParcel.status === BOOTSTRAPPING &&
+        appOrParcel.bootstrapPromise
+        ? appOrParcel.bootstrapPromise
+        : appOrParcel;
     }
 
     if (__PROFILE__) {
@@ -30,9 +34,19 @@ export function toBootstrapPromise(appOrParcel, hardFail) {
       return Promise.resolve().then(successfulBootstrap);
     }
 
-    return reasonableTime(appOrParcel, "bootstrap")
-      .then(successfulBootstrap)
+    const bootstrapPromise = reasonableTime(appOrParcel, "bootstrap");
+    // reasonableTime sets it right away, and it's gone by the time the bootstrap finishes
+    const running = appOrParcel.runningLifecycle;
+
+    return (appOrParcel.bootstrapPromise = bootstrapPromise
+      .then(() =>
+        running && running.rejectedAfterAbort
+          ? abortedBootstrap()
+          : successfulBootstrap()
+      )
       .catch((err) => {
+        delete appOrParcel.bootstrapPromise;
+
         if (__PROFILE__) {
           addProfileEntry(
             profileEventType,
@@ -45,15 +59,24 @@ export function toBootstrapPromise(appOrParcel, hardFail) {
         }
 
         if (hardFail) {
-          throw transformErr(err, appOrParcel, SKIP_BECAUSE_BROKEN);
+          throwAppError(err, appOrParcel, SKIP_BECAUSE_BROKEN, "bootstrap");
         } else {
-          handleAppError(err, appOrParcel, SKIP_BECAUSE_BROKEN);
-          return appOrParcel;
+          handleAppError(err, appOrParcel, SKIP_BECAUSE_BROKEN, "bootstrap");
         }
-      });
+
+        return appOrParcel;
+      }));
   });
 
+  function abortedBootstrap() {
+    delete appOrParcel.bootstrapPromise;
+    appOrParcel.status = NOT_BOOTSTRAPPED;
+
+    return appOrParcel;
+  }
+
   function successfulBootstrap() {
+    delete appOrParcel.bootstrapPromise;
     appOrParcel.status = NOT_MOUNTED;
 
     if (__PROFILE__) {
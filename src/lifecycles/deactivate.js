@@ -0,0 +1,96 @@
+import {
+  MOUNTED,
+  DEACTIVATING,
+  FROZEN,
+  ACTIVATING,
+  SKIP_BECAUSE_BROKEN,
+  getAppContainer,
+} from "../applications/app.helpers.js";
+import { handleAppError } from "../applications/app-errors.js";
+import { reasonableTime } from "../applications/timeouts.js";
+import { scheduleExpiry, cancelExpiry } from "../applications/keep-alive.js";
+import { toUnmountPromise } from "./unmount.js";
+
+/* Freezes a kept alive application instead of unmounting it. Applications that don't export
+ * a deactivate lifecycle have their container hidden, and are unmounted for real when they
+ * don't have a container that single-spa knows about.
+ */
+export function toDeactivatePromise(app) {
+  return Promise.resolve().then(() => {
+    if (app.status !== MOUNTED) {
+      return app;
+    }
+
+    let container;
+    if (!app.deactivate) {
+      container = getAppContainer(app);
+      if (!container) {
+        return toUnmountPromise(app);
+      }
+    }
+
+    app.status = DEACTIVATING;
+
+    const deactivatePromise = app.deactivate
+      ? reasonableTime(app, "deactivate")
+      : Promise.resolve().then(() => {
+          app.hiddenContainer = {
+            domElement: container,
+            display: container.style.display,
+          };
+          container.style.display = "none";
+        });
+
+    return deactivatePromise.then(
+      () => {
+        app.status = FROZEN;
+        scheduleExpiry(app);
+        return app;
+      },
+      (err) => {
+        handleAppError(err, app, SKIP_BECAUSE_BROKEN, "deactivate");
+        return app;
+      }
+    );
+  });
+}
+
+export function toActivatePromise(app) {
+  return Promise.resolve().then(() => {
+    if (app.status !== FROZEN) {
+      return app;
+    }
+
+    cancelExpiry(app);
+    app.status = ACTIVATING;
+
+    const activatePromise = app.activate
+      ? reasonableTime(app, "activate")
+      : Promise.resolve().then(() => showHiddenContainer(app));
+
+    return activatePromise.then(
+      () => {
+        app.status = MOUNTED;
+        return app;
+      },
+      (err) => {
+        handleAppError(err, app, SKIP_BECAUSE_BROKEN, "activate");
+        return app;
+      }
+    );
+  });
+}
+
+// Frozen applications are still mounted, so they go back to being MOUNTED before they are unmounted for real
+export function unfreezeForUnmount(app) {
+  cancelExpiry(app);
+  showHiddenContainer(app);
+  app.status = MOUNTED;
+}
+
+function showHiddenContainer(app) {
+  if (app.hiddenContainer) {
+    app.hiddenContainer.domElement.style.display = app.hiddenContainer.display;
+    delete app.hiddenContainer;
+  }
+}
@@ -7,11 +7,16 @@ import {
   objectType,
   toName,
 } from "../applications/app.helpers.js";
-import { ensureValidAppTimeouts } from "../applications/timeouts.js";
+import {
+  ensureValidAppTimeouts,
+  reasonableLoadTime,
+} from "../applications/timeouts.js";
 import {
   handleAppError,
   formatErrorMessage,
 } from "../applications/app-errors.js";
+import { handleLoadError } from "../applications/load-retry.js";
+import { getAppInstance } from "../applications/instances.js";
 import {
   flattenFnArray,
   smellsLikeAPromise,
@@ -28,9 +33,10 @@ import { addProfileEntry } from "../devtools/profiler.js";
  * 否则，它将尝试加载应用程序或包裹，并处理任何加载错误。
  * 
  * @param {Object} appOrParcel - 要加载的应用程序或包裹。
+ * @param {Object=} location - 计算 props 时使用的 location，服务端渲染时传入，默认为 window.location。
  * @returns {Promise} 一个解析为加载的应用程序或包裹的Promise。
  */
-export function toLoadPromise(appOrParcel) {
+export function toLoadPromise(appOrParcel, location) {
   // 返回一个立即解析的Promise，然后执行以下操作
   return Promise.resolve().then(() => {
     // 如果appOrParcel已经有一个loadPromise，直接返回它
@@ -64,7 +70,9 @@ export function toLoadPromise(appOrParcel) {
     return (appOrParcel.loadPromise = Promise.resolve()
       .then(() => {
         // 调用appOrParcel的loadApp方法，传入应用程序的属性，获取加载Promise
-        const loadPromise = appOrParcel.loadApp(getProps(appOrParcel));
+        const loadPromise = appOrParcel.loadApp(
+          getProps(appOrParcel, location)
+        );
         // 如果loadPromise不像是一个Promise
         if (!smellsLikeAPromise(loadPromise)) {
           // 设置为用户错误
@@ -82,9 +90,11 @@ export function toLoadPromise(appOrParcel) {
           );
         }
         // 返回加载Promise的解析结果
-        return loadPromise.then((val) => {
+        // Loads that hang give up after the load timeout, and are retried like any other error
+        return reasonableLoadTime(appOrParcel, loadPromise).then((val) => {
           // 重置加载错误时间
           appOrParcel.loadErrorTime = null;
+          appOrParcel.loadAttempts = 0;
 
           // 存储加载的应用程序选项
           appOpts = val;
@@ -140,24 +150,23 @@ export function toLoadPromise(appOrParcel) {
               appOptsStr = JSON.stringify(appOpts);
             } catch {}
             // 打印错误消息
-            console.error(
-              formatErrorMessage(
-                validationErrCode,
-                __DEV__ &&
-                  `The loading function for single-spa ${type} '${toName(
-                    appOrParcel
-                  )}' resolved with the following, which does not have bootstrap, mount, and unmount functions`,
-                type,
-                toName(appOrParcel),
-                appOptsStr
-              ),
-              appOpts
+            validationErrMessage = formatErrorMessage(
+              validationErrCode,
+              __DEV__ &&
+                `The loading function for single-spa ${type} '${toName(
+                  appOrParcel
+                )}' resolved with the following, which does not have bootstrap, mount, and unmount functions`,
+              type,
+              toName(appOrParcel),
+              appOptsStr
             );
+            console.error(validationErrMessage, appOpts);
             // 处理应用程序错误
             handleAppError(
-              validationErrMessage,
+              Error(validationErrMessage),
               appOrParcel,
-              SKIP_BECAUSE_BROKEN
+              SKIP_BECAUSE_BROKEN,
+              "load"
             );
             // 返回应用程序或包裹
             return appOrParcel;
@@ -183,8 +192,27 @@ export function toLoadPromise(appOrParcel) {
           appOrParcel.unmount = flattenFnArray(appOpts, "unmount");
           // 扁平化unload函数
           appOrParcel.unload = flattenFnArray(appOpts, "unload");
+          // Applications are only updated when they export an update lifecycle
+          if (appOpts.update) {
+            appOrParcel.update = flattenFnArray(appOpts, "update");
+          }
+          // Kept alive applications that don't export these are hidden and shown instead
+          if (appOpts.deactivate) {
+            appOrParcel.deactivate = flattenFnArray(appOpts, "deactivate");
+          }
+          if (appOpts.activate) {
+            appOrParcel.activate = flattenFnArray(appOpts, "activate");
+          }
+          // renderServerSide resolves with markup instead of doing something, so it isn't flattened
+          if (typeof appOpts.renderServerSide === "function") {
+            appOrParcel.renderServerSide = appOpts.renderServerSide;
+          }
           // 确保应用程序的超时设置有效
-          appOrParcel.timeouts = ensureValidAppTimeouts(appOpts.timeouts);
+          appOrParcel.timeouts = ensureValidAppTimeouts(
+            appOpts.timeouts,
+            getAppInstance(appOrParcel),
+            appOrParcel.timeoutOverrides
+          );
 
           // 删除加载Promise
           delete appOrParcel.loadPromise;
@@ -211,19 +239,13 @@ export function toLoadPromise(appOrParcel) {
         // 删除加载Promise
         delete appOrParcel.loadPromise;
 
-        // 用于存储新的状态
-        let newStatus;
         // 如果是用户错误
         if (isUserErr) {
-          newStatus = SKIP_BECAUSE_BROKEN;
+          handleAppError(err, appOrParcel, SKIP_BECAUSE_BROKEN, "load");
         } else {
-          // 设置为加载错误状态
-          newStatus = LOAD_ERROR;
-          // 设置加载错误时间
-          appOrParcel.loadErrorTime = new Date().getTime();
+          // Network errors can be transient, so the retry policy decides between LOAD_ERROR and LOAD_FAILED
+          handleLoadError(appOrParcel, err);
         }
-        // 处理应用程序错误
-        handleAppError(err, appOrParcel, newStatus);
 
         // 如果处于开发环境且开启了性能分析
         // if (__PROFILE__) {
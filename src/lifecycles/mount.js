@@ -6,11 +6,15 @@ import {
   toName,
   isParcel,
 } from "../applications/app.helpers.js";
-import { handleAppError, transformErr } from "../applications/app-errors.js";
+import { handleAppError, throwAppError } from "../applications/app-errors.js";
 import { reasonableTime } from "../applications/timeouts.js";
 import CustomEvent from "custom-event";
 import { toUnmountPromise } from "./unmount.js";
 import { addProfileEntry } from "../devtools/profiler.js";
+import { createLayoutContainer } from "../applications/layout.js";
+import { hideStatusUI } from "../applications/status-ui.js";
+import { resetRecoveryAttempts } from "../applications/app-recovery.js";
+import { isInBrowser } from "../utils/runtime-environment.js";
 
 let beforeFirstMountFired = false;
 let firstMountFired = false;
@@ -29,18 +33,25 @@ export function toMountPromise(appOrParcel, hardFail) {
     }
 
     if (!beforeFirstMountFired) {
-      window.dispatchEvent(new CustomEvent("single-spa:before-first-mount"));
+      if (isInBrowser) {
+        window.dispatchEvent(new CustomEvent("single-spa:before-first-mount"));
+      }
       beforeFirstMountFired = true;
     }
 
     appOrParcel.status = MOUNTING;
+    createLayoutContainer(appOrParcel);
+    hideStatusUI(appOrParcel);
 
     return reasonableTime(appOrParcel, "mount")
       .then(() => {
         appOrParcel.status = MOUNTED;
+        resetRecoveryAttempts(appOrParcel);
 
         if (!firstMountFired) {
-          window.dispatchEvent(new CustomEvent("single-spa:first-mount"));
+          if (isInBrowser) {
+            window.dispatchEvent(new CustomEvent("single-spa:first-mount"));
+          }
           firstMountFired = true;
         }
 
@@ -80,11 +91,12 @@ export function toMountPromise(appOrParcel, hardFail) {
           }
 
           if (!hardFail) {
-            handleAppError(err, appOrParcel, SKIP_BECAUSE_BROKEN);
-            return appOrParcel;
+            handleAppError(err, appOrParcel, SKIP_BECAUSE_BROKEN, "mount");
           } else {
-            throw transformErr(err, appOrParcel, SKIP_BECAUSE_BROKEN);
+            throwAppError(err, appOrParcel, SKIP_BECAUSE_BROKEN, "mount");
           }
+
+          return appOrParcel;
         }
       });
   });
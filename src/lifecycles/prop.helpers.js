@@ -1,14 +1,25 @@
 import * as singleSpa from "../single-spa.js";
 import { mountParcel } from "../parcels/mount-parcel.js";
 import { assign } from "../utils/assign.js";
-import { isParcel, toName } from "../applications/app.helpers.js";
+import {
+  isParcel,
+  toName,
+  getRouteParams,
+} from "../applications/app.helpers.js";
 import { formatErrorMessage } from "../applications/app-errors.js";
+import { getHydrationProps } from "../applications/server-render.js";
+import { getLocation } from "../navigation/location-adapters.js";
+import { getAppInstance } from "../applications/instances.js";
+import { getAppSharedStore } from "../applications/shared-stores.js";
+import { createEventBus } from "../applications/event-bus.js";
 
-export function getProps(appOrParcel) {
+export function getProps(appOrParcel, location) {
+  // Server side rendering has no window, so the location to render is passed in instead
+  location = location || getLocation();
   const name = toName(appOrParcel);
   let customProps =
     typeof appOrParcel.customProps === "function"
-      ? appOrParcel.customProps(name, window.location)
+      ? appOrParcel.customProps(name, location)
       : appOrParcel.customProps;
   if (
     typeof customProps !== "object" ||
@@ -26,15 +37,42 @@ export function getProps(appOrParcel) {
       customProps
     );
   }
-  const result = assign({}, customProps, {
-    name,
-    mountParcel: mountParcel.bind(appOrParcel),
-    singleSpa,
-  });
+  if (!isParcel(appOrParcel)) {
+    // The last customProps given to the app, for start({ updateOnCustomPropsChange: true })
+    appOrParcel.customPropsResult = assign({}, customProps);
+  }
+  // assign() copies each argument into the one before it, so the props are copied one at a time to not change customProps
+  const result = assign({}, customProps);
+  assign(result, getPropHelpers(appOrParcel));
+  result.name = name;
+  // Applications of an instance made by createSingleSpa() are given that instance
+  result.singleSpa = getAppInstance(appOrParcel).api || singleSpa;
 
   if (isParcel(appOrParcel)) {
     result.unmountSelf = appOrParcel.unmountThisParcel;
+  } else {
+    // We remember the last route params given to the app to know when to call its update lifecycle
+    result.routeParams = appOrParcel.routeParams = getRouteParams(
+      appOrParcel,
+      location
+    );
+    assign(result, getHydrationProps(appOrParcel) || {});
   }
 
   return result;
 }
+
+/* The functions given as props are made once per app or parcel, so that they're the same from
+ * one lifecycle to the next, like the other props.
+ */
+function getPropHelpers(appOrParcel) {
+  if (!appOrParcel.propHelpers) {
+    appOrParcel.propHelpers = {
+      mountParcel: mountParcel.bind(appOrParcel),
+      getSharedStore: getAppSharedStore.bind(null, appOrParcel),
+      eventBus: createEventBus(appOrParcel),
+    };
+  }
+
+  return appOrParcel.propHelpers;
+}
@@ -3,18 +3,21 @@ import {
   UNLOADING,
   NOT_LOADED,
   LOAD_ERROR,
+  LOAD_FAILED,
   SKIP_BECAUSE_BROKEN,
   toName,
 } from "../applications/app.helpers.js";
 import { handleAppError } from "../applications/app-errors.js";
 import { reasonableTime } from "../applications/timeouts.js";
 import { addProfileEntry } from "../devtools/profiler.js";
+import { find } from "../utils/find.js";
+import { endAllSubscriptions } from "../applications/app-subscriptions.js";
 
-const appsToUnload = {};
+let appsToUnload = [];
 
 export function toUnloadPromise(appOrParcel) {
   return Promise.resolve().then(() => {
-    const unloadInfo = appsToUnload[toName(appOrParcel)];
+    const unloadInfo = getAppUnloadInfo(appOrParcel);
 
     if (!unloadInfo) {
       /* No one has called unloadApplication for this app,
@@ -37,10 +40,10 @@ export function toUnloadPromise(appOrParcel) {
       return unloadInfo.promise.then(() => appOrParcel);
     }
 
-    if (
-      appOrParcel.status !== NOT_MOUNTED &&
-      appOrParcel.status !== LOAD_ERROR
-    ) {
+    const failedToLoad =
+      appOrParcel.status === LOAD_ERROR || appOrParcel.status === LOAD_FAILED;
+
+    if (appOrParcel.status !== NOT_MOUNTED && !failedToLoad) {
       /* The app cannot be unloaded until it is unmounted.
        */
       return appOrParcel;
@@ -52,10 +55,9 @@ export function toUnloadPromise(appOrParcel) {
       startTime = performance.now();
     }
 
-    const unloadPromise =
-      appOrParcel.status === LOAD_ERROR
-        ? Promise.resolve()
-        : reasonableTime(appOrParcel, "unload");
+    const unloadPromise = failedToLoad
+      ? Promise.resolve()
+      : reasonableTime(appOrParcel, "unload");
 
     appOrParcel.status = UNLOADING;
 
@@ -96,14 +98,21 @@ export function toUnloadPromise(appOrParcel) {
 }
 
 function finishUnloadingApp(app, unloadInfo) {
-  delete appsToUnload[toName(app)];
+  removeAppToUnload(app);
 
   // Unloaded apps don't have lifecycles
   delete app.bootstrap;
   delete app.mount;
   delete app.unmount;
   delete app.unload;
-
+  delete app.update;
+  delete app.deactivate;
+  delete app.activate;
+  delete app.renderServerSide;
+  endAllSubscriptions(app);
+
+  // An unloaded app gets a fresh set of load attempts
+  app.loadAttempts = 0;
   app.status = NOT_LOADED;
 
   /* resolve the promise of whoever called unloadApplication.
@@ -113,25 +122,38 @@ function finishUnloadingApp(app, unloadInfo) {
 }
 
 function errorUnloadingApp(app, unloadInfo, err) {
-  delete appsToUnload[toName(app)];
+  removeAppToUnload(app);
 
   // Unloaded apps don't have lifecycles
   delete app.bootstrap;
   delete app.mount;
   delete app.unmount;
   delete app.unload;
+  delete app.update;
+  delete app.deactivate;
+  delete app.activate;
+  delete app.renderServerSide;
+  endAllSubscriptions(app);
 
-  handleAppError(err, app, SKIP_BECAUSE_BROKEN);
+  handleAppError(err, app, SKIP_BECAUSE_BROKEN, "unload");
   unloadInfo.reject(err);
 }
 
 export function addAppToUnload(app, promiseGetter, resolve, reject) {
-  appsToUnload[toName(app)] = { app, resolve, reject };
-  Object.defineProperty(appsToUnload[toName(app)], "promise", {
+  const unloadInfo = { app, resolve, reject };
+  Object.defineProperty(unloadInfo, "promise", {
     get: promiseGetter,
   });
+
+  removeAppToUnload(app);
+  appsToUnload.push(unloadInfo);
+}
+
+// Applications of different instances can have the same name, so they're looked up by the app itself
+export function getAppUnloadInfo(app) {
+  return find(appsToUnload, (unloadInfo) => unloadInfo.app === app);
 }
 
-export function getAppUnloadInfo(appName) {
-  return appsToUnload[appName];
+function removeAppToUnload(app) {
+  appsToUnload = appsToUnload.filter((unloadInfo) => unloadInfo.app !== app);
 }
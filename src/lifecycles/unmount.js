@@ -2,16 +2,24 @@ import {
   UNMOUNTING,
   NOT_MOUNTED,
   MOUNTED,
+  FROZEN,
   SKIP_BECAUSE_BROKEN,
   toName,
   isParcel,
 } from "../applications/app.helpers.js";
-import { handleAppError, transformErr } from "../applications/app-errors.js";
+import { unfreezeForUnmount } from "./deactivate.js";
+import { handleAppError, throwAppError } from "../applications/app-errors.js";
 import { reasonableTime } from "../applications/timeouts.js";
 import { addProfileEntry } from "../devtools/profiler.js";
+import { endMountedSubscriptions } from "../applications/app-subscriptions.js";
+import { removeLayoutContainer } from "../applications/layout.js";
 
 export function toUnmountPromise(appOrParcel, hardFail) {
   return Promise.resolve().then(() => {
+    if (appOrParcel.status === FROZEN) {
+      unfreezeForUnmount(appOrParcel);
+    }
+
     if (appOrParcel.status !== MOUNTED) {
       return appOrParcel;
     }
@@ -36,11 +44,20 @@ export function toUnmountPromise(appOrParcel, hardFail) {
         // There is a parcel unmount error
         return unmountAppOrParcel().then(() => {
           // Unmounting the app/parcel succeeded, but unmounting its children parcels did not
-          const parentError = Error(parcelError.message);
           if (hardFail) {
-            throw transformErr(parentError, appOrParcel, SKIP_BECAUSE_BROKEN);
+            throwAppError(
+              parcelError,
+              appOrParcel,
+              SKIP_BECAUSE_BROKEN,
+              "unmount"
+            );
           } else {
-            handleAppError(parentError, appOrParcel, SKIP_BECAUSE_BROKEN);
+            handleAppError(
+              parcelError,
+              appOrParcel,
+              SKIP_BECAUSE_BROKEN,
+              "unmount"
+            );
           }
         });
       })
@@ -50,6 +67,9 @@ export function toUnmountPromise(appOrParcel, hardFail) {
       // We always try to unmount the appOrParcel, even if the children parcels failed to unmount.
       return reasonableTime(appOrParcel, "unmount").then(
         () => {
+          endMountedSubscriptions(appOrParcel);
+          removeLayoutContainer(appOrParcel);
+
           // The appOrParcel needs to stay in a broken status if its children parcels fail to unmount
           if (!parcelError) {
             appOrParcel.status = NOT_MOUNTED;
@@ -67,6 +87,9 @@ export function toUnmountPromise(appOrParcel, hardFail) {
           }
         },
         (err) => {
+          endMountedSubscriptions(appOrParcel);
+          removeLayoutContainer(appOrParcel);
+
           if (__PROFILE__) {
             addProfileEntry(
               profileEventType,
@@ -79,9 +102,9 @@ export function toUnmountPromise(appOrParcel, hardFail) {
           }
 
           if (hardFail) {
-            throw transformErr(err, appOrParcel, SKIP_BECAUSE_BROKEN);
+            throwAppError(err, appOrParcel, SKIP_BECAUSE_BROKEN, "unmount");
           } else {
-            handleAppError(err, appOrParcel, SKIP_BECAUSE_BROKEN);
+            handleAppError(err, appOrParcel, SKIP_BECAUSE_BROKEN, "unmount");
           }
         }
       );
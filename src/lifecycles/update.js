@@ -4,15 +4,17 @@ import {
   SKIP_BECAUSE_BROKEN,
   toName,
   isParcel,
+  objectType,
 } from "../applications/app.helpers.js";
 import {
-  transformErr,
+  handleAppError,
+  throwAppError,
   formatErrorMessage,
 } from "../applications/app-errors.js";
 import { reasonableTime } from "../applications/timeouts.js";
 import { addProfileEntry } from "../devtools/profiler.js";
 
-export function toUpdatePromise(appOrParcel) {
+export function toUpdatePromise(appOrParcel, hardFail) {
   return Promise.resolve().then(() => {
     let startTime, profileEventType;
 
@@ -26,7 +28,7 @@ export function toUpdatePromise(appOrParcel) {
         formatErrorMessage(
           32,
           __DEV__ &&
-            `Cannot update parcel '${toName(
+            `Cannot update ${objectType(appOrParcel)} '${toName(
               appOrParcel
             )}' because it is not mounted`,
           toName(appOrParcel)
@@ -65,7 +67,13 @@ export function toUpdatePromise(appOrParcel) {
           );
         }
 
-        throw transformErr(err, appOrParcel, SKIP_BECAUSE_BROKEN);
+        if (hardFail) {
+          throwAppError(err, appOrParcel, SKIP_BECAUSE_BROKEN, "update");
+        } else {
+          handleAppError(err, appOrParcel, SKIP_BECAUSE_BROKEN, "update");
+        }
+
+        return appOrParcel;
       });
   });
 }
@@ -0,0 +1,221 @@
+import { formatErrorMessage } from "../applications/app-errors.js";
+import { originalReplaceState, parseUri } from "./navigation-events.js";
+import { isInBrowser } from "../utils/runtime-environment.js";
+
+/* A location adapter is where single-spa reads the current url from, and how it changes it:
+ *
+ * - getLocation() returns an object with the same url properties as window.location
+ * - replace(url) changes the url without a reroute, for canceled navigations and redirects
+ * - navigate(url), optional, is what navigateToUrl does. Without it, navigateToUrl uses the history api
+ * - listen(listener), optional, is called by start() with a function to call after every navigation.
+ *   Without it, start() patches the history api to find out about navigations
+ */
+const browserLocation = createBrowserLocation();
+
+let locationAdapter = browserLocation;
+
+// Called by start()
+export function setLocationAdapter(adapter) {
+  if (!adapter) {
+    locationAdapter = browserLocation;
+    return;
+  }
+
+  if (
+    typeof adapter !== "object" ||
+    typeof adapter.getLocation !== "function" ||
+    typeof adapter.replace !== "function"
+  ) {
+    throw Error(
+      formatErrorMessage(
+        59,
+        __DEV__ &&
+          `start() was called with an invalid locationAdapter. A location adapter must be an object with getLocation and replace functions`
+      )
+    );
+  }
+
+  locationAdapter = adapter;
+}
+
+export function getLocationAdapter() {
+  return locationAdapter;
+}
+
+/* Outside of the browser, there's no url to route on until start() is given a location
+ * adapter, like a memory location, that doesn't need window.
+ */
+export function canReroute() {
+  return isInBrowser || locationAdapter !== browserLocation;
+}
+
+// What activity functions, customProps functions and routing events see as the current location
+export function getLocation() {
+  return locationAdapter.getLocation();
+}
+
+export function createBrowserLocation() {
+  return {
+    getLocation() {
+      return window.location;
+    },
+    replace(url) {
+      originalReplaceState.call(window.history, window.history.state, "", url);
+    },
+  };
+}
+
+/* Keeps the url in the hash fragment, for environments like embedded webviews whose real url
+ * uses a custom scheme that doesn't make sense to route on. The location that is seen by
+ * activity functions is the hash fragment as if it were the url, so "#/users?id=1" has
+ * "/users" as its pathname. Hash changes are picked up by patching the history api, as usual.
+ */
+export function createHashLocation() {
+  return {
+    getLocation() {
+      return toLocation(window.location.hash.slice(1) || "/");
+    },
+    navigate(url) {
+      window.location.hash = toHashRoute(url);
+    },
+    replace(url) {
+      originalReplaceState.call(
+        window.history,
+        window.history.state,
+        "",
+        "#" + toHashRoute(url)
+      );
+    },
+  };
+}
+
+function toHashRoute(url) {
+  if (url.indexOf("#") === 0) {
+    return url.slice(1);
+  }
+
+  // Full urls, like an <a> tag's href, have the route in their hash
+  const parsed = parseUri(url);
+  return parsed.hash ? parsed.hash.slice(1) : url;
+}
+
+/* Keeps the url and history entries in memory without touching window.location or the history
+ * api, which is useful in tests and anywhere else that there's no real url to route on.
+ */
+export function createMemoryLocation(initialUrl) {
+  let entries = [toLocation(initialUrl || "/").href],
+    index = 0,
+    listeners = [];
+
+  const adapter = {
+    getLocation() {
+      return toLocation(entries[index]);
+    },
+    navigate(url) {
+      entries = entries.slice(0, index + 1).concat(resolveUrl(url));
+      index++;
+      notifyListeners();
+    },
+    replace(url) {
+      entries[index] = resolveUrl(url);
+    },
+    go(delta) {
+      const newIndex = Math.min(Math.max(index + delta, 0), entries.length - 1);
+
+      if (newIndex !== index) {
+        index = newIndex;
+        notifyListeners();
+      }
+    },
+    back() {
+      adapter.go(-1);
+    },
+    forward() {
+      adapter.go(1);
+    },
+    listen(listener) {
+      listeners.push(listener);
+
+      return function unlisten() {
+        listeners = listeners.filter((l) => l !== listener);
+      };
+    },
+  };
+
+  return adapter;
+
+  function resolveUrl(url) {
+    return toLocation(url, entries[index]).href;
+  }
+
+  function notifyListeners() {
+    listeners.forEach((listener) => listener());
+  }
+}
+
+/* A Location like object for the url, with the same url properties as window.location. Urls
+ * without an origin are given a made up one, since only the rest of the url is routed on.
+ */
+export function toLocation(url, base) {
+  base = base || "http://localhost";
+
+  // NodeJS doesn't have a document to parse with, but it does have URL
+  if (!isInBrowser) {
+    const parsed = new URL(url, base);
+
+    return {
+      href: parsed.href,
+      origin: parsed.origin,
+      protocol: parsed.protocol,
+      host: parsed.host,
+      hostname: parsed.hostname,
+      port: parsed.port,
+      pathname: parsed.pathname,
+      search: parsed.search,
+      hash: parsed.hash,
+    };
+  }
+
+  const anchor = parseUriWithBase(url, base);
+  // IE11 gives the default port, and no leading slash for the pathname
+  const port =
+    (anchor.protocol === "http:" && anchor.port === "80") ||
+    (anchor.protocol === "https:" && anchor.port === "443")
+      ? ""
+      : anchor.port;
+  const host = anchor.hostname + (port ? ":" + port : "");
+
+  return {
+    href: anchor.href,
+    origin: anchor.protocol + "//" + host,
+    protocol: anchor.protocol,
+    host,
+    hostname: anchor.hostname,
+    port,
+    pathname:
+      anchor.pathname.charAt(0) === "/"
+        ? anchor.pathname
+        : "/" + anchor.pathname,
+    search: anchor.search,
+    hash: anchor.hash,
+  };
+}
+
+let baseElement, anchor;
+
+/* Like parseUri, but relative urls are resolved against the base instead of the page's url.
+ * The URL constructor would do this, but IE11 doesn't have it. getLocation() is called on
+ * every reroute, so the document to parse with is only created once.
+ */
+function parseUriWithBase(url, base) {
+  if (!anchor) {
+    const doc = document.implementation.createHTMLDocument("");
+    baseElement = doc.createElement("base");
+    doc.head.appendChild(baseElement);
+    anchor = doc.createElement("a");
+  }
+
+  baseElement.href = base;
+  anchor.href = url;
+  return anchor;
+}
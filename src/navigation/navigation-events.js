@@ -2,6 +2,8 @@ import { reroute } from "./reroute.js";
 import { find } from "../utils/find.js";
 import { formatErrorMessage } from "../applications/app-errors.js";
 import { isInBrowser } from "../utils/runtime-environment.js";
+import { toBrowserUrl } from "./routing-mode.js";
+import { getLocationAdapter } from "./location-adapters.js";
 
 /* We capture navigation event listeners so that we can make sure
  * that application navigation listeners are not called until
@@ -15,10 +17,13 @@ const capturedEventListeners = {
 
 export const routingEventsListeningTo = ["hashchange", "popstate"];
 
+export const navigationStrategies = ["history-api", "navigation-api"];
+
 export function navigateToUrl(obj) {
   let url;
   if (typeof obj === "string") {
-    url = obj;
+    // Only strings can be relative to the routing mode, since an <a> tag's href is always a full url
+    url = toBrowserUrl(obj);
   } else if (this && this.href) {
     url = this.href;
   } else if (
@@ -39,6 +44,13 @@ export function navigateToUrl(obj) {
     );
   }
 
+  // Adapters that don't use the browser's url decide for themselves how to navigate
+  const locationAdapter = getLocationAdapter();
+  if (locationAdapter.navigate) {
+    locationAdapter.navigate(url);
+    return;
+  }
+
   const current = parseUri(window.location.href);
   const destination = parseUri(url);
 
@@ -172,7 +184,27 @@ export function patchHistoryApi(opts) {
   urlRerouteOnly =
     opts && opts.hasOwnProperty("urlRerouteOnly") ? opts.urlRerouteOnly : true;
 
+  const navigationStrategy = (opts && opts.navigationStrategy) || "history-api";
+  if (navigationStrategies.indexOf(navigationStrategy) < 0) {
+    throw Error(
+      formatErrorMessage(
+        50,
+        __DEV__ &&
+          `single-spa: navigationStrategy must be one of ${navigationStrategies.join(
+            ", "
+          )}, but was '${navigationStrategy}'`,
+        navigationStrategy
+      )
+    );
+  }
+
   historyApiIsPatched = true;
+
+  // Browsers without the Navigation API fall back to patching the history api
+  if (navigationStrategy === "navigation-api" && window.navigation) {
+    listenToNavigationApi();
+    return;
+  }
   
   // 保存原始的 window.history.replaceState 方法，以便后续调用
   originalReplaceState = window.history.replaceState;
@@ -222,6 +254,44 @@ export function patchHistoryApi(opts) {
   );
 }
 
+let ignoreNavigateEvents = false;
+
+/* The Navigation API tells us about every same-document navigation (pushState, replaceState,
+ * hash changes and back/forward) through a single navigate event, so nothing on window has to
+ * be monkeypatched. Applications' popstate and hashchange listeners are therefore not delayed
+ * until the reroute is finished, like they are when the history api is patched.
+ */
+function listenToNavigationApi() {
+  const nativeReplaceState = window.history.replaceState;
+
+  // Canceled navigations are reverted with replaceState, which must not cause yet another reroute
+  originalReplaceState = function () {
+    ignoreNavigateEvents = true;
+    try {
+      return nativeReplaceState.apply(this, arguments);
+    } finally {
+      ignoreNavigateEvents = false;
+    }
+  };
+
+  window.navigation.addEventListener("navigate", (evt) => {
+    if (
+      ignoreNavigateEvents ||
+      !evt.canIntercept ||
+      // Navigations to other documents (like normal link clicks) unload the page, just like without single-spa
+      !evt.destination.sameDocument ||
+      (urlRerouteOnly && evt.destination.url === window.location.href)
+    ) {
+      return;
+    }
+
+    // Holds the navigation (and navigation.transition) until the apps are mounted and unmounted
+    evt.intercept({
+      handler: () => reroute([], [evt]),
+    });
+  });
+}
+
 // Detect if single-spa has already been loaded on the page.
 // If so, warn because this can result in lots of problems, including
 // lots of extraneous popstate events and unexpected results for
@@ -243,7 +313,7 @@ if (isInBrowser) {
   }
 }
 
-function parseUri(str) {
+export function parseUri(str) {
   const anchor = document.createElement("a");
   anchor.href = str;
   return anchor;
@@ -0,0 +1,72 @@
+import { formatErrorMessage } from "../applications/app-errors.js";
+import { pathToRouteMatcher } from "../applications/apps.js";
+
+// A redirect that leads to another redirect is fine, but not forever
+export const maxRedirects = 10;
+
+let redirects = [];
+
+/* Called by start(). The keys of the redirects object are matched exactly against the url,
+ * with the same syntax and routing mode as activeWhen paths. The values are either the url
+ * to redirect to, in which the route params of the key can be used (`/users/:id`), or a
+ * function that is given the route params and location and returns the url to redirect to,
+ * or nothing to not redirect.
+ */
+export function setRedirects(redirectsConfig) {
+  if (!redirectsConfig) {
+    redirects = [];
+    return;
+  }
+
+  if (typeof redirectsConfig !== "object" || Array.isArray(redirectsConfig)) {
+    throwInvalidRedirect("redirects");
+  }
+
+  redirects = Object.keys(redirectsConfig).map((path) => {
+    const to = redirectsConfig[path];
+
+    if (typeof to !== "string" && typeof to !== "function") {
+      throwInvalidRedirect(path);
+    }
+
+    return { routeMatcher: pathToRouteMatcher(path, true), to };
+  });
+}
+
+function throwInvalidRedirect(path) {
+  throw Error(
+    formatErrorMessage(
+      53,
+      __DEV__ &&
+        `start() was called with an invalid redirect for '${path}'. redirects must be an object whose values are urls or functions`,
+      path
+    )
+  );
+}
+
+// Returns the url that the location redirects to, or null
+export function getRedirectUrl(location) {
+  for (let i = 0; i < redirects.length; i++) {
+    const params = redirects[i].routeMatcher(location);
+
+    if (params) {
+      const to = redirects[i].to;
+      const url =
+        typeof to === "function"
+          ? to(params, location)
+          : fillParams(to, params);
+
+      if (url) {
+        return url;
+      }
+    }
+  }
+
+  return null;
+}
+
+function fillParams(url, params) {
+  return url.replace(/:([\w-]+)/g, (param, name) =>
+    params.hasOwnProperty(name) ? encodeURIComponent(params[name]) : param
+  );
+}
@@ -4,21 +4,24 @@ import { toLoadPromise } from "../lifecycles/load.js";
 import { toBootstrapPromise } from "../lifecycles/bootstrap.js";
 import { toMountPromise } from "../lifecycles/mount.js";
 import { toUnmountPromise } from "../lifecycles/unmount.js";
+import { toUpdatePromise } from "../lifecycles/update.js";
+import {
+  toDeactivatePromise,
+  toActivatePromise,
+} from "../lifecycles/deactivate.js";
 import {
   getAppStatus,
   getAppChanges,
   getMountedApps,
 } from "../applications/apps.js";
-import {
-  callCapturedEventListeners,
-  originalReplaceState,
-} from "./navigation-events.js";
+import { callCapturedEventListeners } from "./navigation-events.js";
 import { toUnloadPromise } from "../lifecycles/unload.js";
 import {
   toName,
   shouldBeActive,
   NOT_MOUNTED,
   MOUNTED,
+  FROZEN,
   NOT_LOADED,
   SKIP_BECAUSE_BROKEN,
 } from "../applications/app.helpers.js";
@@ -26,10 +29,21 @@ import { assign } from "../utils/assign.js";
 import { isInBrowser } from "../utils/runtime-environment.js";
 import { formatErrorMessage } from "../applications/app-errors.js";
 import { addProfileEntry } from "../devtools/profiler.js";
+import { toAppUrl, toBrowserUrl } from "./routing-mode.js";
+import { getRedirectUrl, maxRedirects } from "./redirects.js";
+import { evaluateRouteGuards, findRefusedApps } from "./route-guards.js";
+import { createTransition } from "./transitions.js";
+import { getLocation, getLocationAdapter } from "./location-adapters.js";
+import { getAppInstance, getInstances } from "../applications/instances.js";
+import { abortLifecycle } from "../applications/timeouts.js";
+import { scheduleLoadingUI } from "../applications/status-ui.js";
+import { updatePlaceholders } from "../applications/layout.js";
+import { reportWarning } from "../applications/reporter.js";
 
 let appChangeUnderway = false,
   peopleWaitingOnAppChange = [],
-  currentUrl = isInBrowser && window.location.href;
+  // Outside of the browser, the first url comes from the location adapter that start() is given
+  currentUrl = isInBrowser ? window.location.href : null;
 
 export function triggerAppChange() {
   // Call reroute with no arguments, intentionally
@@ -39,8 +53,12 @@ export function triggerAppChange() {
 export function reroute(
   pendingPromises = [],
   eventArguments,
-  silentNavigation = false
+  silentNavigation = false,
+  redirectCount = 0
 ) {
+  // Even when this reroute has to wait on the current one, it can tell apps that they're no longer wanted
+  abortSupersededLifecycles();
+
   // 如果正在进行应用程序更改，则返回一个新的 Promise，将其 resolve 和 reject 函数添加到 peopleWaitingOnAppChange 数组中
   if (appChangeUnderway) {
     return new Promise((resolve, reject) => {
@@ -73,12 +91,21 @@ export function reroute(
    * @param {*} appsToUnload - 这些是需要加载的应用。这些应用当前处于未加载状态（NOT_LOADED），由于路由变化，它们需要被加载并可能随后被挂载。
    * @param {*} appsToMount - 这些是需要挂载的应用。这些应用已经被加载（可能在之前的路由变化中加载），但由于路由变化，它们现在需要被挂载到 DOM 中。
    */
-  const { appsToUnload, appsToUnmount, appsToLoad, appsToMount } =
-    getAppChanges();
+  const {
+    appsToUnload,
+    appsToUnmount,
+    appsToLoad,
+    appsToMount,
+    appsToUpdate,
+    appsToFreeze,
+    appsToThaw,
+  } = getAppChanges();
   let appsThatChanged,
     cancelPromises = [],
-    oldUrl = currentUrl,
-    newUrl = (currentUrl = window.location.href);
+    redirectUrl = null,
+    newUrl = getLocation().href,
+    oldUrl = currentUrl === null ? newUrl : currentUrl;
+  currentUrl = newUrl;
 
   // 如果 single-spa 已经启动，则执行应用程序更改
   if (isStarted()) {
@@ -86,7 +113,9 @@ export function reroute(
     appsThatChanged = appsToUnload.concat(
       appsToLoad,
       appsToUnmount,
-      appsToMount
+      appsToMount,
+      appsToFreeze,
+      appsToThaw
     );
     return performAppChanges();
   } else {
@@ -106,16 +135,19 @@ export function reroute(
       typeof val?.then === "function" ? val : Promise.resolve(val);
     cancelPromises.push(
       promise.catch((err) => {
-        console.warn(
-          Error(
-            formatErrorMessage(
-              42,
-              __DEV__ &&
-                `single-spa: A cancelNavigation promise rejected with the following value: ${err}`
-            )
-          )
+        const warning = formatErrorMessage(
+          42,
+          __DEV__ &&
+            `single-spa: A cancelNavigation promise rejected with the following value: ${err}`
         );
+        console.warn(Error(warning));
         console.warn(err);
+        reportWarning({
+          kind: "cancel-navigation-rejected",
+          code: 42,
+          message: warning,
+          error: err,
+        });
 
         // 将 Promise 拒绝解释为导航不应取消
         return false;
@@ -123,6 +155,22 @@ export function reroute(
     );
   }
 
+  // Last one wins when several before-routing-event listeners want to redirect
+  function redirect(url) {
+    redirectUrl = url;
+  }
+
+  /* Silently replaces the url and starts over, so that the apps, guards and events
+   * all see the redirected url as the new one and the url before this navigation as the old one.
+   */
+  function performRedirect(url) {
+    getLocationAdapter().replace(toBrowserUrl(url));
+    currentUrl = oldUrl;
+    appChangeUnderway = false;
+
+    return reroute(pendingPromises, eventArguments, false, redirectCount + 1);
+  }
+
   /**
    * 加载应用程序
    * @returns {Promise} 加载应用程序的 Promise
@@ -174,6 +222,14 @@ export function reroute(
   function performAppChanges() {
     // 使用 Promise.resolve().then() 来确保异步操作按顺序执行
     return Promise.resolve().then(() => {
+      // Redirects declared in start() happen before any events are fired for the url being redirected
+      if (!silentNavigation) {
+        redirectUrl = getRedirectUrl(getLocation());
+      }
+      if (redirectUrl !== null && redirectCount < maxRedirects) {
+        return performRedirect(redirectUrl);
+      }
+
       // 触发 before-no-app-change 或 before-app-change 事件
       fireSingleSpaEvent(
         appsThatChanged.length === 0
@@ -185,29 +241,90 @@ export function reroute(
       // 触发 before-routing-event 事件
       fireSingleSpaEvent(
         "before-routing-event",
-        getCustomEventDetail(true, { cancelNavigation })
+        getCustomEventDetail(true, { cancelNavigation, redirect })
       );
 
+      if (redirectUrl !== null && redirectCount >= maxRedirects) {
+        const warning = formatErrorMessage(
+          54,
+          __DEV__ &&
+            `single-spa: Navigation was redirected more than ${maxRedirects} times in a row, so it was canceled. Check your redirects for a loop.`,
+          maxRedirects
+        );
+        console.warn(warning);
+        reportWarning({
+          kind: "redirect-loop",
+          code: 54,
+          message: warning,
+          oldUrl,
+          newUrl,
+        });
+        redirectUrl = null;
+        cancelNavigation();
+      }
+
+      /* The applications' route guards cancel the navigation just like cancelNavigation does.
+       * Going back to the old url after a blocked navigation must always be possible,
+       * so during silent navigation the apps whose canMount refuses stay unmounted instead.
+       */
+      const appsToActivate = appsToLoad.concat(
+        appsToMount.filter((app) => appsToLoad.indexOf(app) < 0)
+      );
+      let blockedDetail = null,
+        refusedAppsPromise = Promise.resolve([]);
+      if (silentNavigation) {
+        refusedAppsPromise = findRefusedApps(
+          appsToActivate.concat(appsToThaw),
+          toAppUrl(oldUrl),
+          toAppUrl(newUrl)
+        );
+      } else if (redirectUrl === null) {
+        cancelNavigation(
+          // Frozen apps keep their state, so only their canMount guard is asked
+          evaluateRouteGuards(
+            appsToUnmount,
+            appsToActivate.concat(appsToThaw),
+            toAppUrl(oldUrl),
+            toAppUrl(newUrl)
+          ).then((detail) => {
+            blockedDetail = detail;
+            return detail !== null;
+          })
+        );
+      }
+
       // 等待所有取消导航的 Promise 完成
-      return Promise.all(cancelPromises).then((cancelValues) => {
+      return Promise.all([
+        Promise.all(cancelPromises),
+        refusedAppsPromise,
+      ]).then(([cancelValues, refusedApps]) => {
         // 检查是否有任何导航被取消
         const navigationIsCanceled = cancelValues.some((v) => v);
 
         if (navigationIsCanceled) {
           // 将 URL 更改回旧 URL，不触发正常的 single-spa 重路由
-          originalReplaceState.call(
-            window.history,
-            history.state,
-            "",
-            oldUrl.substring(location.origin.length)
+          getLocationAdapter().replace(
+            oldUrl.substring(getLocation().origin.length)
           );
 
           // single-spa 内部对当前 URL 的跟踪需要在上述 URL 更改后更新
-          currentUrl = location.href;
+          currentUrl = getLocation().href;
 
           // 必要的，以便 reroute 函数知道当前的 reroute 已完成
           appChangeUnderway = false;
 
+          if (blockedDetail) {
+            fireSingleSpaEvent("navigation-blocked", { detail: blockedDetail });
+          }
+
+          reportWarning({
+            kind: "navigation-canceled",
+            oldUrl,
+            newUrl,
+            // The app whose route guard blocked the navigation, if it was one
+            blockedBy: blockedDetail ? blockedDetail.appName : null,
+          });
+
           if (__PROFILE__) {
             addProfileEntry(
               "routing",
@@ -223,20 +340,48 @@ export function reroute(
           return reroute(pendingPromises, eventArguments, true);
         }
 
+        if (redirectUrl !== null) {
+          return performRedirect(redirectUrl);
+        }
+
         // 创建卸载和卸载应用程序的 Promise 数组
         const unloadPromises = appsToUnload.map(toUnloadPromise);
 
+        const isAllowed = (app) => refusedApps.indexOf(app) < 0;
+
+        const transition = createTransition(
+          appsToUnmount.concat(appsToFreeze),
+          appsToActivate.concat(appsToThaw).filter(isAllowed)
+        );
+
         // 创建卸载和卸载应用程序的 Promise 数组
         const unmountUnloadPromises = appsToUnmount
-          .map(toUnmountPromise)
+          .map((app) =>
+            transition
+              ? transition.finished.then(() => toUnmountPromise(app))
+              : toUnmountPromise(app)
+          )
           .map((unmountPromise) => unmountPromise.then(toUnloadPromise));
 
+        // Kept alive apps are frozen instead of unmounted, but otherwise leave just like them
+        const freezePromises = appsToFreeze.map((app) =>
+          transition
+            ? transition.finished.then(() => toDeactivatePromise(app))
+            : toDeactivatePromise(app)
+        );
+
         // 合并卸载和卸载应用程序的 Promise 数组
-        const allUnmountPromises = unmountUnloadPromises.concat(unloadPromises);
+        const allUnmountPromises = unmountUnloadPromises.concat(
+          unloadPromises,
+          freezePromises
+        );
 
         // 创建一个 Promise，等待所有应用程序卸载完成
         const unmountAllPromise = Promise.all(allUnmountPromises);
 
+        // During a transition, the incoming apps don't wait on the outgoing ones
+        const mountGate = transition ? Promise.resolve() : unmountAllPromise;
+
         let unmountFinishedTime;
 
         // 当所有应用程序卸载完成时，触发 before-mount-routing-event 事件
@@ -254,10 +399,12 @@ export function reroute(
                 true
               );
             }
-            fireSingleSpaEvent(
-              "before-mount-routing-event",
-              getCustomEventDetail(true)
-            );
+            if (!transition) {
+              fireSingleSpaEvent(
+                "before-mount-routing-event",
+                getCustomEventDetail(true)
+              );
+            }
           },
           (err) => {
             if (__PROFILE__) {
@@ -275,12 +422,26 @@ export function reroute(
           }
         );
 
+        if (transition) {
+          fireSingleSpaEvent(
+            "before-mount-routing-event",
+            getCustomEventDetail(true)
+          );
+        }
+
+        // Apps that take a while to load, bootstrap and mount show their loadingUI
+        appsToLoad
+          .concat(appsToMount)
+          .filter(isAllowed)
+          .forEach(scheduleLoadingUI);
+
         /* 我们在其他应用程序卸载时加载和引导应用程序，但我们
          * 等到所有应用程序卸载完成后再挂载应用程序
          */
+
         const loadThenMountPromises = appsToLoad.map((app) => {
           return toLoadPromise(app).then((app) =>
-            tryToBootstrapAndMount(app, unmountAllPromise)
+            isAllowed(app) ? tryToBootstrapAndMount(app, mountGate) : app
           );
         });
 
@@ -288,10 +449,39 @@ export function reroute(
          * 挂载的应用程序。它们都等待所有卸载的应用程序完成后再挂载。
          */
         const mountPromises = appsToMount
-          .filter((appToMount) => appsToLoad.indexOf(appToMount) < 0)
+          .filter(
+            (appToMount) =>
+              appsToLoad.indexOf(appToMount) < 0 && isAllowed(appToMount)
+          )
           .map((appToMount) => {
-            return tryToBootstrapAndMount(appToMount, unmountAllPromise);
+            return tryToBootstrapAndMount(appToMount, mountGate);
           });
+
+        const thawPromises = appsToThaw
+          .filter(isAllowed)
+          .map((appToThaw) =>
+            mountGate.then(() =>
+              shouldBeActive(appToThaw)
+                ? toActivatePromise(appToThaw)
+                : appToThaw
+            )
+          );
+
+        if (transition) {
+          transition.run(
+            Promise.all(
+              loadThenMountPromises.concat(mountPromises, thawPromises)
+            )
+          );
+        }
+
+        /* Apps that stay mounted are updated once the unmounts are done, so that they
+         * don't render for the new route before the outgoing apps are gone. During a
+         * transition, they are updated along with the incoming apps being mounted.
+         */
+        const updatePromises = appsToUpdate.map((appToUpdate) =>
+          mountGate.then(() => tryToUpdate(appToUpdate))
+        );
         return unmountAllPromise
           .catch((err) => {
             callAllEventListeners();
@@ -304,7 +494,13 @@ export function reroute(
              */
             callAllEventListeners();
 
-            return Promise.all(loadThenMountPromises.concat(mountPromises))
+            return Promise.all(
+              loadThenMountPromises.concat(
+                mountPromises,
+                thawPromises,
+                updatePromises
+              )
+            )
               .catch((err) => {
                 pendingPromises.forEach((promise) => promise.reject(err));
                 throw err;
@@ -352,6 +548,10 @@ export function reroute(
         appsThatChanged.length === 0 ? "no-app-change" : "app-change";
       fireSingleSpaEvent(appChangeEventName, getCustomEventDetail());
       fireSingleSpaEvent("routing-event", getCustomEventDetail());
+
+      if (silentNavigation && isInBrowser) {
+        updatePlaceholders();
+      }
     } catch (err) {
       /* We use a setTimeout because if someone else's event handler throws an error, single-spa
        * needs to carry on. If a listener to the event throws an error, it's their own fault, not
@@ -420,12 +620,17 @@ export function reroute(
       [NOT_LOADED]: [],
       // apps that attempted to do something but are broken now
       [SKIP_BECAUSE_BROKEN]: [],
+      // kept alive apps that were deactivated instead of unmounted
+      [FROZEN]: [],
     };
 
     if (isBeforeChanges) {
-      appsToLoad.concat(appsToMount).forEach((app, index) => {
+      appsToLoad.concat(appsToMount, appsToThaw).forEach((app, index) => {
         addApp(app, MOUNTED);
       });
+      appsToFreeze.forEach((app) => {
+        addApp(app, FROZEN);
+      });
       appsToUnload.forEach((app) => {
         addApp(app, NOT_LOADED);
       });
@@ -444,8 +649,9 @@ export function reroute(
         appsByNewStatus,
         totalAppChanges: appsThatChanged.length,
         originalEvent: eventArguments?.[0],
-        oldUrl,
-        newUrl,
+        // Relative to the routing mode and base path, when start() was given them
+        oldUrl: toAppUrl(oldUrl),
+        newUrl: toAppUrl(newUrl),
       },
     };
 
@@ -468,7 +674,7 @@ export function reroute(
   function fireSingleSpaEvent(name, eventProperties) {
     // During silent navigation (caused by navigation cancelation), we should not
     // fire any single-spa events
-    if (!silentNavigation) {
+    if (!silentNavigation && isInBrowser) {
       window.dispatchEvent(
         new CustomEvent(`single-spa:${name}`, eventProperties)
       );
@@ -484,7 +690,8 @@ export function reroute(
  * https://github.com/single-spa/single-spa/issues/524
  */
 function tryToBootstrapAndMount(app, unmountAllPromise) {
-  if (shouldBeActive(app)) {
+  // Applications of an instance that hasn't been started are only loaded
+  if (shouldBeActive(app) && getAppInstance(app).started) {
     return toBootstrapPromise(app).then((app) =>
       unmountAllPromise.then(() =>
         shouldBeActive(app) ? toMountPromise(app) : app
@@ -494,3 +701,27 @@ function tryToBootstrapAndMount(app, unmountAllPromise) {
     return unmountAllPromise.then(() => app);
   }
 }
+
+/* A fast back-button press can leave an app mounting for a url that's already gone. Its signal
+ * prop is aborted so that it can stop its fetches and rendering.
+ */
+function abortSupersededLifecycles() {
+  getInstances().forEach((instance) => {
+    instance.apps.forEach((app) => {
+      if (
+        app.runningLifecycle &&
+        !app.preloadingBootstrap &&
+        !shouldBeActive(app)
+      ) {
+        abortLifecycle(app);
+      }
+    });
+  });
+}
+
+// The app may have been unmounted or have stopped being active since the reroute started
+function tryToUpdate(app) {
+  return app.status === MOUNTED && shouldBeActive(app)
+    ? toUpdatePromise(app)
+    : app;
+}
@@ -0,0 +1,95 @@
+import { toName } from "../applications/app.helpers.js";
+import { formatErrorMessage } from "../applications/app-errors.js";
+import { find } from "../utils/find.js";
+
+export const guardNames = ["canMount", "canUnmount"];
+
+let guardMaxTime = 10000;
+
+export function setGuardMaxTime(time) {
+  if (typeof time !== "number" || time <= 0) {
+    throw Error(
+      formatErrorMessage(
+        51,
+        __DEV__ &&
+          `guard max time must be a positive integer number of milliseconds`
+      )
+    );
+  }
+
+  guardMaxTime = time;
+}
+
+/* Called by performAppChanges before anything is unmounted or mounted. Resolves with the
+ * detail of the single-spa:navigation-blocked event when a guard blocks the navigation,
+ * or with null when the navigation may continue.
+ *
+ * A guard blocks the navigation by resolving with false, by throwing, or by not deciding
+ * before the guard max time. Blocking is the safe choice in all of those cases, since
+ * letting the navigation through could throw away the user's unsaved work.
+ */
+export function evaluateRouteGuards(
+  appsToUnmount,
+  appsToMount,
+  oldUrl,
+  newUrl
+) {
+  const guardPromises = appsToUnmount
+    .map((app) => runGuard(app, "canUnmount", oldUrl, newUrl))
+    .concat(
+      appsToMount.map((app) => runGuard(app, "canMount", oldUrl, newUrl))
+    );
+
+  return Promise.all(guardPromises).then(
+    (results) => find(results, (result) => result !== null) || null
+  );
+}
+
+/* Called by performAppChanges during silent navigation, which can't be canceled since it goes
+ * back to the url before a canceled navigation. Resolves with the apps whose canMount guard
+ * refuses, which stay unmounted instead.
+ */
+export function findRefusedApps(appsToMount, oldUrl, newUrl) {
+  return Promise.all(
+    appsToMount.map((app) => runGuard(app, "canMount", oldUrl, newUrl))
+  ).then((results) => appsToMount.filter((app, index) => results[index]));
+}
+
+function runGuard(app, guardName, oldUrl, newUrl) {
+  const guard = app[guardName];
+
+  if (!guard) {
+    return Promise.resolve(null);
+  }
+
+  const appName = toName(app);
+
+  return new Promise((resolve) => {
+    const timeout = setTimeout(() => {
+      resolve(blocked("timeout"));
+    }, guardMaxTime);
+
+    // The guard could throw synchronously or return a non-promise
+    new Promise((resolveGuard) => {
+      resolveGuard(guard({ appName, oldUrl, newUrl }));
+    })
+      .then(
+        (allowed) => (allowed === false ? blocked("rejected") : null),
+        (err) => blocked("error", err)
+      )
+      .then((result) => {
+        clearTimeout(timeout);
+        resolve(result);
+      });
+  });
+
+  function blocked(reason, error) {
+    const detail = { appName, guard: guardName, reason, oldUrl, newUrl };
+
+    if (error !== undefined) {
+      detail.error = error;
+    }
+
+    return detail;
+  }
+}
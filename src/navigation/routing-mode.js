@@ -0,0 +1,133 @@
+import { formatErrorMessage } from "../applications/app-errors.js";
+import { parseUri } from "./navigation-events.js";
+
+export const routingModes = ["history", "hash"];
+
+let routingMode = "history",
+  basePath = "";
+
+/* Called by start(). With the "hash" routing mode, path based activeWhen strings are matched
+ * against the url's hash fragment instead of its pathname. The basePath is stripped off
+ * whatever is matched, so that the same activeWhen strings work no matter where the root
+ * config is deployed.
+ */
+export function setRoutingOptions(opts) {
+  const newRoutingMode = (opts && opts.routingMode) || "history";
+  const newBasePath = (opts && opts.basePath) || "";
+
+  if (routingModes.indexOf(newRoutingMode) < 0) {
+    throwInvalidOption("routingMode");
+  }
+
+  if (typeof newBasePath !== "string") {
+    throwInvalidOption("basePath");
+  }
+
+  routingMode = newRoutingMode;
+  basePath = normalizeBasePath(newBasePath);
+}
+
+function throwInvalidOption(optionName) {
+  throw Error(
+    formatErrorMessage(
+      49,
+      __DEV__ &&
+        `start() was called with an invalid ${optionName}. routingMode must be one of ${routingModes.join(
+          ", "
+        )} and basePath must be a string`,
+      optionName
+    )
+  );
+}
+
+// Without a basePath in history mode, urls are left exactly as they were before routing modes existed
+function isRoutingRelative() {
+  return routingMode === "hash" || Boolean(basePath);
+}
+
+/* Returns the part of a location that path based activeWhen strings are matched against,
+ * or null when the location is outside of the basePath.
+ */
+export function getAppRoute(location) {
+  let route;
+
+  if (routingMode === "hash") {
+    route = location.hash.slice(1);
+    if (route[0] !== "/") {
+      route = "/" + route;
+    }
+  } else {
+    // compatible with IE10
+    let origin = location.origin;
+    if (!origin) {
+      origin = `${location.protocol}//${location.host}`;
+    }
+    route = location.href.replace(origin, "").replace(location.search, "");
+  }
+
+  route = stripBasePath(route);
+
+  return route === null ? null : route.split("?")[0];
+}
+
+/* Turns a url that is relative to the routing mode and basePath into one the browser
+ * understands. Only urls starting with a single slash are changed, since full urls,
+ * protocol relative urls and hashes already say exactly where to go.
+ */
+export function toBrowserUrl(url) {
+  if (!isRoutingRelative() || url[0] !== "/" || url[1] === "/") {
+    return url;
+  }
+
+  return routingMode === "hash" ? "#" + basePath + url : basePath + url;
+}
+
+/* The inverse of toBrowserUrl, used for the oldUrl and newUrl in routing events.
+ * Urls outside of the basePath can't be made relative, so they are left as they are.
+ */
+export function toAppUrl(href) {
+  if (!isRoutingRelative()) {
+    return href;
+  }
+
+  const url = parseUri(href);
+  let appUrl;
+
+  if (routingMode === "hash") {
+    appUrl = url.hash.slice(1);
+    appUrl = stripBasePath(appUrl[0] === "/" ? appUrl : "/" + appUrl);
+  } else {
+    appUrl = stripBasePath(url.pathname);
+    if (appUrl !== null) {
+      appUrl += url.search + url.hash;
+    }
+  }
+
+  return appUrl === null ? href : appUrl;
+}
+
+function stripBasePath(route) {
+  if (!basePath) {
+    return route;
+  }
+
+  const nextChar = route.charAt(basePath.length);
+  if (
+    route.slice(0, basePath.length).toLowerCase() !== basePath.toLowerCase() ||
+    (nextChar && nextChar !== "/" && nextChar !== "?" && nextChar !== "#")
+  ) {
+    return null;
+  }
+
+  const rest = route.slice(basePath.length);
+  return rest[0] === "/" ? rest : "/" + rest;
+}
+
+function normalizeBasePath(path) {
+  if (path && path[0] !== "/") {
+    path = "/" + path;
+  }
+
+  // "/portal/" and "/portal" are the same base path, and "/" is no base path at all
+  return path.replace(/\/+$/, "");
+}
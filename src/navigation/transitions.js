@@ -0,0 +1,112 @@
+import { toName, getAppContainer } from "../applications/app.helpers.js";
+import { formatErrorMessage } from "../applications/app-errors.js";
+import { reportWarning } from "../applications/reporter.js";
+
+const defaultTransitionMaxTime = 10000;
+
+let transitionHook = null,
+  transitionMaxTime = defaultTransitionMaxTime;
+
+// Called by start()
+export function setTransitionHook(hook, maxTime) {
+  if (hook && typeof hook !== "function") {
+    throw Error(
+      formatErrorMessage(
+        55,
+        __DEV__ && `start() was called with a transition that isn't a function`
+      )
+    );
+  }
+
+  if (maxTime !== undefined && !(typeof maxTime === "number" && maxTime > 0)) {
+    throw Error(
+      formatErrorMessage(
+        87,
+        __DEV__ &&
+          `start() was called with a transitionMaxTime that isn't a positive number of milliseconds`
+      )
+    );
+  }
+
+  transitionHook = hook || null;
+  transitionMaxTime = maxTime || defaultTransitionMaxTime;
+}
+
+/* Without a transition hook, performAppChanges unmounts every outgoing app before it mounts
+ * any incoming app. With one, the incoming apps are mounted right away and the outgoing apps
+ * stay mounted until the promise returned by the hook settles, so that both can be on screen
+ * while they are animated.
+ *
+ * Returns null when there is no transition to run. Otherwise, performAppChanges waits on the
+ * transition's `finished` promise before unmounting, and calls `run` with a promise for the
+ * incoming apps being mounted. Transitions that take longer than transitionMaxTime are warned
+ * about and treated as finished, so that they can't keep every later reroute waiting.
+ */
+export function createTransition(appsLeaving, appsEntering) {
+  if (!transitionHook || appsLeaving.length + appsEntering.length === 0) {
+    return null;
+  }
+
+  let finishTransition;
+  const finished = new Promise((resolve) => {
+    finishTransition = resolve;
+  });
+
+  return {
+    finished,
+    run(mountPromise) {
+      const leaving = appsLeaving.map(toTransitionApp);
+      const entering = appsEntering.map(toTransitionApp);
+
+      // Incoming apps often create their container during mount, so we look for it again afterwards
+      const mounted = mountPromise.then(() => {
+        entering.forEach((transitionApp, index) => {
+          transitionApp.domElement = getAppContainer(appsEntering[index]);
+        });
+      });
+      // Failed mounts are handled by reroute, whether or not the hook waits on them
+      mounted.catch(() => {});
+
+      const hookPromise = new Promise((resolve) => {
+        resolve(transitionHook({ leaving, entering, mounted }));
+      }).catch((err) => {
+        // A broken animation is the transition's own fault and shouldn't keep apps from unmounting
+        setTimeout(() => {
+          throw err;
+        });
+      });
+
+      let timeout;
+      const timeoutPromise = new Promise((resolve) => {
+        timeout = setTimeout(() => {
+          const warning = formatErrorMessage(
+            88,
+            __DEV__ &&
+              `single-spa: The transition did not finish within ${transitionMaxTime} ms, so the outgoing apps are unmounted without waiting on it`,
+            transitionMaxTime
+          );
+          console.warn(warning);
+          reportWarning({
+            kind: "transition-timeout",
+            code: 88,
+            message: warning,
+            millis: transitionMaxTime,
+          });
+          resolve();
+        }, transitionMaxTime);
+      });
+
+      Promise.race([hookPromise, timeoutPromise]).then(() => {
+        clearTimeout(timeout);
+        finishTransition();
+      });
+    },
+  };
+}
+
+function toTransitionApp(app) {
+  return {
+    appName: toName(app),
+    domElement: getAppContainer(app),
+  };
+}
@@ -16,6 +16,7 @@ import { toUpdatePromise } from "../lifecycles/update.js";
 import { toUnmountPromise } from "../lifecycles/unmount.js";
 import { ensureValidAppTimeouts } from "../applications/timeouts.js";
 import { formatErrorMessage } from "../applications/app-errors.js";
+import { getAppInstance } from "../applications/instances.js";
 
 let parcelCount = 0;
 const rootParcels = { parcels: {} };
@@ -25,7 +26,7 @@ export function mountRootParcel() {
   return mountParcel.apply(rootParcels, arguments);
 }
 
-export function mountParcel(config, customProps) {
+export function mountParcel(config, customProps, opts) {
   const owningAppOrParcel = this;
 
   // Validate inputs
@@ -50,6 +51,15 @@ export function mountParcel(config, customProps) {
     );
   }
 
+  if (opts && opts.onError && typeof opts.onError !== "function") {
+    throw Error(
+      formatErrorMessage(
+        81,
+        __DEV__ && `The onError option of mountParcel must be a function`
+      )
+    );
+  }
+
   const id = parcelCount++;
   let name = config.name || `parcel-${id}`;
 
@@ -90,6 +100,10 @@ export function mountParcel(config, customProps) {
       : NOT_BOOTSTRAPPED,
     customProps,
     parentName: toName(owningAppOrParcel),
+    // Errors that the parcel's onError doesn't handle bubble up to whoever mounted it
+    parentAppOrParcel: toName(owningAppOrParcel) ? owningAppOrParcel : null,
+    onError: (opts && opts.onError) || null,
+    instance: getAppInstance(owningAppOrParcel),
     unmountThisParcel() {
       return mountPromise
         .then(() => {
@@ -209,14 +223,14 @@ export function mountParcel(config, customProps) {
     parcel.bootstrap = bootstrap;
     parcel.mount = mount;
     parcel.unmount = unmount;
-    parcel.timeouts = ensureValidAppTimeouts(config.timeouts);
+    parcel.timeouts = ensureValidAppTimeouts(config.timeouts, parcel.instance);
 
     if (config.update) {
       parcel.update = flattenFnArray(config, "update");
       externalRepresentation.update = function (customProps) {
         parcel.customProps = customProps;
 
-        return promiseWithoutReturnValue(toUpdatePromise(parcel));
+        return promiseWithoutReturnValue(toUpdatePromise(parcel, true));
       };
     }
   });
@@ -272,6 +286,9 @@ export function mountParcel(config, customProps) {
     unmountPromise: promiseWithoutReturnValue(unmountPromise),
   };
 
+  // Error handlers can be scoped to the parcel with its external representation
+  parcel.handle = externalRepresentation;
+
   return externalRepresentation;
 }
 
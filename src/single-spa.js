@@ -1,26 +1,54 @@
 export { start } from "./start.js";
+export { createSingleSpa } from "./instance-api.js";
 export { ensureJQuerySupport } from "./jquery-support.js";
 export {
   setBootstrapMaxTime,
   setMountMaxTime,
   setUnmountMaxTime,
   setUnloadMaxTime,
+  setTimeouts,
 } from "./applications/timeouts.js";
+export { setLoadRetryPolicy } from "./applications/load-retry.js";
+export { SingleSpaError } from "./applications/app-errors.js";
+export {
+  resetApplication,
+  setRecoveryPolicy,
+} from "./applications/app-recovery.js";
+export {
+  setReporter,
+  createBatchingTransport,
+} from "./applications/reporter.js";
 export {
   registerApplication,
   unregisterApplication,
   getMountedApps,
   getAppStatus,
   unloadApplication,
+  updateApplication,
   checkActivityFunctions,
   getAppNames,
   pathToActiveWhen,
 } from "./applications/apps.js";
+export { preloadApplication } from "./applications/preload.js";
+export { registerApplicationsFromManifest } from "./applications/manifest.js";
+export { registerLayout } from "./applications/layout.js";
+export { renderToString } from "./applications/server-render.js";
+export {
+  createSharedStore,
+  getSharedStore,
+} from "./applications/shared-stores.js";
+export { eventBus } from "./applications/event-bus.js";
 export {
   navigateToUrl,
   patchHistoryApi,
 } from "./navigation/navigation-events.js";
 export { triggerAppChange } from "./navigation/reroute.js";
+export { setGuardMaxTime } from "./navigation/route-guards.js";
+export {
+  createBrowserLocation,
+  createHashLocation,
+  createMemoryLocation,
+} from "./navigation/location-adapters.js";
 export {
   addErrorHandler,
   removeErrorHandler,
@@ -36,9 +64,13 @@ export {
   MOUNTING,
   UPDATING,
   LOAD_ERROR,
+  LOAD_FAILED,
   MOUNTED,
   UNLOADING,
   UNMOUNTING,
+  DEACTIVATING,
+  FROZEN,
+  ACTIVATING,
   SKIP_BECAUSE_BROKEN,
 } from "./applications/app.helpers.js";
 
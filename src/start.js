@@ -1,6 +1,20 @@
 import { reroute } from "./navigation/reroute.js";
 import { patchHistoryApi } from "./navigation/navigation-events.js";
 import { isInBrowser } from "./utils/runtime-environment.js";
+import { schedulePreload } from "./applications/preload.js";
+import { setRoutingOptions } from "./navigation/routing-mode.js";
+import { setRedirects } from "./navigation/redirects.js";
+import { setTransitionHook } from "./navigation/transitions.js";
+import { setKeepAliveMax } from "./applications/keep-alive.js";
+import { setHydration, finishHydration } from "./applications/server-render.js";
+import {
+  setLocationAdapter,
+  getLocationAdapter,
+  canReroute,
+} from "./navigation/location-adapters.js";
+import { getInstance } from "./applications/instances.js";
+import { setUpdateOnCustomPropsChange } from "./applications/apps.js";
+import { formatErrorMessage } from "./applications/app-errors.js";
 
 // 是否开始的标识
 let started = false;
@@ -16,21 +30,73 @@ let started = false;
  * 并调用 `reroute` 函数来重新路由应用。
  */
 export function start(opts) {
+  const instance = getInstance(this);
+
+  /* The url and history api are shared by every instance on the page, so only the first
+   * instance to be started sets up routing. Starting another instance only lets its
+   * applications be mounted.
+   */
+  if (started) {
+    if (opts && Object.keys(opts).length > 0) {
+      console.warn(
+        formatErrorMessage(
+          91,
+          __DEV__ &&
+            `start() was called with options after single-spa was already started. Only the options of the first call to start() are used, so these are ignored`
+        ),
+        opts
+      );
+    }
+
+    const instanceWasStarted = instance.started;
+    instance.started = true;
+
+    if (canReroute()) {
+      reroute();
+
+      // The instance's applications were already scheduled to preload the first time it was started
+      if (!instanceWasStarted) {
+        instance.apps.forEach(schedulePreload);
+      }
+    }
+
+    return;
+  }
+
+  // The routing mode decides how path based activeWhen strings are matched, so it's set before anything reroutes
+  setRoutingOptions(opts);
+  setLocationAdapter(opts && opts.locationAdapter);
+  setRedirects(opts && opts.redirects);
+  setTransitionHook(opts && opts.transition, opts && opts.transitionMaxTime);
+  setKeepAliveMax(opts && opts.keepAliveMax);
+  setHydration(opts && opts.hydrate);
+  setUpdateOnCustomPropsChange(opts && opts.updateOnCustomPropsChange);
+
   // 将 started 标志设置为 true，表示应用已经启动
   started = true;
+  instance.started = true;
 
-  // 检查当前环境是否为浏览器
-  if (isInBrowser) {
-    // 如果是浏览器环境，调用 patchHistoryApi 函数来修补历史 API
-    patchHistoryApi(opts);
+  // 检查当前环境是否为浏览器，或者是否有不需要 window 的 location adapter
+  if (canReroute()) {
+    // Adapters that can tell us about navigations themselves don't need the history api to be patched
+    const locationAdapter = getLocationAdapter();
+    if (locationAdapter.listen) {
+      locationAdapter.listen(() => reroute());
+    } else if (isInBrowser) {
+      // 如果是浏览器环境，调用 patchHistoryApi 函数来修补历史 API
+      patchHistoryApi(opts);
+    }
 
     // 调用 reroute 函数来重新路由应用
-    reroute();
+    reroute().then(finishHydration);
+
+    // Preloading starts after the initial reroute so that it doesn't compete with the active apps
+    instance.apps.forEach(schedulePreload);
   }
 }
 
 /**
- * 检查应用是否已经启动。
+ * 检查应用是否已经启动。任何一个实例启动后，路由就已经启动了。
  * 
  * @returns {boolean} 如果应用已经启动，则返回 true；否则返回 false。
  */
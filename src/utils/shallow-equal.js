@@ -0,0 +1,17 @@
+export function shallowEqual(a, b) {
+  const aKeys = Object.keys(a),
+    bKeys = Object.keys(b);
+
+  if (aKeys.length !== bKeys.length) {
+    return false;
+  }
+
+  for (let i = 0; i < aKeys.length; i++) {
+    const key = aKeys[i];
+    if (!Object.prototype.hasOwnProperty.call(b, key) || a[key] !== b[key]) {
+      return false;
+    }
+  }
+
+  return true;
+}
@@ -9,15 +9,48 @@ declare module "single-spa" {
     location: Location
   ) => ExtraProps;
 
+  export type RouteParams = {
+    [paramName: string]: string;
+  };
+
   export type AppProps = {
     name: string;
     singleSpa: any;
+    // Only applications receive route params, parcels do not
+    routeParams?: RouteParams;
+    // Only set for applications rendered by renderToString, during the initial reroute of start({ hydrate: true })
+    hydrate?: boolean;
+    serverState?: unknown;
+    /**
+     * Subscriptions made with the returned store are torn down when the application unmounts,
+     * or unloads for subscriptions made before it mounted.
+     */
+    getSharedStore<State = any>(key: string): SharedStore<State> | null;
+    /**
+     * Subscriptions and responders made with it are torn down when the application unmounts,
+     * or unloads for ones made before it mounted.
+     */
+    eventBus: EventBus;
+    /**
+     * Given to lifecycle functions. Aborted when the lifecycle times out with dieOnTimeout, and
+     * when a navigation or unregisterApplication means that a bootstrap, mount, update or
+     * activate in progress isn't wanted anymore.
+     */
+    signal?: AbortSignal;
     mountParcel(
       parcelConfig: ParcelConfig,
-      customProps: ParcelProps & CustomProps
+      customProps: ParcelProps & CustomProps,
+      opts?: MountParcelOpts
     ): Parcel;
   };
 
+  type MountParcelOpts = {
+    /**
+     * Gets the parcel's errors before whoever mounted it does.
+     */
+    onError?: ScopedErrorHandler;
+  };
+
   export type ParcelConfig<ExtraProps = CustomProps> =
     | ParcelConfigObject<ExtraProps>
     | (() => Promise<ParcelConfigObject<ExtraProps>>);
@@ -43,7 +76,8 @@ declare module "single-spa" {
       | "UNMOUNTING"
       | "UNLOADING"
       | "SKIP_BECAUSE_BROKEN"
-      | "LOAD_ERROR";
+      | "LOAD_ERROR"
+      | "LOAD_FAILED";
     loadPromise: Promise<null>;
     bootstrapPromise: Promise<null>;
     mountPromise: Promise<null>;
@@ -58,15 +92,207 @@ declare module "single-spa" {
     mount: LifeCycleFn<ExtraProps> | Array<LifeCycleFn<ExtraProps>>;
     unmount: LifeCycleFn<ExtraProps> | Array<LifeCycleFn<ExtraProps>>;
     update?: LifeCycleFn<ExtraProps> | Array<LifeCycleFn<ExtraProps>>;
+    /**
+     * Called instead of unmount for kept alive applications. Without it, the application's
+     * container is hidden.
+     */
+    deactivate?: LifeCycleFn<ExtraProps> | Array<LifeCycleFn<ExtraProps>>;
+    activate?: LifeCycleFn<ExtraProps> | Array<LifeCycleFn<ExtraProps>>;
+    /**
+     * Called by renderToString in NodeJS instead of mounting the application.
+     */
+    renderServerSide?: (
+      config: ExtraProps & AppProps & ServerRenderProps
+    ) => Promise<string | ServerRenderedApp>;
+  };
+
+  type ServerRenderProps = {
+    url: string;
+    headers: { [name: string]: string | string[] | undefined };
+  };
+
+  export type ServerRenderedApp = {
+    html: string;
+    assets?: string[];
+    state?: unknown;
+  };
+
+  export type RenderToStringResult = {
+    /**
+     * The containers of the active applications, followed by a script element with their
+     * state for start({ hydrate: true }).
+     */
+    html: string;
+    assets: { [appName: string]: string[] };
+    state: { [appName: string]: unknown };
   };
 
   export type StartOpts = {
     urlRerouteOnly?: boolean;
+    /**
+     * With "hash", path based activeWhen strings and navigateToUrl paths refer to the
+     * url's hash fragment instead of its pathname.
+     */
+    routingMode?: "history" | "hash";
+    /**
+     * Prefix that path based activeWhen strings, navigateToUrl paths and the oldUrl/newUrl
+     * of routing events are relative to.
+     */
+    basePath?: string;
+    /**
+     * With "navigation-api", single-spa listens to the Navigation API's navigate event instead
+     * of patching the history api. Browsers without the Navigation API fall back to patching.
+     */
+    navigationStrategy?: "history-api" | "navigation-api";
+    /**
+     * Maps paths (with the same syntax as activeWhen paths, matched exactly) to the url to
+     * redirect to, or to a function that returns that url or nothing to not redirect.
+     */
+    redirects?: {
+      [path: string]: string | RedirectFn;
+    };
+    /**
+     * Lets incoming apps mount before outgoing apps unmount. The outgoing apps are unmounted
+     * once the returned promise settles.
+     */
+    transition?: (transition: Transition) => void | Promise<void>;
+    /**
+     * How long the outgoing apps wait on the transition before they are unmounted anyway.
+     * Defaults to 10 seconds.
+     */
+    transitionMaxTime?: number;
+    /**
+     * How many applications with keepAlive stay frozen. It's one limit for every application,
+     * and the least recently frozen ones are unmounted first. Defaults to no limit.
+     */
+    keepAliveMax?: number;
+    /**
+     * Passes hydrate and serverState props to the applications that renderToString rendered on the server.
+     */
+    hydrate?: boolean;
+    /**
+     * Where the url is read from and how it is changed. Defaults to createBrowserLocation().
+     */
+    locationAdapter?: LocationAdapter;
+    /**
+     * Calls customProps functions again on every reroute, and updates the mounted applications
+     * whose customProps shallowly changed with their update lifecycle.
+     */
+    updateOnCustomPropsChange?: boolean;
+  };
+
+  // ./navigation/location-adapters.js
+  type LocationLike = Pick<
+    Location,
+    | "href"
+    | "origin"
+    | "protocol"
+    | "host"
+    | "hostname"
+    | "port"
+    | "pathname"
+    | "search"
+    | "hash"
+  >;
+
+  export type LocationAdapter = {
+    getLocation(): LocationLike;
+    /**
+     * Changes the url without a reroute.
+     */
+    replace(url: string): void;
+    navigate?(url: string): void;
+    /**
+     * Without it, start() patches the history api to find out about navigations.
+     */
+    listen?(listener: () => void): () => void;
+  };
+
+  export type MemoryLocationAdapter = LocationAdapter & {
+    navigate(url: string): void;
+    listen(listener: () => void): () => void;
+    go(delta: number): void;
+    back(): void;
+    forward(): void;
   };
 
+  export function createBrowserLocation(): LocationAdapter;
+  export function createHashLocation(): LocationAdapter;
+  export function createMemoryLocation(
+    initialUrl?: string
+  ): MemoryLocationAdapter;
+
+  export type TransitionApp = {
+    appName: string;
+    domElement: HTMLElement | null;
+  };
+
+  export type Transition = {
+    leaving: TransitionApp[];
+    entering: TransitionApp[];
+    /**
+     * Resolves once the entering apps are mounted, at which point their domElement is up to date.
+     */
+    mounted: Promise<void>;
+  };
+
+  type RedirectFn = (
+    routeParams: RouteParams,
+    location: Location
+  ) => string | null | undefined | void;
+
   // ./start.js
   export function start(opts?: StartOpts): void;
 
+  // ./instance-api.js
+  export type SingleSpaInstanceOpts = {
+    name?: string;
+    /**
+     * The instance's applications are never active outside of this path.
+     */
+    urlPrefix?: string;
+    /**
+     * The instance's applications look for their containers inside of this element.
+     */
+    domElement?: HTMLElement;
+  };
+
+  export type SingleSpaInstance = {
+    name: string;
+    /**
+     * Only the first start() on the page, on any instance, sets up routing with its options.
+     */
+    start: typeof start;
+    registerApplication: typeof registerApplication;
+    unregisterApplication: typeof unregisterApplication;
+    getMountedApps: typeof getMountedApps;
+    getAppStatus: typeof getAppStatus;
+    unloadApplication: typeof unloadApplication;
+    updateApplication: typeof updateApplication;
+    resetApplication: typeof resetApplication;
+    createSharedStore: typeof createSharedStore;
+    getSharedStore: typeof getSharedStore;
+    eventBus: EventBus;
+    checkActivityFunctions: typeof checkActivityFunctions;
+    getAppNames: typeof getAppNames;
+    preloadApplication: typeof preloadApplication;
+    registerApplicationsFromManifest: typeof registerApplicationsFromManifest;
+    registerLayout: typeof registerLayout;
+    addErrorHandler: typeof addErrorHandler;
+    removeErrorHandler: typeof removeErrorHandler;
+    setBootstrapMaxTime: typeof setBootstrapMaxTime;
+    setMountMaxTime: typeof setMountMaxTime;
+    setUnmountMaxTime: typeof setUnmountMaxTime;
+    setUnloadMaxTime: typeof setUnloadMaxTime;
+    setTimeouts: typeof setTimeouts;
+    navigateToUrl: typeof navigateToUrl;
+    triggerAppChange: typeof triggerAppChange;
+  };
+
+  export function createSingleSpa(
+    opts?: SingleSpaInstanceOpts
+  ): SingleSpaInstance;
+
   // ./jquery-support.js
   export function ensureJQuerySupport(jQuery?: any): void;
 
@@ -120,6 +346,132 @@ declare module "single-spa" {
     warningMillis?: number
   ): void;
 
+  export type Timeouts = {
+    /** Loads die after 30 seconds by default, and are retried like other load errors. With dieOnTimeout: false, they only log an error */
+    load?: LifecycleTimeout;
+    bootstrap?: LifecycleTimeout;
+    mount?: LifecycleTimeout;
+    unmount?: LifecycleTimeout;
+    unload?: LifecycleTimeout;
+    update?: LifecycleTimeout;
+    deactivate?: LifecycleTimeout;
+    activate?: LifecycleTimeout;
+  };
+
+  /**
+   * Merges the given timeouts into the current ones, lifecycle by lifecycle. Applications
+   * that are already loaded keep their timeouts.
+   */
+  export function setTimeouts(timeouts: Timeouts): void;
+
+  // ./applications/load-retry.js
+  export type LoadFailedDetail = {
+    appName: string;
+    attempts: number;
+    error: AppError;
+  };
+
+  export type LoadRetryPolicy = {
+    maxAttempts?: number;
+    backoff?: "fixed" | "linear" | "exponential";
+    baseMillis?: number;
+    maxMillis?: number;
+    jitter?: number;
+    onGiveUp?(detail: LoadFailedDetail): void;
+  };
+
+  export function setLoadRetryPolicy(policy: LoadRetryPolicy | null): void;
+
+  // ./applications/app-recovery.js
+  export type RecoveryGiveUpDetail = {
+    appName: string;
+    attempts: number;
+    error: AppError;
+  };
+
+  export type RecoveryPolicy = {
+    maxAttempts?: number;
+    backoff?: "fixed" | "linear" | "exponential";
+    baseMillis?: number;
+    maxMillis?: number;
+    jitter?: number;
+    onGiveUp?(detail: RecoveryGiveUpDetail): void;
+  };
+
+  export function setRecoveryPolicy(policy: RecoveryPolicy | null): void;
+
+  /**
+   * Puts a broken application back in the status it was in before it broke, or NOT_LOADED
+   * with reload, and reroutes.
+   */
+  export function resetApplication(
+    appName: string,
+    opts?: { reload?: boolean }
+  ): Promise<void>;
+
+  // ./applications/reporter.js
+  export type ErrorRecord = {
+    timestamp: number;
+    error: AppError;
+    /** Whether an onError or scoped error handler handled the error */
+    handled: boolean;
+    code: number | null;
+    lifecycle: string | null;
+    appOrParcelName: string;
+    appOrParcelType: "application" | "parcel";
+  };
+
+  export type WarningRecord = {
+    timestamp: number;
+    kind:
+      | "lifecycle-slow"
+      | "lifecycle-timeout"
+      | "load-retry"
+      | "non-error-rejection"
+      | "navigation-canceled"
+      | "cancel-navigation-rejected"
+      | "redirect-loop"
+      | "transition-timeout";
+    code?: number;
+    message?: string;
+    lifecycle?: string | null;
+    appOrParcelName?: string;
+    appOrParcelType?: "application" | "parcel";
+    [key: string]: unknown;
+  };
+
+  export type LifecycleSampleRecord = {
+    timestamp: number;
+    lifecycle: string;
+    appOrParcelName: string;
+    appOrParcelType: "application" | "parcel";
+    durationMillis: number;
+    succeeded: boolean;
+  };
+
+  export type Reporter = {
+    onError?(record: ErrorRecord): void;
+    onWarning?(record: WarningRecord): void;
+    onLifecycleSample?(record: LifecycleSampleRecord): void;
+  };
+
+  export function setReporter(reporter: Reporter | null): void;
+
+  export type BatchingTransportOpts = {
+    url: string;
+    batchSize?: number;
+    flushIntervalMillis?: number;
+    headers?: { [name: string]: string };
+    fetch?: typeof fetch;
+  };
+
+  /**
+   * A reporter that POSTs { records: [...] } to the url as JSON, in batches.
+   */
+  export function createBatchingTransport(
+    opts: BatchingTransportOpts
+  ): Required<Reporter> & { flush(): Promise<void> };
+
   type Application<ExtraProps = {}> =
     | LifeCycles<ExtraProps>
     | ((config: ExtraProps & AppProps) => Promise<LifeCycles<ExtraProps>>);
@@ -128,11 +480,86 @@ declare module "single-spa" {
 
   type Activity = ActivityFn | string | (ActivityFn | string)[];
 
+  // ./navigation/route-guards.js
+  export type RouteGuardNavigation = {
+    appName: string;
+    oldUrl: string;
+    newUrl: string;
+  };
+
+  /**
+   * Resolving with false, throwing or not deciding before the guard max time blocks the navigation.
+   */
+  type RouteGuard = (
+    navigation: RouteGuardNavigation
+  ) => boolean | void | Promise<boolean | void>;
+
+  export type NavigationBlockedDetail = RouteGuardNavigation & {
+    guard: "canMount" | "canUnmount";
+    reason: "rejected" | "error" | "timeout";
+    error?: unknown;
+  };
+
+  export function setGuardMaxTime(time: number): void;
+
+  type PreloadStrategy =
+    | "eager"
+    | "idle"
+    | "hover"
+    | ((preload: () => void) => void);
+
   export type RegisterApplicationConfig<ExtraProps extends CustomProps = {}> = {
     name: string;
     app: Application<ExtraProps>;
     activeWhen: Activity;
+    exclude?: Activity;
     customProps?: ExtraProps | CustomPropsFn<ExtraProps>;
+    preload?: PreloadStrategy;
+    loadRetryPolicy?: LoadRetryPolicy;
+    /**
+     * Resets the application after a backoff when it breaks, up to maxAttempts times.
+     */
+    recoveryPolicy?: RecoveryPolicy;
+    /**
+     * Gets the application's errors, and the ones that bubble up from its parcels, before the
+     * global error handlers do.
+     */
+    onError?: ScopedErrorHandler;
+    canMount?: RouteGuard;
+    canUnmount?: RouteGuard;
+    /**
+     * Freezes the application instead of unmounting it. Frozen applications beyond the
+     * keepAliveMax start option's most recently frozen ones, or frozen for longer than
+     * ttlMillis, are unmounted.
+     */
+    keepAlive?: true | { ttlMillis?: number };
+    /**
+     * Shown in the application's container when it takes longer than loadingUIDelayMillis
+     * (200 by default) to load, bootstrap and mount.
+     */
+    loadingUI?: StatusUI<LoadingUIProps>;
+    /**
+     * Shown in the application's container once it's broken.
+     */
+    errorUI?: StatusUI<ErrorUIProps>;
+    loadingUIDelayMillis?: number;
+    /**
+     * These win over the timeouts the application exports, and are the only ones that count
+     * for loading it.
+     */
+    timeouts?: Timeouts;
+  };
+
+  type StatusUI<Props> = ParcelConfigObject<Props> | ((props: Props) => Node);
+
+  export type LoadingUIProps = {
+    appName: string;
+  };
+
+  export type ErrorUIProps = {
+    appName: string;
+    error: AppError;
+    retry(): Promise<void>;
   };
 
   interface SingleSpaNewAppStatus {
@@ -140,13 +567,15 @@ declare module "single-spa" {
       | "MOUNTED"
       | "NOT_MOUNTED"
       | "NOT_LOADED"
-      | "SKIP_BECAUSE_BROKEN";
+      | "SKIP_BECAUSE_BROKEN"
+      | "FROZEN";
   }
   interface SingleSpaAppsByNewStatus {
     [MOUNTED]: string[];
     [NOT_MOUNTED]: string[];
     [NOT_LOADED]: string[];
     [SKIP_BECAUSE_BROKEN]: string[];
+    [FROZEN]: string[];
   }
   export type SingleSpaCustomEventDetail = {
     newAppStatuses: SingleSpaNewAppStatus;
@@ -157,6 +586,11 @@ declare module "single-spa" {
     newUrl: string;
     navigationIsCanceled: boolean;
     cancelNavigation?: () => void;
+    /**
+     * Only available during single-spa:before-routing-event. Replaces the url without
+     * creating a history entry and starts the navigation over for the new url.
+     */
+    redirect?: (url: string) => void;
   };
 
   // ./applications/apps.js
@@ -188,6 +622,10 @@ declare module "single-spa" {
     UNLOADING = "UNLOADING",
     SKIP_BECAUSE_BROKEN = "SKIP_BECAUSE_BROKEN",
     LOAD_ERROR = "LOAD_ERROR",
+    LOAD_FAILED = "LOAD_FAILED",
+    DEACTIVATING = "DEACTIVATING",
+    FROZEN = "FROZEN",
+    ACTIVATING = "ACTIVATING",
   };
 
   export function getAppStatus(appName: string): string | null;
@@ -197,9 +635,213 @@ declare module "single-spa" {
     opts?: { waitForUnmount: boolean }
   ): Promise<any>;
 
-  export function checkActivityFunctions(location: Location): string[];
+  export function updateApplication<
+    ExtraProps extends CustomProps = CustomProps
+  >(
+    appName: string,
+    newProps?: ExtraProps | CustomPropsFn<ExtraProps>
+  ): Promise<void>;
+
+  export function checkActivityFunctions(location?: Location): string[];
   export function getAppNames(): string[];
 
+  // ./applications/preload.js
+  export function preloadApplication(
+    appName: string,
+    opts?: { bootstrap?: boolean }
+  ): Promise<void>;
+
+  // ./applications/manifest.js
+  export type LifecycleTimeout = {
+    millis?: number;
+    dieOnTimeout?: boolean;
+    warningMillis?: number;
+  };
+
+  export type ManifestEntry = {
+    name: string;
+    /**
+     * What the application's code is imported with. Defaults to the name.
+     */
+    module?: string;
+    activeWhen: Activity;
+    exclude?: Activity;
+    customProps?: CustomProps;
+    /**
+     * By lifecycle, like { "mount": { "millis": 5000 } }. These win over the timeouts the application exports.
+     */
+    timeouts?: Timeouts;
+    preload?: "eager" | "idle" | "hover";
+    keepAlive?: RegisterApplicationConfig["keepAlive"];
+    loadRetryPolicy?: LoadRetryPolicy;
+  };
+
+  export type Manifest = {
+    applications: ManifestEntry[];
+  };
+
+  export type ManifestChanges = {
+    registered: string[];
+    unregistered: string[];
+    reloaded: string[];
+  };
+
+  export function registerApplicationsFromManifest(
+    manifest: Manifest,
+    opts?: {
+      /**
+       * Defaults to SystemJS's System.import.
+       */
+      importModule?: (specifier: string) => Promise<LifeCycles<any>>;
+    }
+  ): Promise<ManifestChanges>;
+
+  // ./applications/layout.js
+  export type LayoutApplication = {
+    type: "application";
+    name: string;
+    props?: CustomProps;
+    /**
+     * Html shown in the application's container while it loads.
+     */
+    loading?: string;
+    /**
+     * Html shown in the application's container when it fails to load or mount.
+     */
+    error?: string;
+  };
+
+  export type LayoutRoute = {
+    type: "route";
+    /**
+     * With the same syntax as activeWhen paths.
+     */
+    path?: string;
+    exact?: boolean;
+    /**
+     * Active when none of its sibling routes are.
+     */
+    default?: boolean;
+    /**
+     * Where the containers of the route's applications go. A selector or element.
+     */
+    containerEl?: string | HTMLElement;
+    loading?: string;
+    error?: string;
+    routes?: Array<LayoutRoute | LayoutApplication>;
+  };
+
+  export type Layout = {
+    /**
+     * Defaults to document.body.
+     */
+    containerEl?: string | HTMLElement;
+    loading?: string;
+    error?: string;
+    routes: Array<LayoutRoute | LayoutApplication>;
+  };
+
+  /**
+   * Registers the applications in the layout, and returns their names.
+   */
+  export function registerLayout(
+    layout: Layout | HTMLTemplateElement,
+    opts: {
+      loadApp: (name: string) => Promise<LifeCycles<any>>;
+    }
+  ): string[];
+
+  // ./applications/server-render.js
+  export function renderToString(
+    url: string,
+    opts?: { headers?: ServerRenderProps["headers"] }
+  ): Promise<RenderToStringResult>;
+
+  // ./applications/shared-stores.js
+  export type SharedStore<State = any> = {
+    key: string;
+    getState(): State;
+    setState(update: State | ((state: State) => State)): void;
+    subscribe(listener: (state: State, prevState: State) => void): () => void;
+  };
+
+  export function createSharedStore<State>(
+    key: string,
+    initialState: State
+  ): SharedStore<State>;
+  export function getSharedStore<State = any>(
+    key: string
+  ): SharedStore<State> | null;
+
+  // ./applications/event-bus.js
+  /**
+   * The payload of each topic. Root configs can type the event bus by adding topics to it:
+   *
+   * declare module "single-spa" {
+   *   interface EventBusTopics {
+   *     "user-logged-in": { userId: string };
+   *   }
+   * }
+   */
+  export interface EventBusTopics {}
+
+  /**
+   * The payload and response of each request topic, added to the same way as EventBusTopics.
+   */
+  export interface EventBusRequests {}
+
+  type TopicMap<Declared> = keyof Declared extends never
+    ? Record<string, any>
+    : Declared;
+
+  type RequestMap<Declared> = keyof Declared extends never
+    ? Record<string, { request: any; response: any }>
+    : Declared;
+
+  export type EventBusMessageMeta = {
+    topic: string;
+    /**
+     * The name of the application or parcel that sent the message, or null when it was sent by the root config.
+     */
+    sender: string | null;
+  };
+
+  export type EventBus<
+    Topics = TopicMap<EventBusTopics>,
+    Requests extends {
+      [Topic in keyof Requests]: { request: any; response: any };
+    } = RequestMap<EventBusRequests>
+  > = {
+    publish<Topic extends keyof Topics & string>(
+      topic: Topic,
+      payload: Topics[Topic]
+    ): void;
+    subscribe<Topic extends keyof Topics & string>(
+      topic: Topic,
+      listener: (payload: Topics[Topic], meta: EventBusMessageMeta) => void,
+      opts?: {
+        /**
+         * Calls the listener right away with the topic's last message, if it has one.
+         */
+        replay?: boolean;
+      }
+    ): () => void;
+    request<Topic extends keyof Requests & string>(
+      topic: Topic,
+      payload: Requests[Topic]["request"],
+      opts?: { timeoutMillis?: number }
+    ): Promise<Requests[Topic]["response"]>;
+    respond<Topic extends keyof Requests & string>(
+      topic: Topic,
+      handler: (
+        payload: Requests[Topic]["request"],
+        meta: EventBusMessageMeta
+      ) => Requests[Topic]["response"] | Promise<Requests[Topic]["response"]>
+    ): () => void;
+  };
+
+  export const eventBus: EventBus;
+
   // ./navigation/navigation-events.js'
   export function navigateToUrl(
     obj:
@@ -217,18 +859,52 @@ declare module "single-spa" {
   export function triggerAppChange(): Promise<any>;
 
   // './applications/app-errors.js'
-  type AppError = Error & {
+  /**
+   * The error that error handlers are given when an app or parcel breaks. Its message is the
+   * message of the error that was thrown, which is left as it is and kept as the cause.
+   */
+  export class SingleSpaError extends Error {
+    /** The code of single-spa's own errors, such as timeouts, or null */
+    code: number | null;
+    /** The lifecycle function or activity function that failed, if any */
+    lifecycle: string | null;
+    previousStatus: string;
+    newStatus: string;
     appOrParcelName: string;
+    appOrParcelType: "application" | "parcel";
+    cause: unknown;
+  }
+  type AppError = SingleSpaError;
+  export type ErrorHandlerContext = {
+    /**
+     * Stops the error from bubbling up to whoever mounted the app or parcel, and to the global
+     * error handlers.
+     */
+    markHandled(): void;
   };
+  type ScopedErrorHandler = (
+    error: AppError,
+    context: ErrorHandlerContext
+  ) => void;
+  export type ErrorHandlerScope = { app: string } | Parcel<any>;
   export function addErrorHandler(handler: (error: AppError) => void): void;
-  export function removeErrorHandler(handler: (error: AppError) => void): void;
+  export function addErrorHandler(
+    handler: ScopedErrorHandler,
+    scope: ErrorHandlerScope
+  ): void;
+  export function removeErrorHandler(handler: ScopedErrorHandler): void;
 
   // './parcels/mount-parcel.js'
   export function mountRootParcel<ExtraProps = CustomProps>(
     parcelConfig: ParcelConfig<ExtraProps>,
-    parcelProps: ParcelProps & ExtraProps
+    parcelProps: ParcelProps & ExtraProps,
+    opts?: MountParcelOpts
   ): Parcel<ExtraProps>;
 
+  /**
+   * Supports the path-to-regexp syntax: `:name`, `:name(\\d+)`, `(\\d+)`, `*`,
+   * the `?`, `*` and `+` modifiers after params and optional `{...}?` groups.
+   */
   export function pathToActiveWhen(
     path: string,
     exactMatch?: boolean
@@ -9,10 +9,47 @@ import {
   Parcel,
   ParcelConfig,
   patchHistoryApi,
+  start,
+  preloadApplication,
+  renderToString,
+  createSingleSpa,
+  updateApplication,
+  createSharedStore,
+  getSharedStore,
+  SharedStore,
+  registerApplicationsFromManifest,
+  registerLayout,
+  ManifestChanges,
+  eventBus,
+  EventBus,
+  EventBusMessageMeta,
+  SingleSpaInstance,
+  createMemoryLocation,
+  createHashLocation,
+  createBrowserLocation,
+  RenderToStringResult,
+  setLoadRetryPolicy,
+  setRecoveryPolicy,
+  addErrorHandler,
+  SingleSpaError,
+  removeErrorHandler,
+  resetApplication,
+  setReporter,
+  createBatchingTransport,
+  setGuardMaxTime,
+  NavigationBlockedDetail,
+  LoadFailedDetail,
+  LifeCycles,
+  LoadingUIProps,
+  ErrorHandlerContext,
+  ErrorUIProps,
+  RouteParams,
   MOUNTED,
+  FROZEN,
   setBootstrapMaxTime,
   setMountMaxTime,
   setUnmountMaxTime,
+  setTimeouts,
 } from "single-spa";
 import { expectError, expectType } from "tsd";
 
@@ -33,6 +70,31 @@ mountRootParcel(appOrParcel, {
   domElement: document.createElement("div"),
 });
 
+const widget = mountRootParcel(
+  appOrParcel,
+  { domElement: document.createElement("div") },
+  {
+    onError(error, context) {
+      expectType<string>(error.appOrParcelName);
+      context.markHandled();
+    },
+  }
+);
+const widgetErrorHandler = (error: Error, context: ErrorHandlerContext) => {
+  context.markHandled();
+};
+addErrorHandler(widgetErrorHandler, widget);
+addErrorHandler(widgetErrorHandler, { app: "app1" });
+addErrorHandler((error) => {
+  expectType<number | null>(error.code);
+  expectType<string | null>(error.lifecycle);
+  expectType<"application" | "parcel">(error.appOrParcelType);
+  expectType<unknown>(error.cause);
+  expectType<boolean>(error instanceof SingleSpaError);
+});
+expectError(addErrorHandler(widgetErrorHandler, { name: "app1" }));
+removeErrorHandler(widgetErrorHandler);
+
 interface Planets {
   favoritePlanet: string;
 }
@@ -67,6 +129,181 @@ registerApplication({
   }),
 });
 
+registerApplication({
+  name: "app1",
+  activeWhen: "/",
+  app: appOrParcel,
+  preload: "idle",
+});
+
+registerApplication({
+  name: "app1",
+  activeWhen: "/",
+  app: appOrParcel,
+  preload: (preload) => setTimeout(preload, 1000),
+});
+
+expectError(
+  registerApplication({
+    name: "app1",
+    activeWhen: "/",
+    app: appOrParcel,
+    preload: "sometime",
+  })
+);
+
+expectType<Promise<void>>(preloadApplication("app1"));
+expectType<Promise<void>>(preloadApplication("app1", { bootstrap: true }));
+
+setLoadRetryPolicy({
+  maxAttempts: 5,
+  backoff: "exponential",
+  baseMillis: 100,
+  jitter: 0.2,
+  onGiveUp(detail) {
+    expectType<LoadFailedDetail>(detail);
+    expectType<string>(detail.appName);
+    expectType<number>(detail.attempts);
+  },
+});
+setLoadRetryPolicy(null);
+expectError(setLoadRetryPolicy({ backoff: "random" }));
+
+registerApplication({
+  name: "app1",
+  activeWhen: "/",
+  app: appOrParcel,
+  loadRetryPolicy: { maxAttempts: 3 },
+});
+
+registerApplication({
+  name: "app1",
+  activeWhen: "/users",
+  exclude: ["/users/:id(\\d+)/settings", (location) => location.hash === ""],
+  app: appOrParcel,
+});
+expectError(
+  registerApplication({
+    name: "app1",
+    activeWhen: "/users",
+    exclude: 1,
+    app: appOrParcel,
+  })
+);
+
+registerApplication({
+  name: "app1",
+  activeWhen: "/form",
+  app: appOrParcel,
+  async canUnmount({ appName, oldUrl, newUrl }) {
+    expectType<string>(appName);
+    expectType<string>(oldUrl);
+    return window.confirm(`Leave for ${newUrl}?`);
+  },
+  canMount: () => true,
+});
+expectError(
+  registerApplication({
+    name: "app1",
+    activeWhen: "/form",
+    app: appOrParcel,
+    canMount: true,
+  })
+);
+setGuardMaxTime(5000);
+
+registerApplication({
+  name: "app1",
+  activeWhen: "/tabs",
+  app: appOrParcel,
+  keepAlive: { ttlMillis: 60000 },
+});
+expectError(
+  registerApplication({
+    name: "app1",
+    activeWhen: "/tabs",
+    app: appOrParcel,
+    keepAlive: { max: 3 },
+  })
+);
+registerApplication({
+  name: "app1",
+  activeWhen: "/tabs",
+  app: appOrParcel,
+  keepAlive: true,
+});
+expectError(
+  registerApplication({
+    name: "app1",
+    activeWhen: "/tabs",
+    app: appOrParcel,
+    keepAlive: 3,
+  })
+);
+
+registerApplication({
+  name: "app1",
+  activeWhen: "/",
+  app: appOrParcel,
+  loadingUI: (props: LoadingUIProps) => {
+    expectType<string>(props.appName);
+    return document.createTextNode("Loading...");
+  },
+  errorUI: {
+    async bootstrap() {},
+    async mount(props: ErrorUIProps) {
+      expectType<string>(props.error.appOrParcelName);
+      expectType<Promise<void>>(props.retry());
+    },
+    async unmount() {},
+  },
+  loadingUIDelayMillis: 500,
+  timeouts: { load: { millis: 10000 }, mount: { dieOnTimeout: true } },
+});
+expectError(
+  registerApplication({
+    name: "app1",
+    activeWhen: "/",
+    app: appOrParcel,
+    loadingUI: "<p>Loading...</p>",
+  })
+);
+
+window.addEventListener("single-spa:navigation-blocked", ((
+  evt: CustomEvent<NavigationBlockedDetail>
+) => {
+  expectType<"canMount" | "canUnmount">(evt.detail.guard);
+  expectType<"rejected" | "error" | "timeout">(evt.detail.reason);
+}) as EventListener);
+
+const productApp: LifeCycles = {
+  async bootstrap() {},
+  async mount(props) {
+    expectType<RouteParams | undefined>(props.routeParams);
+    expectType<SharedStore<string> | null>(
+      props.getSharedStore<string>("user")
+    );
+    props.eventBus.publish("user-logged-in", { userId: "2" });
+    expectType<AbortSignal | undefined>(props.signal);
+    await fetch("/api/products", { signal: props.signal });
+  },
+  async unmount() {},
+  async update(props) {
+    expectType<string | undefined>(props.routeParams?.productId);
+  },
+  async deactivate() {},
+  async activate() {},
+  async renderServerSide({ url, headers, routeParams }) {
+    expectType<string>(url);
+    expectType<string | string[] | undefined>(headers["cookie"]);
+    return { html: `<p>${routeParams?.productId}</p>`, state: { url } };
+  },
+};
+
+expectType<Promise<RenderToStringResult>>(
+  renderToString("/products/1", { headers: { cookie: "a=b" } })
+);
+
 const activeWhen = pathToActiveWhen("/users/:id");
 expectType<boolean>(activeWhen(window.location));
 
@@ -85,7 +322,9 @@ window.addEventListener("single-spa:routing-event", ((
   expectType<string>(evt.detail.newUrl);
   expectType<boolean>(evt.detail.navigationIsCanceled);
   expectType<(() => void) | undefined>(evt.detail.cancelNavigation);
+  expectType<((url: string) => void) | undefined>(evt.detail.redirect);
   expectType<string[]>(evt.detail.appsByNewStatus[MOUNTED]);
+  expectType<string[]>(evt.detail.appsByNewStatus[FROZEN]);
 }) as EventListener);
 
 expectType<void>(patchHistoryApi());
@@ -105,6 +344,216 @@ expectError<void>(
   })
 );
 
+start({ routingMode: "hash", basePath: "/portal" });
+expectError(start({ routingMode: "memory" }));
+start({ navigationStrategy: "navigation-api" });
+start({
+  redirects: {
+    "/legacy/users/:id": "/users/:id",
+    "/admin": (routeParams, location) =>
+      location.pathname === "/admin" ? "/login" : null,
+  },
+});
+expectError(start({ redirects: { "/old": 1 } }));
+start({
+  async transition({ leaving, entering, mounted }) {
+    expectType<string>(leaving[0].appName);
+    await mounted;
+    expectType<HTMLElement | null>(entering[0].domElement);
+  },
+  transitionMaxTime: 5000,
+});
+start({ keepAliveMax: 3 });
+expectError(start({ transition: "cross-fade" }));
+expectError(start({ navigationStrategy: "hashbang" }));
+start({ hydrate: true });
+
+const portal = createSingleSpa({
+  name: "portal",
+  urlPrefix: "/portal",
+  domElement: document.body,
+});
+expectType<SingleSpaInstance>(portal);
+portal.registerApplication({
+  name: "portal-home",
+  app: appOrParcel,
+  activeWhen: "/portal/home",
+});
+expectType<string[]>(portal.getMountedApps());
+portal.start();
+expectError(createSingleSpa({ urlPrefix: 1 }));
+
+const memoryLocation = createMemoryLocation("/users/1");
+memoryLocation.navigate("/users/2");
+memoryLocation.back();
+expectType<string>(memoryLocation.getLocation().pathname);
+start({ locationAdapter: memoryLocation });
+start({ locationAdapter: createHashLocation() });
+start({ locationAdapter: createBrowserLocation() });
+expectError(start({ locationAdapter: { getLocation: () => window.location } }));
+
+expectType<Promise<void>>(updateApplication("app1"));
+expectType<Promise<void>>(updateApplication("app1", { theme: "dark" }));
+updateApplication("app1", (name, location) => ({ path: location.pathname }));
+expectType<Promise<void>>(portal.updateApplication("portal-home"));
+expectError(updateApplication("app1", "dark"));
+
+expectType<Promise<void>>(resetApplication("app1"));
+expectType<Promise<void>>(resetApplication("app1", { reload: true }));
+expectType<Promise<void>>(portal.resetApplication("portal-home"));
+expectError(resetApplication("app1", { reload: "yes" }));
+setRecoveryPolicy({
+  maxAttempts: 5,
+  backoff: "linear",
+  onGiveUp(detail) {
+    expectType<string>(detail.appName);
+    expectType<number>(detail.attempts);
+  },
+});
+setRecoveryPolicy(null);
+expectError(setRecoveryPolicy({ backoff: "random" }));
+
+const transport = createBatchingTransport({
+  url: "/telemetry",
+  batchSize: 50,
+  flushIntervalMillis: 10000,
+});
+expectType<Promise<void>>(transport.flush());
+setReporter(transport);
+setReporter({
+  onError(record) {
+    expectType<boolean>(record.handled);
+    expectType<string | null>(record.lifecycle);
+  },
+  onWarning(record) {
+    expectType<number>(record.timestamp);
+  },
+  onLifecycleSample(record) {
+    expectType<number>(record.durationMillis);
+  },
+});
+setReporter(null);
+expectError(setReporter({ onError: "console" }));
+expectError(createBatchingTransport({ batchSize: 50 }));
+registerApplication({
+  name: "app1",
+  activeWhen: "/",
+  app: appOrParcel,
+  recoveryPolicy: { maxAttempts: 2 },
+  onError(error, context) {
+    context.markHandled();
+  },
+});
+start({ updateOnCustomPropsChange: true });
+
+const localeStore = createSharedStore("locale", { locale: "en" });
+expectType<SharedStore<{ locale: string }>>(localeStore);
+localeStore.setState({ locale: "fr" });
+localeStore.setState((state) => ({ locale: state.locale + "-CA" }));
+expectError(localeStore.setState({ locale: 1 }));
+const unsubscribeLocale = localeStore.subscribe((state, prevState) => {
+  expectType<string>(state.locale);
+  expectType<string>(prevState.locale);
+});
+unsubscribeLocale();
+expectType<SharedStore<number> | null>(getSharedStore<number>("count"));
+expectType<SharedStore | null>(portal.getSharedStore("locale"));
+
+declare module "single-spa" {
+  interface EventBusTopics {
+    "user-logged-in": { userId: string };
+  }
+  interface EventBusRequests {
+    "get-user": { request: { userId: string }; response: { name: string } };
+  }
+}
+
+eventBus.publish("user-logged-in", { userId: "1" });
+expectError(eventBus.publish("user-logged-in", { userId: 1 }));
+expectError(eventBus.publish("not-a-topic", {}));
+const unsubscribeLogin = eventBus.subscribe(
+  "user-logged-in",
+  (payload, meta) => {
+    expectType<string>(payload.userId);
+    expectType<EventBusMessageMeta>(meta);
+  },
+  { replay: true }
+);
+unsubscribeLogin();
+eventBus.respond("get-user", ({ userId }) => ({ name: userId }));
+expectType<Promise<{ name: string }>>(
+  eventBus.request("get-user", { userId: "1" }, { timeoutMillis: 500 })
+);
+expectType<EventBus>(portal.eventBus);
+
+const untypedBus = {} as EventBus<Record<string, any>>;
+untypedBus.publish("anything", 1);
+
+expectType<Promise<ManifestChanges>>(
+  registerApplicationsFromManifest({
+    applications: [
+      { name: "@org/navbar", activeWhen: "/" },
+      {
+        name: "@org/settings",
+        module: "https://cdn.example.com/settings.js",
+        activeWhen: ["/settings", "/account"],
+        customProps: { theme: "dark" },
+        timeouts: { mount: { millis: 5000, dieOnTimeout: true } },
+        preload: "idle",
+      },
+    ],
+  })
+);
+registerApplicationsFromManifest(
+  { applications: [{ name: "@org/navbar", activeWhen: "/" }] },
+  { importModule: (specifier) => import(specifier) }
+);
+expectError(
+  registerApplicationsFromManifest({ applications: [{ name: "@org/navbar" }] })
+);
+portal.registerApplicationsFromManifest({ applications: [] });
+
+expectType<string[]>(
+  registerLayout(
+    {
+      containerEl: "#root",
+      routes: [
+        { type: "application", name: "@org/navbar" },
+        {
+          type: "route",
+          path: "/settings",
+          loading: "<p>Loading...</p>",
+          error: "<p>Settings is unavailable</p>",
+          routes: [
+            {
+              type: "application",
+              name: "@org/settings",
+              props: { theme: "dark" },
+            },
+          ],
+        },
+        {
+          type: "route",
+          default: true,
+          routes: [{ type: "application", name: "@org/not-found" }],
+        },
+      ],
+    },
+    { loadApp: (name) => import(name) }
+  )
+);
+registerLayout(document.querySelector("template")!, {
+  loadApp: (name) => import(name),
+});
+expectError(registerLayout({ routes: [] }));
+expectError(
+  registerLayout(
+    { routes: [{ type: "parcel", name: "x" }] },
+    { loadApp: (name) => import(name) }
+  )
+);
+portal.registerLayout({ routes: [] }, { loadApp: (name) => import(name) });
+
 setBootstrapMaxTime(100);
 setBootstrapMaxTime(100, true);
 setBootstrapMaxTime(100, true, 50);
@@ -116,3 +565,11 @@ setMountMaxTime(100, true, 50);
 setUnmountMaxTime(100);
 setUnmountMaxTime(100, true);
 setUnmountMaxTime(100, true, 50);
+
+setTimeouts({
+  load: { millis: 10000, dieOnTimeout: true, warningMillis: 2000 },
+  update: { millis: 5000 },
+});
+portal.setTimeouts({ mount: { millis: 1000 } });
+expectError(setTimeouts({ render: { millis: 1000 } }));
+expectError(setTimeouts({ load: 1000 }));